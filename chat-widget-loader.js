@@ -0,0 +1,185 @@
+/**
+ * Customer Chat Widget Loader
+ * Loads the widget and its dependencies asynchronously and replays
+ * commands queued before it finished loading
+ *
+ * Usage:
+ * <script>
+ *   window.chatWidgetQ = window.chatWidgetQ || [];
+ *   chatWidgetQ.push(['init', { serverUrl: 'http://your-backend-url' }]);
+ *   chatWidgetQ.push(['on', 'messageReceived', function (event) { ... }]);
+ * </script>
+ * <script async src="https://your-cdn.com/chat-widget-loader.js"></script>
+ *
+ * Or configure everything on the script tag:
+ * <script async src="https://your-cdn.com/chat-widget-loader.js"
+ *   data-server-url="http://your-backend-url" data-company-name="Support"></script>
+ */
+
+(function (window, document) {
+  "use strict";
+
+  const SOCKET_IO_URL = "https://cdn.socket.io/4.7.4/socket.io.min.js";
+
+  const script =
+    document.currentScript ||
+    document.querySelector('script[src*="chat-widget-loader"]');
+
+  // chat-widget.js and chat-widget.css are expected next to the loader
+  const baseUrl = script && script.src ? script.src : document.baseURI;
+
+  /**
+   * URL from a data-* attribute of the loader tag, the default if it is
+   * missing, or null if it is set to "false"
+   */
+  function getUrl(name, defaultUrl) {
+    const value = script && script.getAttribute("data-" + name);
+    if (value === "false") return null;
+    return new URL(value || defaultUrl, baseUrl).href;
+  }
+
+  function loadScript(src) {
+    return new Promise((resolve, reject) => {
+      if (Array.from(document.scripts).some((el) => el.src === src)) {
+        // Already on the page, e.g. added by the integrator
+        resolve();
+        return;
+      }
+
+      const el = document.createElement("script");
+      el.src = src;
+      el.async = true;
+      el.onload = resolve;
+      el.onerror = () => reject(new Error(`Failed to load ${src}`));
+      document.head.appendChild(el);
+    });
+  }
+
+  function loadStylesheet(href) {
+    const links = document.querySelectorAll('link[rel="stylesheet"]');
+    if (Array.from(links).some((el) => el.href === href)) return;
+
+    const el = document.createElement("link");
+    el.rel = "stylesheet";
+    el.href = href;
+    document.head.appendChild(el);
+  }
+
+  function getQueue() {
+    const queue = window.chatWidgetQ;
+    return Array.isArray(queue) ? queue.slice() : [];
+  }
+
+  function findInitOptions(queue) {
+    const command = queue.find((c) => Array.isArray(c) && c[0] === "init");
+    return command ? command[1] || {} : null;
+  }
+
+  /**
+   * Whether the widget renders inside a shadow root, which brings its own
+   * stylesheet instead of the page's
+   */
+  function usesShadowDom(initOptions) {
+    const value = script && script.getAttribute("data-shadow-dom");
+    if (value !== null && value !== undefined) return value !== "false";
+    return !!(initOptions.shadowDom && initOptions.shadowDom.enabled);
+  }
+
+  /**
+   * Run a queued command: ["method", ...args] calls ChatWidget.method(...args),
+   * a function is called with ChatWidget
+   */
+  function runCommand(command) {
+    const ChatWidget = window.ChatWidget;
+
+    try {
+      if (typeof command === "function") {
+        command(ChatWidget);
+        return;
+      }
+
+      const method = command[0];
+      if (typeof ChatWidget[method] !== "function") {
+        console.warn(`ChatWidget: Unknown command "${method}"`);
+        return;
+      }
+      ChatWidget[method].apply(ChatWidget, command.slice(1));
+    } catch (error) {
+      console.error("ChatWidget: Command failed:", command, error);
+    }
+  }
+
+  /**
+   * Apply the script tag's data-* options, replay the queue and run later
+   * pushes right away
+   */
+  function start(queue, shadowCssUrl) {
+    const ChatWidget = window.ChatWidget;
+    if (!ChatWidget) {
+      console.error("ChatWidget: chat-widget.js loaded but ChatWidget is missing");
+      return;
+    }
+
+    // Commands pushed while the widget was loading
+    getQueue()
+      .slice(queue.length)
+      .forEach((command) => queue.push(command));
+
+    const dataOptions = script
+      ? ChatWidget.optionsFromAttributes(script, "data-")
+      : {};
+
+    if (shadowCssUrl) {
+      dataOptions.shadowDom = Object.assign(
+        { stylesheet: shadowCssUrl },
+        dataOptions.shadowDom
+      );
+    }
+
+    if (findInitOptions(queue)) {
+      // Data attributes act as defaults for the queued init
+      ChatWidget.updateConfig(dataOptions);
+    } else if (script && script.hasAttribute("data-server-url")) {
+      queue.unshift(["init", dataOptions]);
+    }
+
+    window.chatWidgetQ = {
+      push: function () {
+        Array.prototype.forEach.call(arguments, runCommand);
+      },
+    };
+
+    queue.forEach(runCommand);
+  }
+
+  function load() {
+    const queue = getQueue();
+    const initOptions = findInitOptions(queue) || {};
+    const transport =
+      (script && script.getAttribute("data-transport")) ||
+      (initOptions.transport && initOptions.transport.type) ||
+      "socket.io";
+
+    // In Shadow DOM mode the widget loads the stylesheet into its shadow
+    // root, so it is kept off the page
+    const cssUrl = getUrl("css", "chat-widget.css");
+    const shadowDom = usesShadowDom(initOptions);
+    if (cssUrl && !shadowDom) {
+      loadStylesheet(cssUrl);
+    }
+
+    const scripts = [getUrl("src", "chat-widget.js")];
+
+    if (transport === "socket.io" && !window.io) {
+      scripts.push(getUrl("socket-io", SOCKET_IO_URL));
+    }
+
+    Promise.all(scripts.filter(Boolean).map(loadScript))
+      .then(() => start(queue, shadowDom ? cssUrl : null))
+      .catch((error) => {
+        console.error("ChatWidget: Failed to load the chat widget:", error);
+      });
+  }
+
+  load();
+})(window, document);
@@ -3,38 +3,857 @@
  * A simple, embeddable chat widget for customer support
  *
  * Usage:
+ * <script src="https://cdn.socket.io/4.7.4/socket.io.min.js"></script> <!-- only for the socket.io transport -->
  * <script src="https://your-cdn.com/chat-widget.js"></script>
  * <script>
  *   ChatWidget.init({
  *     serverUrl: 'http://your-backend-url',
- *     position: 'bottom-right', // or 'bottom-left'
+ *     position: { corner: 'bottom-right' }, // or 'bottom-left'
  *     theme: 'default', // or 'dark'
- *     welcomeMessage: 'Hello! How can we help you today?'
+ *     text: { welcomeMessage: 'Hello! How can we help you today?' }
  *   });
+ *
+ *   // Or several independent widgets on one page
+ *   const sales = ChatWidget.create({ serverUrl: 'https://sales.example.com', namespace: 'sales' });
+ *   const support = ChatWidget.create({ serverUrl: 'https://support.example.com', namespace: 'support' });
  * </script>
  */
 
 (function (window, document) {
   "use strict";
 
-  // Check if Socket.IO is available
-  if (typeof io === "undefined") {
-    console.error(
-      "ChatWidget: Socket.IO library is required. Please include it before this script."
+  // Delivery states an outgoing message moves through, in this order.
+  // "failed" can only be reached from "queued" or "sending".
+  const MESSAGE_STATUS = {
+    QUEUED: "queued",
+    SENDING: "sending",
+    SENT: "sent",
+    DELIVERED: "delivered",
+    READ: "read",
+    FAILED: "failed",
+  };
+
+  const MESSAGE_STATUS_ORDER = [
+    MESSAGE_STATUS.QUEUED,
+    MESSAGE_STATUS.SENDING,
+    MESSAGE_STATUS.SENT,
+    MESSAGE_STATUS.DELIVERED,
+    MESSAGE_STATUS.READ,
+  ];
+
+  // Events host pages can subscribe to with on/off/once, and their payloads
+  const WIDGET_EVENTS = [
+    "ready", // {}
+    "open", // {}
+    "close", // {}
+    "connected", // { socketId }
+    "disconnected", // { reason }
+    "chatStarted", // { customerId, chatSessionId, resumed }
+    "messageReceived", // { id, message, senderType, timestamp, files }
+    "postback", // { messageId, title, payload } - a bot button or quick reply was clicked
+    "messageSent", // { clientMessageId, messageId, message, status }
+    "agentAssigned", // { agentId, agentName, agentType }
+    "handoffRequested", // { chatSessionId, reason }
+    "queueUpdated", // { position, estimatedWait, agentsOnline }
+    "queueFallback", // { choice } - "message", "callback" or "wait"
+    "chatEnded", // { message }
+    "uploadFailed", // { fileId, fileName, fileSize, message, error }
+    "error", // { type, message, error }
+  ];
+
+  /**
+   * Shared event handling for transport adapters. Adapters mirror the part
+   * of the Socket.IO client API the widget uses (on, emit, connect,
+   * disconnect, id) and fire "connect", "disconnect" (with a reason) and
+   * "connect_error" besides the chat events themselves.
+   */
+  function createTransportBase() {
+    const handlers = {};
+
+    return {
+      id:
+        "client-" +
+        Date.now().toString(36) +
+        Math.random().toString(36).substr(2, 6),
+      connected: false,
+      reconnectAttempts: 0,
+      reconnectTimer: null,
+
+      on: function (event, handler) {
+        (handlers[event] = handlers[event] || []).push(handler);
+        return this;
+      },
+
+      // Deliver an incoming event to the registered handlers
+      trigger: function (event, data) {
+        (handlers[event] || []).slice().forEach((handler) => {
+          try {
+            handler(data);
+          } catch (error) {
+            console.error(`ChatWidget: "${event}" handler failed:`, error);
+          }
+        });
+      },
+
+      // Reconnect on our own when the widget is not driving reconnection
+      // (options.reconnection), with the Socket.IO client's default
+      // backoff: 1s, doubling up to 5s
+      reconnectLater: function () {
+        clearTimeout(this.reconnectTimer);
+        const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 5000);
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+      },
+
+      cancelReconnect: function () {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+      },
+    };
+  }
+
+  /**
+   * Built-in transport adapters, keyed by config.transport.type.
+   * More can be added with ChatWidget.registerTransport().
+   */
+  const Transports = {
+    /**
+     * Socket.IO client - requires the global `io`
+     */
+    "socket.io": function (serverUrl, options) {
+      if (typeof io === "undefined") {
+        throw new Error(
+          "Socket.IO library is required for the socket.io transport. Please include it before this script."
+        );
+      }
+
+      return io(serverUrl, {
+        transports: ["websocket", "polling"],
+        withCredentials: true,
+        reconnection: options.reconnection,
+      });
+    },
+
+    /**
+     * Plain WebSocket with JSON frames: { "event": "...", "data": {...} }
+     */
+    websocket: function (serverUrl, options) {
+      const transport = createTransportBase();
+      const url =
+        serverUrl.replace(/^http/, "ws") + (options.websocketPath || "/ws");
+      let ws = null;
+      let closedByClient = false;
+
+      transport.connect = function () {
+        if (ws) return transport;
+
+        closedByClient = false;
+        let opened = false;
+        ws = new WebSocket(url);
+
+        ws.onopen = function () {
+          opened = true;
+          transport.connected = true;
+          transport.reconnectAttempts = 0;
+          transport.trigger("connect");
+        };
+
+        ws.onmessage = function (e) {
+          let frame;
+          try {
+            frame = JSON.parse(e.data);
+          } catch (error) {
+            return; // ignore frames that are not JSON
+          }
+          if (frame && frame.event) {
+            transport.trigger(frame.event, frame.data);
+          }
+        };
+
+        ws.onclose = function () {
+          ws = null;
+          transport.connected = false;
+
+          if (closedByClient) {
+            transport.trigger("disconnect", "io client disconnect");
+          } else if (opened) {
+            transport.trigger("disconnect", "transport close");
+          } else {
+            transport.trigger(
+              "connect_error",
+              new Error("WebSocket connection failed")
+            );
+          }
+
+          if (!closedByClient && options.reconnection) {
+            transport.reconnectLater();
+          }
+        };
+
+        return transport;
+      };
+
+      transport.emit = function (event, data) {
+        if (ws && ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ event: event, data: data }));
+        }
+        return transport;
+      };
+
+      transport.disconnect = function () {
+        closedByClient = true;
+        transport.cancelReconnect();
+        if (ws) ws.close();
+        return transport;
+      };
+
+      return transport.connect();
+    },
+
+    /**
+     * Server-Sent Events for incoming events plus POST for outgoing ones.
+     * Both carry { event, data }; POST bodies also include the clientId
+     * the event stream was opened with.
+     */
+    sse: function (serverUrl, options) {
+      const transport = createTransportBase();
+      const streamUrl =
+        serverUrl +
+        (options.ssePath || "/chat/events") +
+        "?clientId=" +
+        encodeURIComponent(transport.id);
+      const postUrl = serverUrl + (options.postPath || "/chat/emit");
+      let source = null;
+
+      transport.connect = function () {
+        if (source) return transport;
+
+        let opened = false;
+        source = new EventSource(streamUrl, { withCredentials: true });
+
+        source.onopen = function () {
+          opened = true;
+          transport.connected = true;
+          transport.reconnectAttempts = 0;
+          transport.trigger("connect");
+        };
+
+        source.onmessage = function (e) {
+          let frame;
+          try {
+            frame = JSON.parse(e.data);
+          } catch (error) {
+            return;
+          }
+          if (frame && frame.event) {
+            transport.trigger(frame.event, frame.data);
+          }
+        };
+
+        // EventSource retries on its own; close it and reconnect with the
+        // same backoff as the other adapters, or leave it to the widget so
+        // its backoff and banner stay in charge
+        source.onerror = function () {
+          source.close();
+          source = null;
+          transport.connected = false;
+
+          if (opened) {
+            transport.trigger("disconnect", "transport close");
+          } else {
+            transport.trigger(
+              "connect_error",
+              new Error("Event stream connection failed")
+            );
+          }
+
+          if (options.reconnection) {
+            transport.reconnectLater();
+          }
+        };
+
+        return transport;
+      };
+
+      // A message that did not reach the server fails like one the server
+      // rejected, so the widget can offer a retry. Other events (typing,
+      // read receipts) are fire-and-forget and only logged.
+      function emitFailed(event, data, error) {
+        if (event === "send-message" && data && data.clientMessageId) {
+          transport.trigger("message-error", {
+            clientMessageId: data.clientMessageId,
+            message: error.message,
+          });
+        } else {
+          console.warn("ChatWidget: Could not send " + event + ":", error);
+        }
+      }
+
+      transport.emit = function (event, data) {
+        // Like the WebSocket adapter, nothing is sent while disconnected
+        if (!transport.connected) {
+          if (event === "send-message") {
+            Promise.resolve().then(() => {
+              emitFailed(event, data, new Error("Not connected"));
+            });
+          }
+          return transport;
+        }
+
+        fetch(postUrl, {
+          method: "POST",
+          credentials: "include",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            clientId: transport.id,
+            event: event,
+            data: data,
+          }),
+        })
+          .then((response) => {
+            if (!response.ok) {
+              throw new Error(`POST ${event} failed: ${response.status}`);
+            }
+          })
+          .catch((error) => {
+            emitFailed(event, data, error);
+          });
+        return transport;
+      };
+
+      transport.disconnect = function () {
+        transport.cancelReconnect();
+        if (source) {
+          source.close();
+          source = null;
+        }
+        if (transport.connected) {
+          transport.connected = false;
+          transport.trigger("disconnect", "io client disconnect");
+        }
+        return transport;
+      };
+
+      return transport.connect();
+    },
+  };
+
+  /**
+   * Fresh per-instance state
+   */
+  function createInitialState() {
+    return {
+      isInitialized: false,
+      isConnected: false,
+      isChatStarted: false,
+      isOpen: false,
+      isTyping: false,
+      agentTyping: false,
+      messages: [],
+      session: {
+        customerId: null,
+        chatSessionId: null,
+      },
+      agentInfo: null, // { id, name, type: "ai" | "human", avatarUrl }
+      handoff: null, // "requested" or "queued" while waiting for a person
+      queue: null, // { position, estimatedWait, agentsOnline, fallback, fallbackTimer } while queued
+      customerInfo: {
+        name: "",
+        phone: "",
+        email: "",
+      },
+      attachedFiles: [],
+      sendingFiles: false, // A message with attachments is uploading
+      uploadingFiles: new Map(),
+      outgoingMessages: new Map(), // Delivery state of our messages by client ID
+      outbox: [], // Unacknowledged outgoing messages, persisted across reloads
+      historyLoaded: false, // Full history rendered; later loads are merged
+      lastSeenMessage: null, // { id, timestamp } of the newest server message
+      reconnectAttempts: 0,
+      runtimeLoaded: false, // Widget DOM and socket created (see lazyLoad)
+      lightbox: null, // { images, index, scale, x, y, returnFocus } while the viewer is open
+      streams: new Map(), // Streaming replies by message ID -> { idleTimer, renderFrame }
+      filesPanelOpen: false,
+    };
+  }
+
+  /**
+   * Deep copy of plain config objects and arrays (functions, DOM nodes and
+   * other values are shared)
+   */
+  function cloneConfig(value) {
+    if (Array.isArray(value)) {
+      return value.map(cloneConfig);
+    }
+    if (isPlainObject(value)) {
+      const copy = {};
+      Object.keys(value).forEach((key) => {
+        copy[key] = cloneConfig(value[key]);
+      });
+      return copy;
+    }
+    return value;
+  }
+
+  function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === "[object Object]";
+  }
+
+  /**
+   * Deep merge `source` into a copy of `target`. Nested plain objects are
+   * merged, arrays and other values replace what was there.
+   */
+  function deepMerge(target, source) {
+    const result = cloneConfig(target);
+    Object.keys(source || {}).forEach((key) => {
+      const value = source[key];
+      if (value === undefined) return;
+
+      result[key] =
+        isPlainObject(value) && isPlainObject(result[key])
+          ? deepMerge(result[key], value)
+          : cloneConfig(value);
+    });
+    return result;
+  }
+
+  /**
+   * Config schema. Types are taken from the default config; these tables
+   * only add what the defaults cannot express.
+   */
+  const CONFIG_ENUMS = {
+    theme: ["default", "dark"],
+    "button.shape": ["circle", "rounded", "square"],
+    "button.icon": ["default", "message", "chat", "support", "help", "custom"],
+    "button.hoverEffect": ["scale", "glow", "bounce", "none"],
+    "position.corner": ["bottom-right", "bottom-left", "top-right", "top-left"],
+    "messageFormatting.customer": ["text", "links", "markdown"],
+    "messageFormatting.agent": ["text", "links", "markdown"],
+    "messageFormatting.system": ["text", "links", "markdown"],
+    "messageFormatting.ai": ["text", "links", "markdown"],
+    "fileUpload.imageProcessing.format": [
+      "auto",
+      "image/jpeg",
+      "image/png",
+      "image/webp",
+    ],
+    "animations.entrance": [
+      "slide-up",
+      "slide-down",
+      "fade-in",
+      "bounce-in",
+      "none",
+    ],
+  };
+
+  // Accepted types for options whose default is null
+  const CONFIG_TYPES = {
+    "button.customIcon": ["string", "null"],
+    "button.backgroundColor": ["string", "null"],
+    "shadowDom.stylesheet": ["string", "null"],
+    "fileUpload.headers": ["object", "null"],
+    "fileUpload.getAuthHeaders": ["function", "null"],
+    "handoff.getContext": ["function", "null"],
+  };
+
+  function getValueType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+  }
+
+  /**
+   * Check options against the defaults. Returns a copy without the invalid
+   * values and collects a message for every problem found. Unknown keys are
+   * reported but kept.
+   */
+  function validateConfig(options, defaults, path, problems) {
+    const result = {};
+
+    Object.keys(options).forEach((key) => {
+      const keyPath = path ? path + "." + key : key;
+      const value = options[key];
+
+      if (value === undefined) return;
+
+      if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+        problems.push(`unknown option "${keyPath}"`);
+        result[key] = value;
+        return;
+      }
+
+      const expected = defaults[key];
+
+      if (isPlainObject(expected)) {
+        if (!isPlainObject(value)) {
+          problems.push(
+            `"${keyPath}" should be an object, got ${getValueType(value)}`
+          );
+          return;
+        }
+        result[key] = validateConfig(value, expected, keyPath, problems);
+        return;
+      }
+
+      const allowedTypes =
+        CONFIG_TYPES[keyPath] ||
+        (expected === null ? null : [getValueType(expected)]);
+      const type = getValueType(value);
+      if (allowedTypes && !allowedTypes.includes(type)) {
+        problems.push(
+          `"${keyPath}" should be ${allowedTypes.join(" or ")}, got ${type}`
+        );
+        return;
+      }
+
+      const allowedValues = CONFIG_ENUMS[keyPath];
+      if (allowedValues && !allowedValues.includes(value)) {
+        problems.push(
+          `"${keyPath}" must be one of ${allowedValues
+            .map((v) => `"${v}"`)
+            .join(", ")}, got "${value}"`
+        );
+        return;
+      }
+
+      result[key] = value;
+    });
+
+    return result;
+  }
+
+  /**
+   * Error for a failed upload request. `code` is ERR_NETWORK, ERR_TIMEOUT or
+   * ERR_HTTP; HTTP errors also carry the status and parsed response body.
+   */
+  function createUploadError(message, code, status, body) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status || 0;
+    error.body = body || null;
+    return error;
+  }
+
+  function createAbortError() {
+    return new DOMException("Upload cancelled", "AbortError");
+  }
+
+  /**
+   * Built-in upload adapters, keyed by config.fileUpload.adapter.
+   * More can be added with ChatWidget.registerUploadAdapter().
+   *
+   * Each function is called with the widget as `this`:
+   * - getTarget(file, context): optional, where to send the file (e.g. a
+   *   presigned URL fetched from your backend)
+   * - send(file, target, context): upload the file, resolves with the
+   *   server's response
+   * - parseResult(response, target, file): the URI to store in the message
+   * - getViewUrl(uri): URL the browser can load the stored file from. It is
+   *   used while rendering, so it must not be async.
+   * `context` holds { signal, headers, onProgress(loaded, total) }; headers
+   * are fileUpload.headers plus the result of fileUpload.getAuthHeaders.
+   */
+  const UploadAdapters = {
+    /**
+     * The ERP storage API: multipart POST to apiEndpoint (or the chunked
+     * protocol), files served from `${accessEndpoint}/buffer/<name>`
+     */
+    erp: {
+      send: function (file, target, context) {
+        if (this.shouldUseChunkedUpload(file)) {
+          return this.sendChunkedUpload(file, context);
+        }
+
+        const formData = new FormData();
+        formData.append("file", file);
+
+        this.log(`Sending POST request to: ${this.config.fileUpload.apiEndpoint}`);
+        return this.sendRequest("POST", this.config.fileUpload.apiEndpoint, formData, context);
+      },
+
+      parseResult: function (response) {
+        const location = response.data ? response.data.location : response.url;
+        if (!location) {
+          throw createUploadError("Upload response has no file location", "ERR_RESPONSE", 0, response);
+        }
+        return location;
+      },
+
+      getViewUrl: function (uri) {
+        // Remove any existing path and keep only the filename
+        const fileName = uri.split("/").pop();
+        return `${this.config.fileUpload.accessEndpoint}/buffer/${fileName}`;
+      },
+    },
+
+    /**
+     * S3-style storage. Your backend presigns a PUT for each file; the file
+     * goes straight to the bucket without the widget's auth headers.
+     */
+    s3: {
+      getTarget: async function (file, context) {
+        const response = await this.sendRequest(
+          "POST",
+          this.config.fileUpload.s3.presignEndpoint,
+          { fileName: file.name, fileSize: file.size, mimeType: file.type },
+          { signal: context.signal, headers: context.headers }
+        );
+        // { uploadUrl, method?, headers?, key, url? }
+        const target = response.data || response;
+        if (!target.uploadUrl) {
+          throw createUploadError("Presign response has no uploadUrl", "ERR_RESPONSE", 0, response);
+        }
+        return target;
+      },
+
+      send: function (file, target, context) {
+        return this.sendRequest(target.method || "PUT", target.uploadUrl, file, {
+          signal: context.signal,
+          onProgress: context.onProgress,
+          headers: Object.assign(
+            { "Content-Type": file.type || "application/octet-stream" },
+            target.headers
+          ),
+          // Buckets answer with an empty body and reject credentialed CORS
+          expectJson: false,
+          withCredentials: false,
+        });
+      },
+
+      parseResult: function (response, target) {
+        return target.key || target.url;
+      },
+
+      getViewUrl: function (uri) {
+        if (/^https?:\/\//.test(uri)) return uri;
+
+        // Private buckets: the endpoint redirects to a presigned GET URL
+        const key = uri.split("/").map(encodeURIComponent).join("/");
+        return `${this.config.fileUpload.s3.viewEndpoint}/${key}`;
+      },
+    },
+
+    /**
+     * Fake uploads for testing without a server (fileUpload.useMockUpload)
+     */
+    mock: {
+      send: function (file, target, context) {
+        return this.mockUpload(file, context);
+      },
+
+      parseResult: function (response) {
+        return response.url;
+      },
+
+      getViewUrl: function (uri) {
+        return uri;
+      },
+    },
+  };
+
+  /**
+   * Message text rendering. Everything is HTML-escaped first and only the
+   * tags produced here are added afterwards, so the output can't contain
+   * markup from the message itself. Generated fragments (links, code) are
+   * swapped for placeholders while the remaining rules run, so e.g. an
+   * underscore in a URL never turns into <em>.
+   */
+  const HTML_ESCAPES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  };
+
+  function escapeText(text) {
+    return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+  }
+
+  // Link targets allowed in messages; anything else is shown as text
+  const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+  function createFragments() {
+    const fragments = [];
+    return {
+      add: function (html) {
+        fragments.push(html);
+        return "\u0000" + (fragments.length - 1) + "\u0000";
+      },
+      restore: function (text) {
+        // Fragments may contain placeholders themselves (a link's label)
+        let result = text;
+        while (/\u0000\d+\u0000/.test(result)) {
+          result = result.replace(/\u0000(\d+)\u0000/g, (m, i) => fragments[i]);
+        }
+        return result;
+      },
+    };
+  }
+
+  /**
+   * An <a> for an escaped URL. The attribute value is safe as it is:
+   * escaping left no quotes or angle brackets in it.
+   */
+  function linkHtml(href, label) {
+    return `<a href="${href}" class="message-link" target="_blank" rel="noopener noreferrer">${label}</a>`;
+  }
+
+  /**
+   * Turn bare URLs in escaped text into links
+   */
+  function linkify(escaped, fragments) {
+    return escaped.replace(/\b(?:https?:\/\/|www\.)[^\s<]+/gi, (match) => {
+      // Escaped quotes/brackets end the URL; trailing punctuation belongs
+      // to the sentence, a closing parenthesis only if it has no partner
+      let url = match.split(/&(?:quot|#39|lt|gt);/)[0];
+      url = url.replace(/[.,;:!?]+$/, "");
+      if (url.endsWith(")") && !url.includes("(")) {
+        url = url.slice(0, -1);
+      }
+
+      const href = /^www\./i.test(url) ? "https://" + url : url;
+      return fragments.add(linkHtml(href, url)) + match.slice(url.length);
+    });
+  }
+
+  function renderInlineMarkdown(escaped, fragments) {
+    let html = escaped
+      // `code`
+      .replace(/`([^`\n]+)`/g, (m, code) => fragments.add(`<code>${code}</code>`))
+      // [label](url)
+      .replace(/\[([^\]\n]+)\]\(((?:[^\s()]|\([^\s()]*\))+)\)/g, (m, label, url) =>
+        SAFE_URL.test(url) ? fragments.add(linkHtml(url, label)) : label
+      );
+
+    html = linkify(html, fragments);
+
+    return html
+      .replace(/\*\*(?=\S)([^*\n]+?)\*\*/g, "<strong>$1</strong>")
+      .replace(/__(?=\S)([^_\n]+?)__/g, "<strong>$1</strong>")
+      .replace(/(^|[^\w*])\*(?=\S)([^*\n]+?)\*(?![\w*])/g, "$1<em>$2</em>")
+      .replace(/(^|[^\w])_(?=\S)([^_\n]+?)_(?!\w)/g, "$1<em>$2</em>");
+  }
+
+  /**
+   * Markdown subset: **bold**, *italic*, `code`, ``` blocks ```, - and 1.
+   * lists, [links](https://...), bare URLs and line breaks
+   */
+  function renderMarkdown(text) {
+    const fragments = createFragments();
+    const source = String(text).replace(/\r\n?/g, "\n").replace(/\u0000/g, "");
+
+    // Code blocks are kept verbatim
+    const withBlocks = source.replace(/```[^\n`]*\n?([\s\S]*?)```/g, (m, code) =>
+      "\n" + fragments.add(`<pre><code>${escapeText(code.replace(/\n$/, ""))}</code></pre>`) + "\n"
     );
-    return;
+
+    const blocks = [];
+    let list = null;
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        blocks.push(`<p>${paragraph.join("<br>")}</p>`);
+        paragraph = [];
+      }
+    };
+    const flushList = () => {
+      if (list) {
+        blocks.push(`<${list.tag}>${list.items.map((item) => `<li>${item}</li>`).join("")}</${list.tag}>`);
+        list = null;
+      }
+    };
+
+    escapeText(withBlocks)
+      .split("\n")
+      .forEach((line) => {
+        const bullet = /^\s*[-*+]\s+(.*)$/.exec(line);
+        const numbered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+        const item = bullet || numbered;
+
+        if (item) {
+          const tag = bullet ? "ul" : "ol";
+          flushParagraph();
+          if (list && list.tag !== tag) flushList();
+          if (!list) list = { tag: tag, items: [] };
+          list.items.push(renderInlineMarkdown(item[1], fragments));
+        } else if (/^\u0000\d+\u0000$/.test(line.trim())) {
+          // A code block on its own
+          flushParagraph();
+          flushList();
+          blocks.push(line.trim());
+        } else if (line.trim() === "") {
+          flushParagraph();
+          flushList();
+        } else {
+          flushList();
+          paragraph.push(renderInlineMarkdown(line, fragments));
+        }
+      });
+    flushParagraph();
+    flushList();
+
+    return fragments.restore(blocks.join(""));
+  }
+
+  /**
+   * Plain text with clickable URLs and line breaks
+   */
+  function renderLinks(text) {
+    const fragments = createFragments();
+    const escaped = escapeText(String(text).replace(/\u0000/g, ""));
+    return fragments.restore(linkify(escaped, fragments).replace(/\r?\n/g, "<br>"));
   }
 
+  // v1 top-level keys that now live under `text`
+  const LEGACY_TEXT_KEYS = ["companyName", "welcomeMessage", "buttonText"];
+
+  // Number of instances created with ChatWidget.create()
+  let instanceCount = 0;
+
+  // Constructed copies of chat-widget.css by URL, shared by all shadow roots
+  const shadowStyleSheets = {};
+
+  // chat-widget.css is shipped next to this script. Shadow DOM mode loads it
+  // from here when the page doesn't have it.
+  const DEFAULT_STYLESHEET_URL =
+    document.currentScript && document.currentScript.src
+      ? new URL("chat-widget.css", document.currentScript.src).href
+      : null;
+
   const ChatWidget = {
+    // Unique per instance - used for DOM ids and storage keys
+    instanceId: "chat-widget",
+
     // Configuration
     config: {
       serverUrl: "http://localhost:3000",
-      position: "bottom-right",
-      theme: "default",
-      welcomeMessage: "Hello! How can we help you today?",
-      buttonText: "Chat with us",
-      companyName: "Support",
+      theme: "default", // 'default', 'dark'
       showMinimizeButton: true,
+      namespace: "chat_widget", // localStorage key prefix, unique per instance
+
+      // Transport used to talk to the chat server
+      transport: {
+        type: "socket.io", // 'socket.io', 'websocket', 'sse' or a registered name
+        websocketPath: "/ws", // websocket: endpoint for JSON frames
+        ssePath: "/chat/events", // sse: event stream endpoint
+        postPath: "/chat/emit", // sse: endpoint for outgoing events
+      },
+
+      // Only render the launcher button until the visitor opens the chat
+      // or hovers it. A stored session always loads right away.
+      lazyLoad: {
+        enabled: true,
+        hoverDelay: 150, // ms the pointer must rest on the button; 0 disables
+      },
+
+      // Render the widget inside a shadow root so page CSS and widget CSS
+      // don't affect each other
+      shadowDom: {
+        enabled: false,
+        stylesheet: null, // URL of chat-widget.css; the page's copy or the one next to chat-widget.js if null
+      },
       autoOpen: false,
       debug: false,
 
@@ -113,6 +932,52 @@
         typingText: "Agent is typing...",
         placeholderText: "Type your message...",
         noMessagesText: "No messages yet. Start the conversation!",
+        statusQueued: "Waiting for connection...",
+        statusSending: "Sending...",
+        statusSent: "Sent",
+        statusDelivered: "Delivered",
+        statusRead: "Read",
+        statusFailed: "Failed to send",
+        outboxFullText: "Too many unsent messages. Please wait until you are back online.",
+        retryButton: "Retry",
+        deleteButton: "Delete",
+        reconnectingText: "Reconnecting in {seconds}s…",
+        reconnectingNowText: "Reconnecting…",
+        connectionLostText: "Connection lost.",
+        retryNowButton: "Retry now",
+        dropFilesText: "Drop files to attach",
+        sharedFilesButton: "Shared files",
+        noSharedFilesText: "No files have been shared yet",
+        downloadButton: "Download",
+        zoomInButton: "Zoom in",
+        zoomOutButton: "Zoom out",
+        previousImageButton: "Previous image",
+        nextImageButton: "Next image",
+        externalLinkWarning: "You are about to open {url}. Continue?",
+        aiBadge: "AI",
+        stopGeneratingButton: "Stop generating",
+        responseStoppedText: "Response stopped",
+        responseInterruptedText: "Response interrupted",
+        talkToPersonButton: "Talk to a person",
+        aiAssistantStatus: "AI assistant",
+        waitingForAgentStatus: "Waiting for an agent...",
+        handoffRequestedText:
+          "Connecting you with a person. They will see your conversation so far.",
+        handoffCompleteText: "{name} has joined the chat and can see your conversation so far.",
+        handoffUnavailableText: "No one is available right now. Please try again later.",
+        queueTitle: "Waiting for an agent",
+        queuePositionText: "You are number {position} in the queue",
+        queueWaitText: "Estimated wait: {wait}",
+        waitLessThanMinuteText: "less than a minute",
+        waitMinutesText: "about {minutes} min",
+        agentsOnlineText: "{count} agents online",
+        noAgentsOnlineText: "No agents are online right now",
+        queueFallbackText: "Sorry for the wait. What would you like to do?",
+        leaveMessageButton: "Leave a message",
+        requestCallbackButton: "Request a callback",
+        keepWaitingButton: "Keep waiting",
+        leaveMessageConfirmText: "Leave your message here and we'll get back to you as soon as we can.",
+        callbackConfirmText: "Thanks! We'll call you back as soon as an agent is free.",
       },
 
       // Animations and Effects
@@ -133,9 +998,40 @@
         shadowHover: "0 12px 50px rgba(0, 0, 0, 0.15)",
       },
 
+      // Handing a conversation over from the AI assistant to a person
+      handoff: {
+        enabled: true, // show "Talk to a person" while the AI assistant replies
+        getContext: null, // function () returning extra context for the agent
+      },
+
+      // Waiting in the queue for an agent (queue-update events)
+      queue: {
+        fallbackTimeout: 120000, // ms in the queue before offering alternatives, 0 to never offer them
+        fallbackOptions: ["message", "callback", "wait"], // which alternatives, in this order
+      },
+
+      // Replies streamed token by token (message-stream-* events)
+      streaming: {
+        idleTimeout: 30000, // ms without new text before a reply counts as broken
+      },
+
+      // Message text rendering per sender: "text" (as typed), "links"
+      // (clickable URLs and line breaks) or "markdown"
+      messageFormatting: {
+        customer: "links",
+        agent: "markdown",
+        ai: "markdown",
+        system: "text",
+        externalLinkWarning: false, // confirm before leaving for another site
+        trustedDomains: [], // no warning for these domains and their subdomains
+      },
+
       // File Upload Configuration
       fileUpload: {
         enabled: true,
+        adapter: 'erp', // 'erp', 's3', 'mock' or a name given to registerUploadAdapter()
+        headers: null, // e.g. { Authorization: 'Bearer ...' } for your upload API
+        getAuthHeaders: null, // async () => headers, called before every upload
         apiEndpoint: 'http://localhost:3000/api/private/storage/upload', // Changed to relative URL
         accessEndpoint: 'http://localhost:3000/api/private/storage', // Base endpoint for file access
         maxFileSize: 10 * 1024 * 1024, // 10MB in bytes
@@ -148,41 +1044,66 @@
         allowedExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.pdf', '.doc', '.docx', '.txt', '.csv'],
         multiple: false,
         maxFiles: 1,
+        concurrency: 3, // uploads running at the same time
+        timeout: 30000, // per-file request timeout in ms, 0 = none
+        withCredentials: false, // send cookies with cross-origin uploads
+        // Resumable uploads in chunks, for files larger than `threshold`
+        chunked: {
+          enabled: false,
+          endpoint: 'http://localhost:3000/api/private/storage/uploads',
+          chunkSize: 1024 * 1024, // 1MB
+          threshold: 2 * 1024 * 1024, // smaller files use a single request
+          retries: 5, // attempts per chunk before the upload fails
+          retryDelay: 2000, // ms, grows with each attempt
+        },
+        // Used by the 's3' adapter
+        s3: {
+          presignEndpoint: 'http://localhost:3000/api/private/storage/presign',
+          viewEndpoint: 'http://localhost:3000/api/private/storage/files', // redirects to a presigned GET
+        },
+        // Images are resized and re-encoded in the browser before upload.
+        // Re-encoding drops EXIF metadata (camera, GPS location) and bakes
+        // the EXIF orientation into the pixels
+        imageProcessing: {
+          enabled: true,
+          maxWidth: 2048, // px
+          maxHeight: 2048, // px
+          quality: 0.85, // 0-1, for JPEG and WebP output
+          format: 'auto', // 'auto' keeps PNG/WebP and turns everything else into JPEG
+          stripMetadata: true, // re-encode even when no resize is needed
+        },
         // Fallback options for testing
-        useMockUpload: false, // Set to true for testing without server
+        useMockUpload: false, // Set to true for testing without server (same as adapter: 'mock')
         mockDelay: 1000 // Mock upload delay in ms
       },
+
+      // Offline outbox - messages written while disconnected are persisted
+      // and resent in order once the socket reconnects
+      outbox: {
+        enabled: true,
+        maxMessages: 50, // upper bound on queued messages kept in storage
+      },
+
+      // Reconnection - exponential backoff with a visible countdown
+      reconnection: {
+        enabled: true,
+        initialDelay: 1000, // milliseconds before the first attempt
+        maxDelay: 30000, // upper bound for the delay between attempts
+        multiplier: 2, // delay growth factor per attempt
+        jitter: 0.3, // +/- randomisation factor applied to each delay
+        maxAttempts: 0, // 0 = keep trying forever
+      },
     },
 
     // State
-    state: {
-      isInitialized: false,
-      isConnected: false,
-      isChatStarted: false,
-      isOpen: false,
-      isTyping: false,
-      agentTyping: false,
-      messages: [],
-      session: {
-        customerId: null,
-        chatSessionId: null,
-      },
-      agentInfo: null,
-      customerInfo: {
-        name: "",
-        phone: "",
-        email: "",
-      },
-      attachedFiles: [],
-      uploadingFiles: new Map(),
-      pendingMessages: new Map(), // Track pending messages by temporary ID
-    },
+    state: createInitialState(),
 
     // Socket reference
     socket: null,
 
     // DOM elements
     elements: {
+      host: null, // shadow host, only in Shadow DOM mode
       container: null,
       widget: null,
       button: null,
@@ -193,9 +1114,26 @@
       startForm: null,
     },
 
+    // Listeners on window/document, removed on destroy
+    globalListeners: [],
+
+    // Host page subscriptions registered with on/once, by event name
+    eventListeners: {},
+
+    // Plugins registered with use(), in registration order
+    plugins: [],
+
     // Typing timeout reference
     typingTimeout: null,
 
+    // Lazy loading - launcher listeners and hover intent timer
+    launcherListeners: null,
+    hoverIntentTimeout: null,
+
+    // Reconnection timer references
+    reconnectTimeout: null,
+    reconnectCountdown: null,
+
     /**
      * Initialize the chat widget
      */
@@ -206,7 +1144,7 @@
       }
 
       // Merge configuration
-      this.config = Object.assign({}, this.config, options || {});
+      this.mergeConfig(options);
 
       if (!this.config.serverUrl) {
         console.error("ChatWidget: serverUrl is required");
@@ -215,47 +1153,150 @@
 
       this.log("Initializing ChatWidget...");
 
-      // Initialize axios for file uploads if enabled
-      if (this.config.fileUpload.enabled) {
-        this.initAxios();
+      this.createContainer();
+
+      // Mark as initialized
+      this.state.isInitialized = true;
+
+      if (
+        this.config.lazyLoad.enabled &&
+        !this.config.autoOpen &&
+        !this.getStoredSession()
+      ) {
+        this.applyCustomStyling();
+        this.bindLauncherEvents();
+        this.log("Launcher ready, runtime deferred until first use");
+      } else {
+        this.loadRuntime();
       }
 
+      this.log("ChatWidget initialized successfully");
+
+      // Deferred so listeners added right after create() still get it
+      setTimeout(() => this.emitEvent("ready", {}), 0);
+    },
+
+    /**
+     * Create the socket connection, uploads and widget DOM. Runs once,
+     * either from init or on first use of the launcher.
+     */
+    loadRuntime: function () {
+      if (this.state.runtimeLoaded) return;
+      this.state.runtimeLoaded = true;
+
+      this.log("Loading chat runtime...");
+      this.unbindLauncherEvents();
+
       // Create widget elements
       this.createWidget();
 
       // Check for existing session before initializing socket
       this.checkExistingSession();
+    },
 
-      // Mark as initialized
-      this.state.isInitialized = true;
+    /**
+     * Load the runtime when the visitor clicks the launcher, or rests the
+     * pointer or keyboard focus on it
+     */
+    bindLauncherEvents: function () {
+      const button = this.elements.button;
+      const hoverDelay = this.config.lazyLoad.hoverDelay;
+
+      this.launcherListeners = {
+        click: () => {
+          this.loadRuntime();
+          this.openWidget();
+        },
+        touchstart: () => this.loadRuntime(),
+      };
 
-      this.log("ChatWidget initialized successfully");
+      if (hoverDelay > 0) {
+        const startIntent = () => {
+          clearTimeout(this.hoverIntentTimeout);
+          this.hoverIntentTimeout = setTimeout(
+            () => this.loadRuntime(),
+            hoverDelay
+          );
+        };
+        const cancelIntent = () => clearTimeout(this.hoverIntentTimeout);
+
+        this.launcherListeners.mouseenter = startIntent;
+        this.launcherListeners.focus = startIntent;
+        this.launcherListeners.mouseleave = cancelIntent;
+        this.launcherListeners.blur = cancelIntent;
+      }
+
+      Object.keys(this.launcherListeners).forEach((type) => {
+        button.addEventListener(type, this.launcherListeners[type], {
+          passive: true,
+        });
+      });
+    },
+
+    unbindLauncherEvents: function () {
+      clearTimeout(this.hoverIntentTimeout);
+      if (!this.launcherListeners) return;
+
+      Object.keys(this.launcherListeners).forEach((type) => {
+        this.elements.button.removeEventListener(
+          type,
+          this.launcherListeners[type],
+          { passive: true }
+        );
+      });
+      this.launcherListeners = null;
     },
 
     /**
-     * Create the widget DOM structure
+     * Create the container with the launcher button and attach it to the page
      */
-    createWidget: function () {
-      // Create container
+    createContainer: function () {
       this.elements.container = document.createElement("div");
       this.elements.container.className =
         "chat-widget-container " +
         this.config.position.corner +
         " " +
         this.config.theme;
-      this.elements.container.innerHTML = this.getWidgetHTML();
+      this.elements.container.innerHTML = this.getLauncherHTML();
 
-      // Append to body
-      document.body.appendChild(this.elements.container);
+      // Append to body, inside a shadow root if enabled
+      if (this.isShadowDomEnabled()) {
+        this.elements.host = document.createElement("div");
+        this.elements.host.className = "chat-widget-host";
+
+        const shadowRoot = this.elements.host.attachShadow({ mode: "open" });
+        this.attachShadowStyles(shadowRoot);
+        shadowRoot.appendChild(this.elements.container);
+
+        document.body.appendChild(this.elements.host);
+      } else {
+        this.elements.host = null;
+        document.body.appendChild(this.elements.container);
+      }
 
-      // Get element references
-      this.elements.widget =
-        this.elements.container.querySelector(".chat-widget");
       this.elements.button = this.elements.container.querySelector(
         ".chat-toggle-button"
       );
+    },
+
+    /**
+     * Create the widget DOM structure next to the launcher
+     */
+    createWidget: function () {
+      this.elements.container.insertAdjacentHTML(
+        "beforeend",
+        this.getWidgetHTML()
+      );
+
+      // Get element references
+      this.elements.widget =
+        this.elements.container.querySelector(".chat-widget");
       this.elements.header =
         this.elements.container.querySelector(".chat-header");
+      this.elements.agentAvatar =
+        this.elements.container.querySelector(".chat-header-avatar");
+      this.elements.handoffBtn =
+        this.elements.container.querySelector(".chat-handoff-btn");
       this.elements.messages =
         this.elements.container.querySelector(".chat-messages");
       this.elements.input =
@@ -270,6 +1311,14 @@
         this.elements.container.querySelector(".chat-attachment-btn");
       this.elements.filePreview =
         this.elements.container.querySelector(".chat-file-preview");
+      this.elements.reconnectBanner =
+        this.elements.container.querySelector(".chat-reconnect-banner");
+      this.elements.dropZone =
+        this.elements.container.querySelector(".chat-drop-zone");
+      this.elements.filesPanel =
+        this.elements.container.querySelector(".chat-files-panel");
+      this.elements.filesList =
+        this.elements.container.querySelector(".chat-files-list");
 
       // Apply custom styling
       this.applyCustomStyling();
@@ -288,10 +1337,100 @@
       }
     },
 
+    isShadowDomEnabled: function () {
+      if (!this.config.shadowDom.enabled) return false;
+
+      if (typeof document.body.attachShadow !== "function") {
+        console.warn(
+          "ChatWidget: Shadow DOM is not supported in this browser, rendering without it"
+        );
+        return false;
+      }
+      return true;
+    },
+
     /**
-     * Get the widget HTML structure
+     * Make chat-widget.css apply inside the shadow root. The stylesheet is
+     * adopted when the page has already loaded it, otherwise it is linked
+     * from inside the shadow root, so the page doesn't need it.
      */
-    getWidgetHTML: function () {
+    attachShadowStyles: function (shadowRoot) {
+      const href = this.getStylesheetUrl();
+      if (!href) {
+        console.warn(
+          "ChatWidget: chat-widget.css not found for Shadow DOM mode. Set shadowDom.stylesheet to its URL."
+        );
+        return;
+      }
+
+      const sheet = this.getShadowStyleSheet(href);
+      if (sheet) {
+        shadowRoot.adoptedStyleSheets = [sheet];
+        return;
+      }
+
+      const link = document.createElement("link");
+      link.rel = "stylesheet";
+      link.href = href;
+      shadowRoot.appendChild(link);
+    },
+
+    /**
+     * Absolute URL of chat-widget.css: the configured one, the first
+     * matching stylesheet linked from the page, or the one shipped next to
+     * chat-widget.js
+     */
+    getStylesheetUrl: function () {
+      if (this.config.shadowDom.stylesheet) {
+        return new URL(this.config.shadowDom.stylesheet, document.baseURI).href;
+      }
+
+      const link = Array.from(
+        document.querySelectorAll('link[rel="stylesheet"]')
+      ).find((el) => /chat-widget(\.min)?\.css(\?|#|$)/.test(el.href));
+
+      return link ? link.href : DEFAULT_STYLESHEET_URL;
+    },
+
+    /**
+     * Constructed copy of a stylesheet the page has loaded, or null when it
+     * is not loaded, cross-origin or constructable stylesheets are missing
+     */
+    getShadowStyleSheet: function (href) {
+      if (shadowStyleSheets[href]) {
+        return shadowStyleSheets[href];
+      }
+      if (
+        typeof CSSStyleSheet !== "function" ||
+        !("adoptedStyleSheets" in document)
+      ) {
+        return null;
+      }
+
+      const pageSheet = Array.from(document.styleSheets).find(
+        (sheet) => sheet.href === href
+      );
+      if (!pageSheet) return null;
+
+      try {
+        const css = Array.from(pageSheet.cssRules)
+          .map((rule) => rule.cssText)
+          .join("\n");
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        shadowStyleSheets[href] = sheet;
+        return sheet;
+      } catch (error) {
+        // Cross-origin rules can't be read
+        this.log("Could not adopt stylesheet, linking it instead:", error);
+        return null;
+      }
+    },
+
+    /**
+     * Get the launcher button HTML
+     */
+    getLauncherHTML: function () {
       return `
                 <!-- Chat Toggle Button -->
                 <button class="chat-toggle-button" title="${
@@ -302,11 +1441,19 @@
                         <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
                     </svg>
                 </button>
+            `;
+    },
 
+    /**
+     * Get the widget HTML structure
+     */
+    getWidgetHTML: function () {
+      return `
                 <!-- Chat Widget -->
                 <div class="chat-widget" style="display: none;">
                     <!-- Header -->
                     <div class="chat-header">
+                        <div class="chat-header-avatar" style="display: none;"></div>
                         <div class="chat-header-info">
                             <h3 class="chat-title">${
                               this.config.text.companyName
@@ -314,6 +1461,13 @@
                             <span class="chat-status">Connect to start chatting</span>
                         </div>
                         <div class="chat-header-actions">
+                            <button type="button" class="chat-files-btn" title="${
+                              this.config.text.sharedFilesButton
+                            }" aria-expanded="false">
+                                <svg viewBox="0 0 24 24" width="18" height="18">
+                                    <path d="M10 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z"/>
+                                </svg>
+                            </button>
                             ${
                               this.config.showMinimizeButton
                                 ? '<button class="chat-minimize-btn" title="' +
@@ -327,6 +1481,25 @@
                         </div>
                     </div>
 
+                    <!-- Shared Files Panel -->
+                    <div class="chat-files-panel" style="display: none;">
+                        <div class="chat-files-panel-header">
+                            <span>${this.config.text.sharedFilesButton}</span>
+                            <button type="button" class="chat-files-panel-close" title="${
+                              this.config.text.closeButton
+                            }">×</button>
+                        </div>
+                        <div class="chat-files-list"></div>
+                    </div>
+
+                    <!-- Reconnection Banner -->
+                    <div class="chat-reconnect-banner" style="display: none;">
+                        <span class="chat-reconnect-text"></span>
+                        <button type="button" class="chat-reconnect-btn">${
+                          this.config.text.retryNowButton
+                        }</button>
+                    </div>
+
                     <!-- Chat Body - Restructured for fixed input -->
                     <div class="chat-body">
                         <!-- Connection Status -->
@@ -343,22 +1516,22 @@
                             </div>
                             <form class="chat-start-form">
                                 <div class="form-group">
-                                    <label for="customer-name">${
+                                    <label for="${this.instanceId}-customer-name">${
                                       this.config.text.nameLabel
                                     }</label>
-                                    <input type="text" id="customer-name" name="name" required>
+                                    <input type="text" id="${this.instanceId}-customer-name" name="name" required>
                                 </div>
                                 <div class="form-group">
-                                    <label for="customer-phone">${
+                                    <label for="${this.instanceId}-customer-phone">${
                                       this.config.text.phoneLabel
                                     }</label>
-                                    <input type="tel" id="customer-phone" name="phone" required>
+                                    <input type="tel" id="${this.instanceId}-customer-phone" name="phone" required>
                                 </div>
                                 <div class="form-group">
-                                    <label for="customer-email">${
+                                    <label for="${this.instanceId}-customer-email">${
                                       this.config.text.emailLabel
                                     }</label>
-                                    <input type="email" id="customer-email" name="email">
+                                    <input type="email" id="${this.instanceId}-customer-email" name="email">
                                 </div>
                                 <button type="submit" class="chat-start-btn">${
                                   this.config.text.startChatButton
@@ -408,9 +1581,22 @@
                             </button>
                         </form>
                         <div class="chat-actions">
+                            <button type="button" class="chat-handoff-btn" style="display: none;">${
+                              this.config.text.talkToPersonButton
+                            }</button>
                             <button class="chat-end-btn">End Chat</button>
                         </div>
                     </div>
+
+                    <!-- Drop zone, shown while files are dragged over the widget -->
+                    <div class="chat-drop-zone" style="display: none;">
+                        <div class="chat-drop-zone-inner">
+                            <svg viewBox="0 0 24 24" width="32" height="32">
+                                <path d="M19.35 10.04C18.67 6.59 15.64 4 12 4 9.11 4 6.6 5.64 5.35 8.04 2.34 8.36 0 10.91 0 14c0 3.31 2.69 6 6 6h13c2.76 0 5-2.24 5-5 0-2.64-2.05-4.78-4.65-4.96zM14 13v4h-4v-4H7l5-5 5 5h-3z"/>
+                            </svg>
+                            <span>${this.config.text.dropFilesText}</span>
+                        </div>
+                    </div>
                 </div>
             `;
     },
@@ -458,9 +1644,17 @@
       const button = this.elements.button;
       const widget = this.elements.widget;
 
-      // Apply colors
+      // Keep the corner and theme classes in sync with the config
+      container.classList.remove(
+        ...CONFIG_ENUMS["position.corner"],
+        ...CONFIG_ENUMS.theme
+      );
+      container.classList.add(this.config.position.corner, this.config.theme);
+
+      // Apply colors - scoped to this instance's container so several
+      // widgets on one page can use different colors
       if (this.config.colors) {
-        const root = document.documentElement;
+        const root = container;
 
         // Debug logging
         this.log("Applying colors:", this.config.colors);
@@ -571,8 +1765,8 @@
         }
       }
 
-      // Apply widget dimensions
-      if (this.config.dimensions) {
+      // Apply widget dimensions (the widget is missing until the runtime loads)
+      if (widget && this.config.dimensions) {
         if (this.config.dimensions.width) {
           widget.style.width = this.config.dimensions.width + "px";
         }
@@ -582,7 +1776,7 @@
       }
 
       // Apply background color directly to widget as fallback
-      if (this.config.colors && this.config.colors.background) {
+      if (widget && this.config.colors && this.config.colors.background) {
         widget.style.backgroundColor = this.config.colors.background;
         this.log(
           "Applied background color directly:",
@@ -664,7 +1858,7 @@
       }
 
       // Apply borders and shadows
-      if (this.config.styling) {
+      if (widget && this.config.styling) {
         if (this.config.styling.borderRadius) {
           widget.style.borderRadius = this.config.styling.borderRadius + "px";
         }
@@ -728,6 +1922,31 @@
         self.closeWidget();
       });
 
+      // Shared files panel
+      this.elements.container
+        .querySelector(".chat-files-btn")
+        .addEventListener("click", function () {
+          self.toggleFilesPanel();
+        });
+
+      this.elements.filesPanel.addEventListener("click", function (e) {
+        if (e.target.closest(".chat-files-panel-close")) {
+          self.toggleFilesPanel(false);
+          return;
+        }
+
+        const downloadBtn = e.target.closest(".shared-file-download");
+        if (downloadBtn) {
+          self.downloadFile(downloadBtn.dataset.url, downloadBtn.dataset.name);
+          return;
+        }
+
+        const image = e.target.closest("[data-lightbox-url]");
+        if (image) {
+          self.openLightbox(image.dataset.lightboxUrl);
+        }
+      });
+
       // Start chat form
       if (this.elements.startForm) {
         this.elements.startForm.addEventListener("submit", function (e) {
@@ -756,6 +1975,111 @@
         });
       }
 
+      // Reconnect immediately instead of waiting for the countdown
+      const reconnectBtn =
+        this.elements.container.querySelector(".chat-reconnect-btn");
+      if (reconnectBtn) {
+        reconnectBtn.addEventListener("click", function () {
+          self.reconnectNow(true);
+        });
+      }
+
+      // Don't wait for the backoff when the browser comes back online
+      this.addGlobalListener(window, "online", function () {
+        if (self.socket && !self.state.isConnected) {
+          self.reconnectNow(true);
+        }
+      });
+
+      // Retry / delete actions on failed messages
+      this.elements.messages.addEventListener("click", function (e) {
+        const actionBtn = e.target.closest(
+          ".message-retry-btn, .message-delete-btn"
+        );
+        if (!actionBtn) return;
+
+        const messageEl = actionBtn.closest(".chat-message");
+        const clientMessageId = messageEl && messageEl.dataset.clientMessageId;
+        if (!clientMessageId) return;
+
+        if (actionBtn.classList.contains("message-retry-btn")) {
+          self.retryMessage(clientMessageId);
+        } else {
+          self.discardMessage(clientMessageId);
+        }
+      });
+
+      // Bot buttons and quick replies
+      this.elements.messages.addEventListener("click", function (e) {
+        const button = e.target.closest("button[data-payload]");
+        if (!button) return;
+
+        const messageEl = button.closest(".chat-message");
+        let payload;
+        try {
+          payload = JSON.parse(button.dataset.payload);
+        } catch (error) {
+          payload = button.dataset.payload;
+        }
+        self.sendPostback(
+          messageEl && messageEl.dataset.messageId,
+          button.dataset.title,
+          payload
+        );
+      });
+
+      // Alternatives offered on the queue card
+      this.elements.messages.addEventListener("click", function (e) {
+        const fallbackBtn = e.target.closest("button[data-queue-fallback]");
+        if (fallbackBtn) {
+          self.chooseQueueFallback(fallbackBtn.dataset.queueFallback);
+        }
+      });
+
+      // Stop a streaming reply
+      this.elements.messages.addEventListener("click", function (e) {
+        const stopBtn = e.target.closest(".message-stop-btn");
+        if (!stopBtn) return;
+
+        const messageEl = stopBtn.closest(".chat-message");
+        if (messageEl) {
+          self.stopStream(messageEl.dataset.messageId);
+        }
+      });
+
+      // Links in messages to other sites, if configured
+      this.elements.messages.addEventListener("click", function (e) {
+        const link = e.target.closest("a.message-link");
+        if (!link || !self.config.messageFormatting.externalLinkWarning) return;
+
+        const href = link.getAttribute("href");
+        if (
+          self.isExternalLink(href) &&
+          !window.confirm(self.config.text.externalLinkWarning.replace("{url}", href))
+        ) {
+          e.preventDefault();
+        }
+      });
+
+      // Image attachments open in the lightbox. Modified clicks keep the
+      // link's default, e.g. ctrl+click for a new tab.
+      this.elements.messages.addEventListener("click", function (e) {
+        const trigger = e.target.closest("[data-lightbox-url]");
+        if (!trigger || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey) {
+          return;
+        }
+
+        e.preventDefault();
+        self.openLightbox(trigger.dataset.lightboxUrl);
+      });
+
+      // Hand the conversation over to a person
+      if (this.elements.handoffBtn) {
+        this.elements.handoffBtn.addEventListener("click", function () {
+          self.requestHandoff();
+        });
+      }
+
       // End chat button
       const endBtn = this.elements.container.querySelector(".chat-end-btn");
       if (endBtn) {
@@ -777,6 +2101,66 @@
           self.log('File input changed, files selected:', e.target.files.length);
           self.handleFileSelection(e);
         });
+
+        // Remove buttons in the file preview
+        this.elements.filePreview.addEventListener("click", function (e) {
+          const removeBtn = e.target.closest(".file-remove-btn");
+          if (!removeBtn || removeBtn.disabled) return;
+
+          const item = removeBtn.closest(".file-preview-item");
+          if (item) {
+            self.removeFile(item.dataset.fileId);
+          }
+        });
+
+        // Drag and drop anywhere on the open widget. dragenter/dragleave
+        // also fire for every child, so count them to know when the drag
+        // really left the widget.
+        let dragDepth = 0;
+
+        this.elements.widget.addEventListener("dragenter", function (e) {
+          if (!self.hasDraggedFiles(e) || !self.canAttachFiles()) return;
+          e.preventDefault();
+          dragDepth++;
+          self.setDropZoneActive(true);
+        });
+
+        this.elements.widget.addEventListener("dragover", function (e) {
+          if (!self.hasDraggedFiles(e)) return;
+          // Needed for the drop event to fire. Files that can't be attached
+          // yet are refused rather than opened by the browser.
+          e.preventDefault();
+          e.dataTransfer.dropEffect = self.canAttachFiles() ? "copy" : "none";
+        });
+
+        this.elements.widget.addEventListener("dragleave", function (e) {
+          if (!self.hasDraggedFiles(e)) return;
+          dragDepth = Math.max(0, dragDepth - 1);
+          if (dragDepth === 0) {
+            self.setDropZoneActive(false);
+          }
+        });
+
+        this.elements.widget.addEventListener("drop", function (e) {
+          dragDepth = 0;
+          self.setDropZoneActive(false);
+          if (!self.hasDraggedFiles(e)) return;
+
+          // Keep the browser from navigating to the file
+          e.preventDefault();
+          if (!self.canAttachFiles()) return;
+
+          const files = Array.from(e.dataTransfer.files);
+          self.log('Files dropped:', files.length);
+          if (files.length > 0) {
+            self.attachFiles(files);
+          }
+        });
+
+        // Pasted screenshots and copied files
+        this.elements.input.addEventListener("paste", function (e) {
+          self.handlePaste(e);
+        });
       } else {
         this.log('WARNING: File upload elements not found', {
           attachmentBtn: !!this.elements.attachmentBtn,
@@ -784,16 +2168,17 @@
         });
       }
 
-      // Click outside to close (optional)
-      document.addEventListener("click", function (e) {
-        if (!self.elements.container.contains(e.target) && self.state.isOpen) {
+      // Click outside to close (optional). composedPath() sees through the
+      // shadow root, where e.target would be the host element.
+      this.addGlobalListener(document, "click", function (e) {
+        if (!e.composedPath().includes(self.elements.container) && self.state.isOpen) {
           // Optionally close widget when clicking outside
           // self.closeWidget();
         }
       });
 
       // Session persistence event listeners
-      document.addEventListener("visibilitychange", function () {
+      this.addGlobalListener(document, "visibilitychange", function () {
         if (
           !document.hidden &&
           self.socket &&
@@ -802,8 +2187,14 @@
           self.validateSession();
         }
       });
+    },
 
-
+    /**
+     * Add a listener on window/document that is removed again on destroy
+     */
+    addGlobalListener: function (target, type, handler) {
+      target.addEventListener(type, handler);
+      this.globalListeners.push({ target: target, type: type, handler: handler });
     },
 
     /**
@@ -813,16 +2204,15 @@
       const self = this;
 
       try {
-        this.socket = io(this.config.serverUrl, {
-          transports: ["websocket", "polling"],
-          withCredentials: true,
-        });
+        this.socket = this.createTransport();
 
         // Connection events
         this.socket.on("connect", function () {
           self.log("Connected to chat server with ID:", self.socket.id);
           self.state.isConnected = true;
+          self.cancelReconnect();
           self.updateConnectionStatus("connected");
+          self.emitEvent("connected", { socketId: self.socket.id });
 
           // Try to resume session if we have stored session data
           if (self.state.session.chatSessionId) {
@@ -832,18 +2222,37 @@
               customerName: self.state.customerInfo.name,
             });
           }
+
+          // Resend anything written while we were offline
+          self.flushOutbox();
         });
 
-        this.socket.on("disconnect", function () {
-          self.log("Disconnected from chat server");
+        this.socket.on("disconnect", function (reason) {
+          self.log("Disconnected from chat server:", reason);
           self.state.isConnected = false;
           self.updateConnectionStatus("disconnected");
+          self.emitEvent("disconnected", { reason: reason });
+
+          // Keep what was streamed so far; the end event or the history
+          // fills in the rest after reconnecting
+          self.interruptStreams();
+
+          // A client-side disconnect is intentional (e.g. destroy)
+          if (reason !== "io client disconnect") {
+            self.scheduleReconnect();
+          }
         });
 
         this.socket.on("connect_error", function (error) {
           self.log("Connection error:", error);
           self.state.isConnected = false;
           self.updateConnectionStatus("error");
+          self.emitEvent("error", {
+            type: "connection",
+            message: "Could not connect to the chat server",
+            error: error,
+          });
+          self.scheduleReconnect();
         });
 
         // Chat events
@@ -868,10 +2277,37 @@
           self.handleReceiveMessage(message);
         });
 
+        // Streaming replies: start, any number of deltas, end
+        this.socket.on("message-stream-start", function (data) {
+          self.handleStreamStart(data);
+        });
+
+        this.socket.on("message-stream-delta", function (data) {
+          self.handleStreamDelta(data);
+        });
+
+        this.socket.on("message-stream-end", function (data) {
+          self.handleStreamEnd(data);
+        });
+
         this.socket.on("agent-assigned", function (data) {
           self.handleAgentAssigned(data);
         });
 
+        // Handoff to a person: waiting in the queue, or nobody available
+        this.socket.on("handoff-queued", function (data) {
+          self.handleHandoffQueued(data);
+        });
+
+        this.socket.on("handoff-failed", function (data) {
+          self.handleHandoffFailed(data);
+        });
+
+        // Position in the queue while waiting for an agent
+        this.socket.on("queue-update", function (data) {
+          self.handleQueueUpdate(data);
+        });
+
         // Typing indicator events - Following documentation
         this.socket.on("user-typing", function (data) {
           self.handleUserTyping(data);
@@ -899,155 +2335,813 @@
           self.handleEndChatError(error);
         });
 
-        // Message receipts
-        this.socket.on("mark-message-as-read-response", function (response) {
-          self.log("Message receipt:", response);
-        });
+        // Message receipts
+        this.socket.on("mark-message-as-read-response", function (response) {
+          self.log("Message receipt:", response);
+          self.handleMessageRead(response.data || response);
+        });
+
+        this.socket.on("message-delivered", function (data) {
+          self.handleMessageDelivered(data);
+        });
+
+        // Agent has read our messages
+        this.socket.on("message-read", function (data) {
+          self.handleMessageRead(data);
+        });
+
+        // Message sent confirmation
+        this.socket.on("message-sent", function (data) {
+          self.log("Message sent confirmation:", data);
+          self.handleMessageSent(data.data);
+        });
+      } catch (error) {
+        console.error(
+          "ChatWidget: Failed to initialize socket connection:",
+          error
+        );
+        this.updateConnectionStatus("error");
+      }
+    },
+
+    /**
+     * Create the transport adapter selected in config.transport
+     */
+    createTransport: function () {
+      const options = Object.assign({}, this.config.transport, {
+        // We drive reconnection ourselves so the countdown can be shown
+        reconnection: !this.isReconnectionEnabled(),
+      });
+      const type = options.type || "socket.io";
+      const factory = Transports[type];
+
+      if (!factory) {
+        throw new Error(`Unknown transport "${type}"`);
+      }
+
+      this.log("Using transport:", type);
+      return factory(this.config.serverUrl, options);
+    },
+
+    /**
+     * Update connection status UI
+     */
+    updateConnectionStatus: function (status) {
+      const connectingEl =
+        this.elements.container.querySelector(".chat-connecting");
+      const startEl = this.elements.container.querySelector(".chat-start");
+      const statusEl = this.elements.container.querySelector(".chat-status");
+
+      switch (status) {
+        case "connecting":
+          connectingEl.style.display = "block";
+          startEl.style.display = "none";
+          statusEl.textContent = "Connecting...";
+          break;
+        case "connected":
+          connectingEl.style.display = "none";
+          // Keep the conversation in place when reconnecting mid-chat
+          if (!this.state.isChatStarted) {
+            startEl.style.display = "block";
+          }
+          statusEl.textContent = "Connected";
+          break;
+        case "disconnected":
+          statusEl.textContent = "Disconnected";
+          break;
+        case "error":
+          connectingEl.style.display = "none";
+          if (!this.state.isChatStarted) {
+            startEl.style.display = "block";
+          }
+          statusEl.textContent = "Connection Error";
+          break;
+      }
+    },
+
+    /**
+     * Handle chat started event
+     */
+    handleChatStarted: function (data) {
+      this.log("Chat started:", data);
+
+      this.state.isChatStarted = true;
+      this.state.session = {
+        customerId: data.customerId,
+        chatSessionId: data.chatSessionId,
+      };
+
+      // Store session for persistence
+      this.storeSession(data);
+
+      // Update UI
+      this.elements.container.querySelector(".chat-start").style.display =
+        "none";
+      this.elements.container.querySelector(
+        ".chat-conversation"
+      ).style.display = "flex";
+      this.elements.container.querySelector(
+        ".chat-input-container"
+      ).style.display = "block";
+      this.elements.container.querySelector(".chat-status").textContent =
+        "Online";
+
+      // Add welcome message
+      this.addMessage({
+        id: "welcome",
+        message: data.message,
+        sender_type: 1,
+        timestamp: new Date(),
+      });
+
+      // A new conversation has no history to load, so a reconnect only
+      // fetches what we missed. Nothing from the server has been seen yet,
+      // so that is everything; messages already on screen are skipped.
+      this.state.historyLoaded = true;
+      this.state.lastSeenMessage = null;
+
+      // Focus input
+      this.elements.input.focus();
+
+      this.emitEvent("chatStarted", {
+        customerId: data.customerId,
+        chatSessionId: data.chatSessionId,
+        resumed: false,
+      });
+    },
+
+    /**
+     * Handle received message
+     */
+    handleReceiveMessage: function (message) {
+      this.log("Message received:", message);
+
+      // Already displayed (e.g. delivered again after a reconnect)
+      if (message.id && this.isKnownMessage(message.id)) {
+        if (!this.completeBrokenStream(message)) {
+          this.log("Duplicate message ignored:", message.id);
+        }
+        return;
+      }
+      this.updateLastSeenMessage(message);
+
+      // Echo of a message we sent ourselves - treat it as an acknowledgement
+      if (
+        message.clientMessageId &&
+        this.state.outgoingMessages.has(message.clientMessageId)
+      ) {
+        this.handleMessageSent({
+          messageId: message.id,
+          clientMessageId: message.clientMessageId,
+        });
+        return;
+      }
+
+      // Hide typing indicator
+      this.state.agentTyping = false;
+      this.updateTypingIndicator();
+
+      const transformed = this.runPluginHook("afterReceive", message);
+      if (!transformed) {
+        this.log("Message dropped by plugin:", message.id);
+        return;
+      }
+      message = transformed;
+
+      const timestamp = new Date(message.timestamp || Date.now());
+
+      // Add message to UI, keeping any fields plugins added for rendering
+      this.addMessage(
+        Object.assign({}, message, {
+          timestamp: timestamp,
+          files: message.files,
+          // For backward compatibility
+          attachments: message.attachments,
+        })
+      );
+
+      this.emitEvent("messageReceived", {
+        id: message.id,
+        message: message.message,
+        senderType: message.sender_type,
+        timestamp: timestamp,
+        files: message.files || message.attachments || [],
+      });
+
+      // Mark as read
+      if (message.id && this.state.session.chatSessionId) {
+        this.socket.emit("mark-message-as-read", {
+          messageId: message.id,
+          sessionId: this.state.session.chatSessionId,
+        });
+      }
+
+      // Show notification if widget is closed
+      if (!this.state.isOpen) {
+        this.showNotification();
+      }
+    },
+
+    /**
+     * Handle agent assigned: { agentId, agentName, agentType, avatarUrl }.
+     * agentType is "ai" for the AI assistant and "human" (the default)
+     * for a person, e.g. after a handoff.
+     */
+    handleAgentAssigned: function (data) {
+      this.log("Agent assigned:", data);
+
+      const previous = this.state.agentInfo;
+      const handedOff = !!this.state.handoff;
+
+      this.state.agentInfo = {
+        name: data.agentName,
+        id: data.agentId,
+        type: data.agentType === "ai" ? "ai" : "human",
+        avatarUrl: data.avatarUrl || null,
+      };
+      if (this.state.agentInfo.type === "human") {
+        this.state.handoff = null;
+      }
+      if (!this.state.handoff) {
+        this.clearQueue();
+      }
+
+      // Update UI
+      this.updateAgentHeader();
+
+      // Sent again when a session is resumed - nothing new to announce
+      if (previous && previous.id === data.agentId) return;
+
+      // Add system message
+      this.addMessage({
+        id: `system-agent-assigned-${data.agentId}`,
+        message: handedOff
+          ? this.config.text.handoffCompleteText.replace("{name}", data.agentName)
+          : `${data.agentName} has joined the chat.`,
+        sender_type: 0,
+        timestamp: new Date(),
+      });
+
+      this.emitEvent("agentAssigned", {
+        agentId: data.agentId,
+        agentName: data.agentName,
+        agentType: this.state.agentInfo.type,
+      });
+    },
+
+    /**
+     * Whether the AI assistant is answering: an AI agent is assigned, or
+     * AI replies arrive without any agent assigned
+     */
+    isAiAgent: function () {
+      const agent = this.state.agentInfo;
+      if (agent) return agent.type === "ai";
+      return this.state.messages.some((msg) => msg.sender_type === 3);
+    },
+
+    /**
+     * Title, status, avatar and handoff button for the current agent
+     */
+    updateAgentHeader: function () {
+      const agent = this.state.agentInfo;
+      const text = this.config.text;
+
+      this.elements.container.querySelector(".chat-title").textContent = agent
+        ? `${text.companyName} - ${agent.name}`
+        : text.companyName;
+
+      this.elements.container.querySelector(".chat-status").textContent =
+        this.state.handoff || this.state.queue
+        ? text.waitingForAgentStatus
+        : !agent
+        ? "Online"
+        : agent.type === "ai"
+        ? text.aiAssistantStatus
+        : `Chatting with ${agent.name}`;
+
+      this.renderAgentAvatar();
+      this.updateHandoffControls();
+    },
+
+    /**
+     * Header avatar: a robot for the AI assistant, the agent's picture or
+     * initials for a person
+     */
+    renderAgentAvatar: function () {
+      const avatarEl = this.elements.agentAvatar;
+      if (!avatarEl) return;
+
+      const agent = this.state.agentInfo;
+      avatarEl.className = `chat-header-avatar ${agent ? agent.type : ""}`;
+      avatarEl.style.display = agent ? "" : "none";
+
+      if (!agent) {
+        avatarEl.innerHTML = "";
+      } else if (agent.type === "ai") {
+        avatarEl.innerHTML = `
+          <svg viewBox="0 0 24 24" width="20" height="20" aria-hidden="true">
+            <path d="M20 9V7c0-1.1-.9-2-2-2h-3c0-1.66-1.34-3-3-3S9 3.34 9 5H6c-1.1 0-2 .9-2 2v2c-1.66 0-3 1.34-3 3s1.34 3 3 3v4c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2v-4c1.66 0 3-1.34 3-3s-1.34-3-3-3zM7.5 11.5c0-.83.67-1.5 1.5-1.5s1.5.67 1.5 1.5S9.83 13 9 13s-1.5-.67-1.5-1.5zM16 17H8v-2h8v2zm-1-4c-.83 0-1.5-.67-1.5-1.5S14.17 10 15 10s1.5.67 1.5 1.5S15.83 13 15 13z"/>
+          </svg>`;
+      } else if (agent.avatarUrl && /^https?:\/\//i.test(agent.avatarUrl)) {
+        avatarEl.innerHTML = `<img src="${this.escapeAttribute(agent.avatarUrl)}" alt="" />`;
+      } else {
+        const initials = String(agent.name || "")
+          .split(/\s+/)
+          .filter(Boolean)
+          .map((part) => part[0])
+          .join("")
+          .slice(0, 2)
+          .toUpperCase();
+        avatarEl.textContent = initials;
+      }
+      avatarEl.title = agent ? agent.name : "";
+    },
+
+    /**
+     * "Talk to a person" is offered while the AI assistant is answering
+     * and no handoff is pending
+     */
+    updateHandoffControls: function () {
+      if (!this.elements.handoffBtn) return;
+
+      const available =
+        this.config.handoff.enabled &&
+        this.state.isChatStarted &&
+        !this.state.handoff &&
+        this.isAiAgent();
+      this.elements.handoffBtn.style.display = available ? "" : "none";
+    },
+
+    /**
+     * Ask for a person to take over from the AI assistant. The server gets
+     * the last message seen and any context from handoff.getContext, and
+     * answers with "handoff-queued" and later "agent-assigned".
+     */
+    requestHandoff: function (reason) {
+      const chatSessionId = this.state.session.chatSessionId;
+      if (!chatSessionId || this.state.handoff) return;
+
+      let context = null;
+      if (typeof this.config.handoff.getContext === "function") {
+        try {
+          context = this.config.handoff.getContext.call(this) || null;
+        } catch (error) {
+          console.error("ChatWidget: handoff.getContext failed:", error);
+        }
+      }
+
+      this.state.handoff = "requested";
+      this.socket.emit("handoff-request", {
+        chatSessionId: chatSessionId,
+        reason: reason || null,
+        lastMessageId: this.state.lastSeenMessage
+          ? this.state.lastSeenMessage.id
+          : null,
+        context: context,
+      });
+
+      this.addMessage({
+        id: `system-handoff-${Date.now()}`,
+        message: this.config.text.handoffRequestedText,
+        sender_type: 0,
+        timestamp: new Date(),
+      });
+      this.updateAgentHeader();
+
+      this.emitEvent("handoffRequested", {
+        chatSessionId: chatSessionId,
+        reason: reason || null,
+      });
+    },
+
+    /**
+     * The handoff request is waiting for a free agent
+     */
+    handleHandoffQueued: function (data) {
+      this.log("Handoff queued:", data);
+
+      // A person may already have been assigned
+      if (this.state.agentInfo && this.state.agentInfo.type === "human") return;
+
+      this.state.handoff = "queued";
+      this.updateAgentHeader();
+    },
+
+    /**
+     * Nobody can take over - stay with the AI assistant
+     */
+    handleHandoffFailed: function (data) {
+      this.log("Handoff failed:", data);
+
+      this.state.handoff = null;
+      this.addMessage({
+        id: `system-handoff-failed-${Date.now()}`,
+        message: (data && data.message) || this.config.text.handoffUnavailableText,
+        sender_type: 0,
+        timestamp: new Date(),
+      });
+      this.updateAgentHeader();
+    },
+
+    /**
+     * Queue state while waiting for an agent: { position, estimatedWait
+     * (seconds), agentsOnline }. Shown as a live card in the conversation.
+     */
+    handleQueueUpdate: function (data) {
+      if (!data) return;
+      this.log("Queue update:", data);
+
+      // Already talking to a person
+      if (this.state.agentInfo && this.state.agentInfo.type === "human") return;
+
+      if (!this.state.queue) {
+        this.state.queue = { fallback: null, fallbackTimer: null };
+        this.startQueueFallbackTimer();
+      }
+
+      const queue = this.state.queue;
+      queue.position = typeof data.position === "number" ? data.position : null;
+      queue.estimatedWait =
+        typeof data.estimatedWait === "number" ? data.estimatedWait : null;
+      queue.agentsOnline =
+        typeof data.agentsOnline === "number" ? data.agentsOnline : null;
+
+      this.renderQueueCard();
+      this.updateAgentHeader();
+
+      this.emitEvent("queueUpdated", {
+        position: queue.position,
+        estimatedWait: queue.estimatedWait,
+        agentsOnline: queue.agentsOnline,
+      });
+    },
+
+    /**
+     * Add or refresh the queue card message
+     */
+    renderQueueCard: function () {
+      const queue = this.state.queue;
+      if (!queue) return;
+
+      const snapshot = {
+        position: queue.position,
+        estimatedWait: queue.estimatedWait,
+        agentsOnline: queue.agentsOnline,
+        fallback: queue.fallback,
+      };
+
+      if (this.state.messages.some((msg) => msg.id === "queue-status")) {
+        this.updateMessage("queue-status", { queue: snapshot });
+      } else {
+        this.addMessage({
+          id: "queue-status",
+          type: "queue",
+          message: "",
+          sender_type: 0,
+          timestamp: new Date(),
+          queue: snapshot,
+        });
+      }
+    },
+
+    getQueueCardHTML: function (queue) {
+      const text = this.config.text;
+      const lines = [];
+
+      if (queue.position !== null) {
+        lines.push(text.queuePositionText.replace("{position}", queue.position));
+      }
+      if (queue.estimatedWait !== null) {
+        lines.push(text.queueWaitText.replace("{wait}", this.formatWaitTime(queue.estimatedWait)));
+      }
+      if (queue.agentsOnline === 0) {
+        lines.push(text.noAgentsOnlineText);
+      } else if (queue.agentsOnline !== null) {
+        lines.push(text.agentsOnlineText.replace("{count}", queue.agentsOnline));
+      }
+
+      let fallbackHtml = "";
+      if (queue.fallback === "offered") {
+        const labels = {
+          message: text.leaveMessageButton,
+          callback: text.requestCallbackButton,
+          wait: text.keepWaitingButton,
+        };
+        const buttons = this.config.queue.fallbackOptions
+          .filter((choice) => labels[choice])
+          .map(
+            (choice) =>
+              `<button type="button" class="message-button" data-queue-fallback="${choice}">${escapeText(
+                labels[choice]
+              )}</button>`
+          )
+          .join("");
+        fallbackHtml = `
+          <div class="chat-queue-fallback">
+            <p>${escapeText(text.queueFallbackText)}</p>
+            <div class="message-buttons">${buttons}</div>
+          </div>`;
+      } else if (queue.fallback === "message" || queue.fallback === "callback") {
+        const note =
+          queue.fallback === "message" ? text.leaveMessageConfirmText : text.callbackConfirmText;
+        fallbackHtml = `<div class="chat-queue-fallback"><p>${escapeText(note)}</p></div>`;
+      }
+
+      return `
+        <div class="chat-queue-card" role="status">
+          <div class="chat-queue-title">${escapeText(text.queueTitle)}</div>
+          ${lines.map((line) => `<div class="chat-queue-line">${escapeText(line)}</div>`).join("")}
+          ${fallbackHtml}
+        </div>`;
+    },
 
-        // Message sent confirmation
-        this.socket.on("message-sent", function (data) {
-          self.log("Message sent confirmation:", data);
-          self.handleMessageSent(data.data);
-        });
-      } catch (error) {
-        console.error(
-          "ChatWidget: Failed to initialize socket connection:",
-          error
-        );
-        this.updateConnectionStatus("error");
+    /**
+     * "less than a minute" or "about N min" for a wait in seconds
+     */
+    formatWaitTime: function (seconds) {
+      if (seconds < 60) {
+        return this.config.text.waitLessThanMinuteText;
       }
+      return this.config.text.waitMinutesText.replace(
+        "{minutes}",
+        Math.round(seconds / 60)
+      );
     },
 
     /**
-     * Update connection status UI
+     * Offer the alternatives in queue.fallbackOptions after
+     * queue.fallbackTimeout in the queue
      */
-    updateConnectionStatus: function (status) {
-      const connectingEl =
-        this.elements.container.querySelector(".chat-connecting");
-      const startEl = this.elements.container.querySelector(".chat-start");
-      const statusEl = this.elements.container.querySelector(".chat-status");
+    startQueueFallbackTimer: function () {
+      const queue = this.state.queue;
+      const timeout = this.config.queue.fallbackTimeout;
+      if (!queue || !timeout || this.config.queue.fallbackOptions.length === 0) return;
+
+      clearTimeout(queue.fallbackTimer);
+      queue.fallbackTimer = setTimeout(() => {
+        queue.fallbackTimer = null;
+        if (this.state.queue !== queue) return;
+
+        queue.fallback = "offered";
+        this.renderQueueCard();
+      }, timeout);
+    },
 
-      switch (status) {
-        case "connecting":
-          connectingEl.style.display = "block";
-          startEl.style.display = "none";
-          statusEl.textContent = "Connecting...";
-          break;
-        case "connected":
-          connectingEl.style.display = "none";
-          startEl.style.display = "block";
-          statusEl.textContent = "Connected";
-          break;
-        case "disconnected":
-          statusEl.textContent = "Disconnected";
-          break;
-        case "error":
-          connectingEl.style.display = "none";
-          startEl.style.display = "block";
-          statusEl.textContent = "Connection Error";
-          break;
+    /**
+     * The customer picked an alternative to waiting: "message" (write
+     * now, get an answer later), "callback" or "wait" (ask again after
+     * another fallbackTimeout)
+     */
+    chooseQueueFallback: function (choice) {
+      const queue = this.state.queue;
+      if (!queue) return;
+
+      if (this.socket && this.state.session.chatSessionId) {
+        this.socket.emit("queue-fallback", {
+          chatSessionId: this.state.session.chatSessionId,
+          choice: choice,
+          phone: choice === "callback" ? this.state.customerInfo.phone || null : undefined,
+        });
+      }
+
+      if (choice === "wait") {
+        queue.fallback = null;
+        this.startQueueFallbackTimer();
+      } else {
+        queue.fallback = choice;
       }
+      this.renderQueueCard();
+
+      if (choice === "message") {
+        this.elements.input.focus();
+      }
+
+      this.emitEvent("queueFallback", { choice: choice });
     },
 
     /**
-     * Handle chat started event
+     * Done waiting - drop the queue card
      */
-    handleChatStarted: function (data) {
-      this.log("Chat started:", data);
+    clearQueue: function () {
+      if (!this.state.queue) return;
 
-      this.state.isChatStarted = true;
-      this.state.session = {
-        customerId: data.customerId,
-        chatSessionId: data.chatSessionId,
-      };
+      clearTimeout(this.state.queue.fallbackTimer);
+      this.state.queue = null;
+      this.removeMessage("queue-status");
+    },
 
-      // Store session for persistence
-      this.storeSession(data);
+    /**
+     * A streamed reply begins: { id, sender_type, senderId, timestamp }.
+     * sender_type defaults to 3, the AI assistant.
+     */
+    handleStreamStart: function (data) {
+      if (!data || !data.id) return;
+
+      const existing = this.state.messages.find((msg) => msg.id === data.id);
+      if (existing) {
+        // Started again after a reconnect - keep growing the same bubble
+        if (existing.streamStatus === "interrupted") {
+          this.updateMessage(data.id, { streamStatus: "streaming" });
+          this.touchStream(data.id);
+        }
+        return;
+      }
 
-      // Update UI
-      this.elements.container.querySelector(".chat-start").style.display =
-        "none";
-      this.elements.container.querySelector(
-        ".chat-conversation"
-      ).style.display = "flex";
-      this.elements.container.querySelector(
-        ".chat-input-container"
-      ).style.display = "block";
-      this.elements.container.querySelector(".chat-status").textContent =
-        "Online";
+      this.state.agentTyping = false;
+      this.updateTypingIndicator();
 
-      // Add welcome message
       this.addMessage({
-        id: "welcome",
-        message: data.message,
-        sender_type: 1,
-        timestamp: new Date(),
+        id: data.id,
+        message: data.message || "",
+        sender_type: data.sender_type !== undefined ? data.sender_type : 3,
+        senderId: data.senderId,
+        timestamp: new Date(data.timestamp || Date.now()),
+        streamStatus: "streaming",
       });
+      this.touchStream(data.id);
+    },
 
-      // Focus input
-      this.elements.input.focus();
+    /**
+     * More text for a streamed reply: { id, delta }
+     */
+    handleStreamDelta: function (data) {
+      if (!data || !data.id) return;
+
+      let messageData = this.state.messages.find((msg) => msg.id === data.id);
+      if (!messageData || messageData.streamStatus === "interrupted") {
+        // Missed the start, or the stream resumed after a reconnect
+        this.handleStreamStart(data);
+        messageData = this.state.messages.find((msg) => msg.id === data.id);
+      }
+      if (!messageData || messageData.streamStatus !== "streaming") return;
+
+      messageData.message += data.delta || "";
+      this.touchStream(data.id);
+      this.scheduleStreamRender(data.id);
     },
 
     /**
-     * Handle received message
+     * A streamed reply is finished: { id, message, reason }. `message` is
+     * the full text and replaces whatever was pieced together from deltas;
+     * `reason` is "complete" (default), "stopped" or "error".
      */
-    handleReceiveMessage: function (message) {
-      this.log("Message received:", message);
+    handleStreamEnd: function (data) {
+      if (!data || !data.id) return;
+
+      const messageData = this.state.messages.find((msg) => msg.id === data.id);
+      if (!messageData) {
+        // Never saw the stream - show the result as a normal message
+        if (data.message) {
+          this.handleReceiveMessage(Object.assign({ sender_type: 3 }, data));
+        }
+        return;
+      }
 
-      // Hide typing indicator
-      this.state.agentTyping = false;
-      this.updateTypingIndicator();
+      const reason = data.reason || "complete";
+      this.finishStream(
+        data.id,
+        reason === "complete" ? "complete" : reason === "stopped" ? "stopped" : "interrupted",
+        typeof data.message === "string" ? data.message : undefined
+      );
 
-      // Add message to UI
-      this.addMessage({
-        id: message.id,
-        message: message.message,
-        sender_type: message.sender_type,
-        timestamp: new Date(message.timestamp || Date.now()),
-        files: message.files,
-        // For backward compatibility
-        attachments: message.attachments
+      if (messageData.streamEnded) return;
+      messageData.streamEnded = true;
+
+      this.updateLastSeenMessage(messageData);
+
+      // Plugins see the finished reply, like any other received message
+      const transformed = this.runPluginHook(
+        "afterReceive",
+        Object.assign({}, messageData)
+      );
+      if (!transformed) {
+        this.log("Message dropped by plugin:", messageData.id);
+        this.removeMessage(messageData.id);
+        return;
+      }
+      this.updateMessage(messageData.id, transformed);
+
+      this.emitEvent("messageReceived", {
+        id: messageData.id,
+        message: messageData.message,
+        senderType: messageData.sender_type,
+        timestamp: messageData.timestamp,
+        files: [],
       });
 
-      // Mark as read
-      if (message.id && this.state.session.chatSessionId) {
+      if (this.state.session.chatSessionId) {
         this.socket.emit("mark-message-as-read", {
-          messageId: message.id,
+          messageId: messageData.id,
           sessionId: this.state.session.chatSessionId,
         });
       }
 
-      // Show notification if widget is closed
       if (!this.state.isOpen) {
         this.showNotification();
       }
     },
 
     /**
-     * Handle agent assigned
+     * Ask the server to stop generating and keep the text so far
      */
-    handleAgentAssigned: function (data) {
-      this.log("Agent assigned:", data);
+    stopStream: function (id) {
+      const messageData = this.state.messages.find((msg) => msg.id === id);
+      if (!messageData || messageData.streamStatus !== "streaming") return;
 
-      this.state.agentInfo = {
-        name: data.agentName,
-        id: data.agentId,
-      };
+      if (this.socket && this.state.session.chatSessionId) {
+        this.socket.emit("message-stream-stop", {
+          messageId: id,
+          chatSessionId: this.state.session.chatSessionId,
+        });
+      }
+      this.finishStream(id, "stopped");
+    },
 
-      // Update UI
-      this.elements.container.querySelector(
-        ".chat-title"
-      ).textContent = `${this.config.companyName} - ${data.agentName}`;
-      this.elements.container.querySelector(
-        ".chat-status"
-      ).textContent = `Chatting with ${data.agentName}`;
+    /**
+     * Settle a streamed reply as "complete", "stopped" or "interrupted",
+     * optionally with its final text
+     */
+    finishStream: function (id, status, text) {
+      const stream = this.state.streams.get(id);
+      if (stream) {
+        clearTimeout(stream.idleTimer);
+        cancelAnimationFrame(stream.renderFrame);
+        this.state.streams.delete(id);
+      }
 
-      // Add system message
-      this.addMessage({
-        id: "system-agent-assigned",
-        message: `${data.agentName} has joined the chat.`,
-        sender_type: 0,
-        timestamp: new Date(),
+      const changes = { streamStatus: status };
+      if (text !== undefined) {
+        changes.message = text;
+      }
+      this.updateMessage(id, changes);
+    },
+
+    /**
+     * Treat every running stream as broken, e.g. when the connection drops
+     */
+    interruptStreams: function () {
+      Array.from(this.state.streams.keys()).forEach((id) => {
+        this.finishStream(id, "interrupted");
+      });
+    },
+
+    clearStreams: function () {
+      this.state.streams.forEach((stream) => {
+        clearTimeout(stream.idleTimer);
+        cancelAnimationFrame(stream.renderFrame);
+      });
+      this.state.streams.clear();
+    },
+
+    /**
+     * The full version of a reply whose stream broke off arrived (again
+     * as a message or in the history) - show it in the same bubble
+     */
+    completeBrokenStream: function (message) {
+      const messageData = this.state.messages.find((msg) => msg.id === message.id);
+      if (!messageData || messageData.streamStatus !== "interrupted") {
+        return false;
+      }
+
+      this.handleStreamEnd({ id: message.id, message: message.message || "" });
+      return true;
+    },
+
+    /**
+     * Restart the idle timer of a stream; a reply that stops growing for
+     * streaming.idleTimeout is settled as interrupted
+     */
+    touchStream: function (id) {
+      const stream = this.state.streams.get(id) || {};
+      clearTimeout(stream.idleTimer);
+      stream.idleTimer = setTimeout(() => {
+        this.log("Stream timed out:", id);
+        this.finishStream(id, "interrupted");
+      }, this.config.streaming.idleTimeout);
+      this.state.streams.set(id, stream);
+    },
+
+    /**
+     * Redraw a growing reply once per frame, however many deltas arrive.
+     * Only the text is replaced, so the stop button stays clickable.
+     */
+    scheduleStreamRender: function (id) {
+      const stream = this.state.streams.get(id);
+      if (!stream || stream.renderFrame) return;
+
+      stream.renderFrame = requestAnimationFrame(() => {
+        stream.renderFrame = null;
+
+        const messageData = this.state.messages.find((msg) => msg.id === id);
+        const content = this.findMessageElement(id);
+        const contentEl = content && content.querySelector(".message-content");
+        if (!messageData || !contentEl) return;
+
+        const shouldAutoScroll = this.isNearBottom();
+        contentEl.innerHTML = this.formatMessageText(messageData);
+        if (shouldAutoScroll) {
+          this.autoScrollToBottom();
+        }
       });
     },
 
@@ -1059,8 +3153,12 @@
       
       const { sessionId, senderId, sender_type, isTyping } = data;
       
-      // Only show typing indicator for agents (sender_type = 1) in our session
-      if (sessionId === this.state.session.chatSessionId && sender_type === 1) {
+      // Only show typing indicator for agents (sender_type = 1) and the AI
+      // assistant (sender_type = 3) in our session
+      if (
+        sessionId === this.state.session.chatSessionId &&
+        (sender_type === 1 || sender_type === 3)
+      ) {
         this.state.agentTyping = isTyping;
         this.updateTypingIndicator();
         
@@ -1105,6 +3203,8 @@
       // Clear stored session
       this.clearStoredSession();
 
+      this.emitEvent("chatEnded", { message: data.message || null });
+
       // Reset state after delay
       setTimeout(() => {
         this.resetChatState();
@@ -1126,6 +3226,14 @@
       // Update stored session with fresh data
       this.storeSession(data);
 
+      // After a reconnect the conversation is already on screen - only
+      // fetch what we missed so scroll position and drafts are kept
+      if (this.state.historyLoaded) {
+        this.updateAgentHeader();
+        this.requestMissedMessages();
+        return;
+      }
+
       // Update UI
       this.elements.container.querySelector(".chat-start").style.display =
         "none";
@@ -1155,6 +3263,12 @@
         sender_type: 0,
         timestamp: new Date(),
       });
+
+      this.emitEvent("chatStarted", {
+        customerId: data.customerId,
+        chatSessionId: data.chatSessionId,
+        resumed: true,
+      });
     },
 
     /**
@@ -1188,57 +3302,230 @@
         "messages"
       );
 
+      const messages = data.messages || [];
+
+      // Once the conversation is on screen, merge instead of re-rendering
+      if (this.state.historyLoaded) {
+        this.mergeMissedMessages(messages);
+        return;
+      }
+
       // Clear current messages
       this.state.messages = [];
       this.elements.messages.innerHTML = "";
 
       // Add historical messages
-      if (data.messages && data.messages.length > 0) {
-        data.messages.forEach((msg) => {
-          this.addMessage({
-            id: msg.id,
-            message: msg.message,
-            sender_type: msg.sender_type,
-            timestamp: new Date(msg.timestamp || msg.createdAt),
-            files: msg.files,
-            // For backward compatibility
-            attachments: msg.attachments
-          });
-        });
-      }
+      messages.forEach((msg) => {
+        this.updateLastSeenMessage(msg);
+
+        const transformed = this.runPluginHook("afterReceive", msg);
+        if (transformed) {
+          this.addMessage(this.normalizeHistoryMessage(transformed));
+        }
+      });
+
+      // Re-add outgoing messages the server has not stored yet
+      this.renderOutboxMessages(messages);
+
+      this.state.historyLoaded = true;
 
       // Scroll to bottom
       this.autoScrollToBottom();
     },
 
+    /**
+     * Append messages we missed while disconnected, skipping any that are
+     * already on screen. Our own messages that come back are treated as
+     * acknowledgements.
+     */
+    mergeMissedMessages: function (messages) {
+      let added = 0;
+
+      messages.forEach((msg) => {
+        this.updateLastSeenMessage(msg);
+
+        if (
+          msg.clientMessageId &&
+          this.state.outgoingMessages.has(msg.clientMessageId)
+        ) {
+          this.handleMessageSent({
+            messageId: msg.id,
+            clientMessageId: msg.clientMessageId,
+          });
+          return;
+        }
+
+        if (this.isKnownMessage(msg.id)) {
+          this.completeBrokenStream(msg);
+          return;
+        }
+
+        const transformed = this.runPluginHook("afterReceive", msg);
+        if (!transformed) return;
+
+        this.addMessage(this.normalizeHistoryMessage(transformed));
+        added++;
+      });
+
+      this.log("Merged", added, "missed messages");
+
+      if (added > 0 && !this.state.isOpen) {
+        this.showNotification();
+      }
+    },
+
+    normalizeHistoryMessage: function (msg) {
+      return Object.assign({}, msg, {
+        timestamp: new Date(msg.timestamp || msg.createdAt),
+        files: msg.files,
+        // For backward compatibility
+        attachments: msg.attachments
+      });
+    },
+
+    /**
+     * Check whether a server message ID is already displayed
+     */
+    isKnownMessage: function (id) {
+      if (!id) return false;
+      return (
+        this.state.messages.some((msg) => msg.id === id) ||
+        this.resolveClientMessageId(id) !== null
+      );
+    },
+
+    updateLastSeenMessage: function (msg) {
+      if (!msg || !msg.id) return;
+
+      const timestamp = new Date(msg.timestamp || msg.createdAt || Date.now());
+      const last = this.state.lastSeenMessage;
+      if (!last || timestamp >= new Date(last.timestamp)) {
+        this.state.lastSeenMessage = {
+          id: msg.id,
+          timestamp: timestamp.toISOString(),
+        };
+      }
+    },
+
+    /**
+     * Ask the server only for messages after the last one we have seen
+     */
+    requestMissedMessages: function () {
+      const last = this.state.lastSeenMessage;
+      this.log("Requesting messages missed since:", last);
+
+      this.socket.emit("get-chat-history", {
+        chatSessionId: this.state.session.chatSessionId,
+        afterMessageId: last ? last.id : null,
+        after: last ? last.timestamp : null,
+      });
+    },
+
     /**
      * Handle errors
      */
     handleError: function (error) {
       this.log("Socket error:", error);
       this.showErrorMessage("An error occurred with the chat connection");
+      this.emitEvent("error", {
+        type: "socket",
+        message: (error && error.message) || "Chat connection error",
+        error: error,
+      });
     },
 
     handleMessageError: function (error) {
       this.log("Message error:", error);
       this.showErrorMessage("Failed to send message. Please try again.");
+      this.emitEvent("error", {
+        type: "message",
+        message: (error && error.message) || "Failed to send message",
+        error: error,
+      });
 
-      // Mark pending message as failed
-      this.markMessageAsFailed(error.originalMessage);
+      if (error.clientMessageId) {
+        this.markMessageAsFailed(error.clientMessageId);
+      }
     },
 
     handleMessageSent: function (data) {
       this.log("Message sent successfully:", data);
-      
-      // Find the pending message by ID and mark it as sent
+
+      const clientMessageId = data.clientMessageId;
+      const tracked = this.state.outgoingMessages.get(clientMessageId);
+      if (!tracked) {
+        this.log("Acknowledgement for unknown message ignored:", data);
+        return;
+      }
+
+      // Acknowledged messages no longer need to be resent
+      this.removeFromOutbox(clientMessageId);
+
       if (data.messageId) {
-        this.markMessageAsSent(data.messageId, data.status);
+        tracked.serverId = data.messageId;
+        this.updateLastSeenMessage({ id: data.messageId, timestamp: data.timestamp });
+        const messageEl = this.findMessageElement(clientMessageId);
+        if (messageEl) {
+          messageEl.dataset.messageId = data.messageId;
+        }
+      }
+
+      this.setMessageStatus(
+        clientMessageId,
+        data.status === "delivered"
+          ? MESSAGE_STATUS.DELIVERED
+          : MESSAGE_STATUS.SENT
+      );
+
+      this.emitEvent("messageSent", {
+        clientMessageId: clientMessageId,
+        messageId: data.messageId || null,
+        message: tracked.message,
+        status: tracked.status,
+      });
+    },
+
+    handleMessageDelivered: function (data) {
+      this.log("Message delivered:", data);
+
+      this.getReceiptMessageIds(data).forEach((id) => {
+        const clientMessageId = this.resolveClientMessageId(id);
+        if (clientMessageId) {
+          this.setMessageStatus(clientMessageId, MESSAGE_STATUS.DELIVERED);
+        }
+      });
+    },
+
+    /**
+     * Handle read receipts. Ids that are not our own outgoing messages
+     * (e.g. the agent messages we marked as read) are ignored.
+     */
+    handleMessageRead: function (data) {
+      this.log("Message read:", data);
+
+      if (
+        data.sessionId &&
+        data.sessionId !== this.state.session.chatSessionId
+      ) {
+        return;
       }
+
+      this.getReceiptMessageIds(data).forEach((id) => {
+        const clientMessageId = this.resolveClientMessageId(id);
+        if (clientMessageId) {
+          this.setMessageStatus(clientMessageId, MESSAGE_STATUS.READ);
+        }
+      });
     },
 
     handleEndChatError: function (error) {
       this.log("End chat error:", error);
       this.showErrorMessage("Failed to end chat. Please try again.");
+      this.emitEvent("error", {
+        type: "endChat",
+        message: (error && error.message) || "Failed to end chat",
+        error: error,
+      });
     },
 
     /**
@@ -1277,6 +3564,11 @@
         return;
       }
 
+      // The attachments in the preview are still being sent
+      if (this.state.sendingFiles) {
+        return;
+      }
+
       if (!this.state.session.chatSessionId) {
         this.showErrorMessage("Chat session not available");
         return;
@@ -1291,148 +3583,210 @@
     },
 
     /**
-     * Send text-only message
+     * Send a text message. `extra` fields go into the send-message payload
+     * (e.g. a postback); such messages leave the input alone.
      */
-    sendTextMessage: function(message) {
-      const tempId = "pending-" + Date.now() + "-" + Math.random().toString(36).substr(2, 9);
+    sendTextMessage: function(message, extra) {
+      const clientMessageId = this.generateClientMessageId();
       
-      const messageData = {
+      const messageData = this.runPluginHook("beforeSend", Object.assign({
         message: message,
         chatId: this.state.session.chatSessionId,
         sender_type: 2,
         source: "web",
         chatSessionId: this.state.session.chatSessionId,
-      };
+        clientMessageId: clientMessageId,
+      }, extra));
 
-      this.socket.emit("send-message", messageData);
+      if (!messageData) {
+        this.log("Message cancelled by plugin");
+        return;
+      }
 
-      // Store pending message info for tracking
-      this.state.pendingMessages.set(tempId, {
-        message: message,
-        timestamp: new Date(),
-        type: 'text'
+      this.trackOutgoingMessage(clientMessageId, {
+        message: messageData.message,
+        type: 'text',
+        payload: messageData
       });
 
       // Add message to UI immediately (optimistic)
       this.addMessage({
-        id: tempId,
-        message: message,
+        id: clientMessageId,
+        clientMessageId: clientMessageId,
+        message: messageData.message,
         sender_type: 2,
         senderId: this.state.session.customerId,
         timestamp: new Date(),
-        isPending: true,
+        status: MESSAGE_STATUS.QUEUED,
       });
 
+      this.queueMessage(messageData);
+
+      if (extra) return;
+
       // Clear input and stop typing
       this.elements.input.value = "";
       this.updateSendButton();
       this.stopTyping();
     },
 
+    /**
+     * Answer a bot button or quick reply. The title is shown as the
+     * customer's message; the server gets the payload as `postback`.
+     */
+    sendPostback: function(messageId, title, payload) {
+      if (!this.state.session.chatSessionId) {
+        this.showErrorMessage("Chat session not available");
+        return;
+      }
+
+      this.sendTextMessage(title, {
+        postback: { messageId: messageId, payload: payload },
+      });
+      this.emitEvent("postback", { messageId: messageId, title: title, payload: payload });
+    },
+
     /**
      * Send message with files
      */
     sendMessageWithFiles: async function(message) {
+      const clientMessageId = this.generateClientMessageId();
+      const attachments = this.state.attachedFiles.slice();
+
+      this.log('Starting sendMessageWithFiles process...');
+      this.log('Attached files count:', attachments.length);
+
+      // Keep our own reference to the files so a failed message can be
+      // retried after the preview has been cleared
+      this.trackOutgoingMessage(clientMessageId, {
+        message: message || "",
+        type: 'file',
+        attachments: attachments
+      });
+
+      // The text now lives in the bubble. The files stay in the preview so
+      // they can still be cancelled, but sending is blocked until they are done.
+      this.state.sendingFiles = true;
+      this.elements.input.value = "";
+      this.updateSendButton();
+      this.stopTyping();
+      
+      // Show the bubble right away while files upload
+      this.addMessage({
+        id: clientMessageId,
+        clientMessageId: clientMessageId,
+        message: message || "",
+        sender_type: 2,
+        senderId: this.state.session.customerId,
+        timestamp: new Date(),
+        status: MESSAGE_STATUS.QUEUED,
+        isUploading: true,
+        files: attachments.map(f => ({
+          fileName: f.file.name,
+          size: f.file.size,
+          type: f.file.type
+        })),
+      });
+
       try {
-        this.log('Starting sendMessageWithFiles process...');
-        this.log('Attached files count:', this.state.attachedFiles.length);
-        
-        // Show uploading indicator
-        this.addMessage({
-          id: "uploading-" + Date.now(),
-          message: message || "Uploading files...",
-          sender_type: 2,
-          senderId: this.state.session.customerId,
-          timestamp: new Date(),
-          isPending: true,
-          isUploading: true,
-        });
+        await this.uploadAndSendFiles(clientMessageId);
+      } finally {
+        // Clear the sent files - from here on they belong to the message.
+        // Files attached while the upload ran stay for the next message.
+        this.state.sendingFiles = false;
+        this.state.attachedFiles = this.state.attachedFiles.filter(f => attachments.indexOf(f) === -1);
+        this.renderFilePreview();
+        this.updateSendButton();
+      }
+    },
+
+    /**
+     * Upload the attachments of a tracked message and send it once at least
+     * one file made it to the server
+     */
+    uploadAndSendFiles: async function(clientMessageId) {
+      const tracked = this.state.outgoingMessages.get(clientMessageId);
+      const message = tracked.message;
 
+      try {
         // Upload all files
         this.log('Starting file upload process...');
-        const uploadResults = await this.uploadAllFiles();
+        const uploadResults = await this.uploadAllFiles(tracked.attachments);
         this.log('Upload results:', uploadResults);
-        
-        // Filter successful uploads
-        const successfulUploads = uploadResults.filter(result => result !== null);
-        this.log('Successful uploads count:', successfulUploads.length);
-        
-        if (successfulUploads.length === 0) {
-          this.log('ERROR: All file uploads failed');
-          this.showErrorMessage("All file uploads failed");
-          return;
-        }
 
-        // Check which files are marked as uploaded
-        const uploadedFiles = this.state.attachedFiles.filter(f => f.uploaded);
+        // Files removed from the preview during upload are dropped
+        tracked.attachments = tracked.attachments.filter(f => !f.cancelled);
+
+        // Check which files are marked as uploaded, including any that
+        // were uploaded by an earlier attempt
+        const uploadedFiles = tracked.attachments.filter(f => f.uploaded);
         this.log('Files marked as uploaded:', uploadedFiles.length);
         uploadedFiles.forEach(f => {
           this.log(`- ${f.file.name}: ${f.uploadUrl}`);
         });
 
+        if (tracked.attachments.length === 0 && !message) {
+          this.log('Every upload was cancelled - discarding message');
+          this.discardMessage(clientMessageId);
+          return;
+        }
+
+        if (uploadedFiles.length === 0 && tracked.attachments.length > 0) {
+          this.log('ERROR: All file uploads failed');
+          this.showErrorMessage("All file uploads failed");
+          this.markMessageAsFailed(clientMessageId);
+          return;
+        }
+
         // Prepare message with file attachments
-        const messageData = {
-          message: message || "",
+        const messageData = this.runPluginHook("beforeSend", {
+          message: message,
           chatId: this.state.session.chatSessionId,
           sender_type: 2,
           source: "web",
           chatSessionId: this.state.session.chatSessionId,
-          files: this.state.attachedFiles
-            .filter(f => f.uploaded)
-            .map(f => ({
-              fileName: f.file.name,
-              uri: f.uploadUrl
-            }))
-        };
-
-        this.log('Message data to send:', JSON.stringify(messageData, null, 2));
+          files: uploadedFiles.map(f => ({
+            fileName: f.file.name,
+            uri: f.uploadUrl
+          })),
+          clientMessageId: clientMessageId,
+        });
 
-        this.socket.emit("send-message", messageData);
+        if (!messageData) {
+          this.log('Message cancelled by plugin');
+          this.discardMessage(clientMessageId);
+          return;
+        }
 
-        // Generate unique temporary ID for tracking
-        const tempId = "pending-" + Date.now() + "-" + Math.random().toString(36).substr(2, 9);
+        this.log('Message data to send:', JSON.stringify(messageData, null, 2));
 
-        // Store pending message info for tracking
-        this.state.pendingMessages.set(tempId, {
-          message: message || "",
-          timestamp: new Date(),
-          type: 'file',
-          files: messageData.files
-        });
+        tracked.message = messageData.message;
+        tracked.files = messageData.files;
+        tracked.payload = messageData;
 
-        // Add message to UI
-        this.addMessage({
-          id: tempId,
-          message: message || "",
-          sender_type: 2,
-          senderId: this.state.session.customerId,
-          timestamp: new Date(),
-          isPending: true,
+        // Swap the uploading placeholder for the real attachments
+        this.updateMessage(clientMessageId, {
+          message: messageData.message,
+          isUploading: false,
           files: messageData.files,
           // Store additional metadata for display purposes
-          fileMetadata: this.state.attachedFiles
-            .filter(f => f.uploaded)
-            .map(f => ({
-              fileName: f.file.name,
-              fileSize: f.file.size,
-              fileType: f.file.type,
-              uri: f.uploadUrl
-            }))
-        });
-
-        // Clear input and files
-        this.elements.input.value = "";
-        this.state.attachedFiles = [];
-        this.renderFilePreview();
-        this.updateSendButton();
-        this.stopTyping();
+          fileMetadata: uploadedFiles.map(f => ({
+            fileName: f.file.name,
+            fileSize: f.file.size,
+            fileType: f.file.type,
+            uri: f.uploadUrl
+          }))
+        });
+
+        this.queueMessage(messageData);
 
         this.log('Message sent successfully with files');
 
       } catch (error) {
         console.error("Error sending message with files:", error);
-        this.log('ERROR in sendMessageWithFiles:', error.message);
+        this.log('ERROR in uploadAndSendFiles:', error.message);
         this.showErrorMessage("Failed to send message with files");
+        this.markMessageAsFailed(clientMessageId);
       }
     },
 
@@ -1499,20 +3853,75 @@
       // Check if user is near bottom before adding message
       const shouldAutoScroll = this.isNearBottom();
 
+      const messageEl = this.createMessageElement(messageData);
+      this.elements.messages.appendChild(messageEl);
+
+      // Auto-scroll only if user was near bottom or it's their own message
+      if (shouldAutoScroll || messageData.sender_type === 2) {
+        this.autoScrollToBottom();
+      }
+
+      if (messageData.files && messageData.files.length > 0) {
+        this.refreshFilesPanel();
+      }
+
+      // AI replies without an assigned agent also offer a handoff
+      if (messageData.sender_type === 3 && !this.state.agentInfo) {
+        this.updateHandoffControls();
+      }
+    },
+
+    /**
+     * Re-render an existing message after changing its data
+     */
+    updateMessage: function (id, changes) {
+      const messageData = this.state.messages.find((msg) => msg.id === id);
+      if (!messageData) return;
+
+      Object.assign(messageData, changes);
+
+      const oldEl = this.findMessageElement(id);
+      if (oldEl) {
+        const messageEl = this.createMessageElement(messageData);
+        // Don't replay the slide-in animation for an existing bubble
+        messageEl.style.animation = "none";
+        oldEl.parentNode.replaceChild(messageEl, oldEl);
+      }
+
+      if (changes.files) {
+        this.refreshFilesPanel();
+      }
+    },
+
+    /**
+     * Build the DOM element for a message
+     */
+    createMessageElement: function (messageData) {
       const messageEl = document.createElement("div");
-      messageEl.className = `chat-message ${
-        messageData.sender_type === 0
-          ? "system"
-          : messageData.sender_type === 1
-          ? "agent"
-          : "customer"
-      } ${messageData.isPending ? "pending" : ""} ${messageData.isUploading ? "uploading" : ""}`;
+      messageEl.className = `chat-message ${this.getSenderClass(
+        messageData
+      )} ${messageData.status || ""} ${messageData.isUploading ? "uploading" : ""} ${
+        messageData.type === "carousel" ? "carousel" : ""
+      } ${messageData.streamStatus === "streaming" ? "streaming" : ""}`;
       messageEl.dataset.messageId = messageData.id;
+      if (messageData.clientMessageId) {
+        messageEl.dataset.clientMessageId = messageData.clientMessageId;
+      }
 
-      if (messageData.sender_type === 0) {
+      const pluginContent = this.renderWithPlugins(messageData);
+
+      if (pluginContent !== null) {
+        if (typeof pluginContent === "string") {
+          messageEl.innerHTML = pluginContent;
+        } else {
+          messageEl.appendChild(pluginContent);
+        }
+      } else if (messageData.type === "queue" && isPlainObject(messageData.queue)) {
+        messageEl.innerHTML = this.getQueueCardHTML(messageData.queue);
+      } else if (messageData.sender_type === 0) {
         messageEl.innerHTML = `
-                    <div class="message-content system-message">${this.escapeHtml(
-                      messageData.message
+                    <div class="message-content system-message">${this.formatMessageText(
+                      messageData
                     )}</div>
                 `;
       } else {
@@ -1525,25 +3934,27 @@
             <div class="message-attachments">
               ${filesToDisplay.map(file => {
                 // Handle different file object formats
-                const fileName = file.file_name ;
+                const fileName = file.file_name || file.fileName;
                 const fileSize = file.file_size || file.size;
-                const fileType = file.uri ? this.getFileTypeFromName(file.file_name) : file.type;
+                const fileType = file.uri ? this.getFileTypeFromName(fileName) : file.type;
                 const fileUri = file.uri;
 
-                // Get the actual access URL for the file
-                const fileAccessUrl = fileUri ? this.getFileAccessUrl(this.extractFileName(fileUri)) : null;
+                // Get the actual access URL for the file. Adapters can
+                // return any URL the server gave them, so escape it.
+                const fileAccessUrl = this.getFileAccessUrl(fileUri);
+                const url = fileAccessUrl ? this.escapeAttribute(fileAccessUrl) : null;
                 
                 // Check if it's an image and should show preview
                 const isImage = fileType === 'image';
                 
-                if (isImage && fileAccessUrl) {
+                if (isImage && url) {
                   // Render image preview
                   return `
                     <div class="message-attachment image-attachment">
                       <div class="attachment-image-preview">
-                        <img src="${fileAccessUrl}" alt="${this.escapeHtml(fileName)}" class="attachment-image" loading="lazy" crossorigin="anonymous" />
-                        ${fileAccessUrl ? `
-                          <a href="${fileAccessUrl}" target="_blank" class="attachment-download" title="View full size">
+                        <img src="${url}" alt="${this.escapeAttribute(fileName)}" class="attachment-image" loading="lazy" crossorigin="anonymous" data-lightbox-url="${url}" />
+                        ${url ? `
+                          <a href="${url}" target="_blank" class="attachment-download" title="View full size" data-lightbox-url="${url}">
                             <svg viewBox="0 0 24 24" width="16" height="16">
                               <path d="M12,9A3,3 0 0,0 9,12A3,3 0 0,0 12,15A3,3 0 0,0 15,12A3,3 0 0,0 12,9M12,17A5,5 0 0,1 7,12A5,5 0 0,1 12,7A5,5 0 0,1 17,12A5,5 0 0,1 12,17M12,4.5C7,4.5 2.73,7.61 1,12C2.73,16.39 7,19.5 12,19.5C17,19.5 21.27,16.39 23,12C21.27,7.61 17,4.5 12,4.5Z"/>
                             </svg>
@@ -1551,7 +3962,8 @@
                         ` : ''}
                       </div>
                       <div class="attachment-info">
-                        <div class="attachment-name">${this.escapeHtml(messageData.message)}</div>
+                        <div class="attachment-name">${this.escapeHtml(fileName)}</div>
+                      </div>
                     </div>
                   `;
                 } else {
@@ -1565,8 +3977,8 @@
                         <div class="attachment-name">${this.escapeHtml(fileName)}</div>
                         ${fileSize ? `<div class="attachment-size">${this.formatFileSize(fileSize)}</div>` : ''}
                       </div>
-                      ${fileAccessUrl ? `
-                        <a href="${fileAccessUrl}" target="_blank" class="attachment-download" title="Download ${this.escapeHtml(fileName)}">
+                      ${url ? `
+                        <a href="${url}" target="_blank" class="attachment-download" title="Download ${this.escapeAttribute(fileName)}">
                           <svg viewBox="0 0 24 24" width="16" height="16">
                             <path d="M5,20H19V18H5M19,9H15V3H9V9H5L12,16L19,9Z"/>
                           </svg>
@@ -1581,120 +3993,767 @@
         }
 
         messageEl.innerHTML = `
-                    ${messageData.message ? `<div class="message-content">${this.escapeHtml(messageData.message)}</div>` : ''}
+                    ${messageData.sender_type === 3 ? `<div class="message-ai-badge">${this.escapeHtml(this.config.text.aiBadge)}</div>` : ''}
+                    ${messageData.message || messageData.streamStatus === 'streaming' ? `<div class="message-content">${this.formatMessageText(messageData)}</div>` : ''}
                     ${attachmentsHtml}
+                    ${this.getStructuredContentHTML(messageData)}
+                    ${this.getStreamStatusHTML(messageData)}
                     <div class="message-time">${this.formatTime(
                       messageData.timestamp
                     )}</div>
                     ${
-                      messageData.isPending
-                        ? '<div class="message-status">Sending...</div>'
-                        : messageData.isUploading
+                      messageData.isUploading
                         ? '<div class="message-status">Uploading files...</div>'
+                        : messageData.status
+                        ? `<div class="message-status">${this.getStatusText(
+                            messageData.status
+                          )}</div>`
+                        : ""
+                    }
+                    ${
+                      messageData.status === MESSAGE_STATUS.FAILED
+                        ? this.getMessageActionsHTML()
                         : ""
                     }
                 `;
       }
 
-      this.elements.messages.appendChild(messageEl);
+      return messageEl;
+    },
+
+    /**
+     * Stop control of a streaming reply, or a note on how it ended early
+     */
+    getStreamStatusHTML: function (messageData) {
+      const text = this.config.text;
+
+      if (messageData.streamStatus === "streaming") {
+        return `<button type="button" class="message-stop-btn">${this.escapeHtml(
+          text.stopGeneratingButton
+        )}</button>`;
+      }
+      if (messageData.streamStatus === "stopped" || messageData.streamStatus === "interrupted") {
+        const note =
+          messageData.streamStatus === "stopped"
+            ? text.responseStoppedText
+            : text.responseInterruptedText;
+        return `<div class="message-stream-note">${this.escapeHtml(note)}</div>`;
+      }
+      return "";
+    },
+
+    /**
+     * Bot content of a message, by `type`:
+     * - "buttons":  buttons: [{ title, payload } or { title, url }]
+     * - "card":     card: { image, title, subtitle, fields: [{ label, value }], buttons }
+     * - "carousel": cards: [card, ...]
+     * Any message may also carry quickReplies: [{ title, payload }], shown
+     * while it is the latest message.
+     */
+    getStructuredContentHTML: function (messageData) {
+      let html = "";
+
+      if (messageData.type === "buttons" && Array.isArray(messageData.buttons)) {
+        html += this.getMessageButtonsHTML(messageData.buttons);
+      } else if (messageData.type === "card" && isPlainObject(messageData.card)) {
+        html += this.getMessageCardHTML(messageData.card);
+      } else if (messageData.type === "carousel" && Array.isArray(messageData.cards)) {
+        html += `<div class="message-carousel">${messageData.cards
+          .filter(isPlainObject)
+          .map((card) => this.getMessageCardHTML(card))
+          .join("")}</div>`;
+      }
+
+      const quickReplies = Array.isArray(messageData.quickReplies)
+        ? messageData.quickReplies.filter(isPlainObject)
+        : [];
+      if (quickReplies.length > 0) {
+        html += `<div class="message-quick-replies">${quickReplies
+          .map((reply) => this.getPostbackButtonHTML(reply, "quick-reply"))
+          .join("")}</div>`;
+      }
+
+      return html;
+    },
+
+    getMessageCardHTML: function (card) {
+      const image =
+        typeof card.image === "string" && /^https?:\/\//i.test(card.image)
+          ? `<img class="message-card-image" src="${escapeText(card.image)}" alt="" loading="lazy" />`
+          : "";
+      const fields = Array.isArray(card.fields)
+        ? card.fields
+            .filter(isPlainObject)
+            .map(
+              (field) =>
+                `<div class="message-card-field"><dt>${escapeText(
+                  field.label || ""
+                )}</dt><dd>${escapeText(field.value === undefined ? "" : field.value)}</dd></div>`
+            )
+            .join("")
+        : "";
+
+      return `
+        <div class="message-card">
+          ${image}
+          <div class="message-card-body">
+            ${card.title ? `<div class="message-card-title">${escapeText(card.title)}</div>` : ""}
+            ${card.subtitle ? `<div class="message-card-subtitle">${escapeText(card.subtitle)}</div>` : ""}
+            ${fields ? `<dl class="message-card-fields">${fields}</dl>` : ""}
+          </div>
+          ${Array.isArray(card.buttons) ? this.getMessageButtonsHTML(card.buttons) : ""}
+        </div>
+      `;
+    },
+
+    getMessageButtonsHTML: function (buttons) {
+      return `<div class="message-buttons">${buttons
+        .filter(isPlainObject)
+        .map((button) => this.getPostbackButtonHTML(button, "message-button"))
+        .join("")}</div>`;
+    },
+
+    /**
+     * A link for { title, url }, otherwise a button that posts `payload`
+     * (the title if there is none) back to the server
+     */
+    getPostbackButtonHTML: function (button, className) {
+      const title = escapeText(button.title || "");
+
+      if (button.url) {
+        return SAFE_URL.test(button.url)
+          ? `<a class="${className} message-link" href="${escapeText(
+              button.url
+            )}" target="_blank" rel="noopener noreferrer">${title}</a>`
+          : "";
+      }
+
+      const payload = button.payload !== undefined ? button.payload : button.title;
+      return `<button type="button" class="${className}" data-title="${title}" data-payload="${escapeText(
+        JSON.stringify(payload)
+      )}">${title}</button>`;
+    },
+
+    /**
+     * Message text as HTML, formatted as configured for its sender in
+     * messageFormatting. Safe to insert: see renderMarkdown.
+     */
+    formatMessageText: function (messageData) {
+      const text = messageData.message || "";
+      const mode = this.config.messageFormatting[this.getSenderClass(messageData)];
+
+      if (mode === "markdown") {
+        return `<div class="message-markdown">${renderMarkdown(text)}</div>`;
+      }
+      if (mode === "links") {
+        return renderLinks(text);
+      }
+      return this.escapeHtml(text);
+    },
+
+    /**
+     * Whether following a link needs a confirmation first
+     * (messageFormatting.externalLinkWarning)
+     */
+    isExternalLink: function (href) {
+      let url;
+      try {
+        url = new URL(href, window.location.href);
+      } catch (error) {
+        return true;
+      }
+      if (url.protocol === "mailto:" || url.host === window.location.host) {
+        return false;
+      }
+
+      const host = url.hostname.toLowerCase();
+      return !this.config.messageFormatting.trustedDomains.some((domain) => {
+        domain = domain.toLowerCase();
+        return host === domain || host.endsWith("." + domain);
+      });
+    },
+
+    getSenderClass: function (messageData) {
+      return messageData.sender_type === 0
+        ? "system"
+        : messageData.sender_type === 1
+        ? "agent"
+        : messageData.sender_type === 3
+        ? "ai"
+        : "customer";
+    },
+
+    /**
+     * Type used to pick a plugin renderer: the message's own `type`, or
+     * its sender ("system", "agent", "ai", "customer")
+     */
+    getMessageType: function (messageData) {
+      return messageData.type || this.getSenderClass(messageData);
+    },
+
+    /**
+     * Every uploaded attachment in the conversation, oldest first
+     */
+    getConversationAttachments: function () {
+      const attachments = [];
+
+      this.state.messages.forEach((messageData) => {
+        (messageData.files || []).forEach((file) => {
+          // Files of a message that is still uploading have no URI yet
+          if (!file.uri) return;
+
+          const fileName = file.file_name || file.fileName || this.extractFileName(file.uri);
+          attachments.push({
+            name: fileName,
+            size: file.file_size || file.size || null,
+            type: this.getFileTypeFromName(fileName),
+            url: this.getFileAccessUrl(file.uri),
+            messageId: messageData.id,
+            timestamp: messageData.timestamp,
+            senderType: messageData.sender_type,
+          });
+        });
+      });
+
+      return attachments;
+    },
+
+    /**
+     * Show or hide the shared files panel; toggles when `open` is omitted
+     */
+    toggleFilesPanel: function (open) {
+      if (!this.elements.filesPanel) return;
+
+      const isOpen = open === undefined ? !this.state.filesPanelOpen : open;
+      this.state.filesPanelOpen = isOpen;
+      this.elements.filesPanel.style.display = isOpen ? "flex" : "none";
+      this.elements.container
+        .querySelector(".chat-files-btn")
+        .setAttribute("aria-expanded", String(isOpen));
+
+      if (isOpen) {
+        this.renderFilesPanel();
+      }
+    },
+
+    refreshFilesPanel: function () {
+      if (this.state.filesPanelOpen) {
+        this.renderFilesPanel();
+      }
+    },
+
+    /**
+     * List the conversation's attachments, newest first
+     */
+    renderFilesPanel: function () {
+      const attachments = this.getConversationAttachments().reverse();
+
+      if (attachments.length === 0) {
+        this.elements.filesList.innerHTML = `<div class="chat-files-empty">${this.escapeHtml(
+          this.config.text.noSharedFilesText
+        )}</div>`;
+        return;
+      }
+
+      this.elements.filesList.innerHTML = attachments
+        .map((file) => {
+          const url = this.escapeAttribute(file.url);
+          const name = this.escapeAttribute(file.name);
+          const meta = [
+            file.size ? this.formatFileSize(file.size) : "",
+            file.timestamp ? this.formatTime(file.timestamp) : "",
+          ]
+            .filter(Boolean)
+            .join(" · ");
+
+          const preview =
+            file.type === "image"
+              ? `<button type="button" class="shared-file-thumb" data-lightbox-url="${url}" title="${name}">
+                   <img src="${url}" alt="${name}" loading="lazy" crossorigin="anonymous" />
+                 </button>`
+              : `<a class="shared-file-thumb" href="${url}" target="_blank" rel="noopener" title="${name}">
+                   ${this.getFileIcon(file.type)}
+                 </a>`;
+
+          return `
+            <div class="shared-file ${file.type}">
+              ${preview}
+              <div class="shared-file-info">
+                <div class="shared-file-name">${name}</div>
+                <div class="shared-file-meta">${meta}</div>
+              </div>
+              <button type="button" class="shared-file-download" data-url="${url}" data-name="${name}" title="${this.escapeAttribute(
+                this.config.text.downloadButton
+              )}">
+                <svg viewBox="0 0 24 24" width="16" height="16">
+                  <path d="M5,20H19V18H5M19,9H15V3H9V9H5L12,16L19,9Z"/>
+                </svg>
+              </button>
+            </div>
+          `;
+        })
+        .join("");
+    },
+
+    /**
+     * Open the image viewer at the given image. Every image in the
+     * conversation can be reached with the arrows.
+     */
+    openLightbox: function (url) {
+      let images = this.getConversationAttachments().filter(
+        (file) => file.type === "image"
+      );
+      let index = images.findIndex((file) => file.url === url);
+      if (index === -1) {
+        images = [{ url: url, name: this.extractFileName(url) }];
+        index = 0;
+      }
+
+      if (!this.elements.lightbox) {
+        this.createLightbox();
+      }
+
+      this.state.lightbox = {
+        images: images,
+        index: index,
+        scale: 1,
+        x: 0,
+        y: 0,
+        returnFocus: document.activeElement,
+      };
+      this.elements.lightbox.style.display = "flex";
+      this.showLightboxImage(index);
+      this.elements.lightbox.focus();
+    },
+
+    closeLightbox: function () {
+      const lb = this.state.lightbox;
+      if (!lb) return;
+
+      this.state.lightbox = null;
+      this.elements.lightbox.style.display = "none";
+      this.elements.lightboxImage.removeAttribute("src");
+
+      if (lb.returnFocus && lb.returnFocus.focus) {
+        lb.returnFocus.focus();
+      }
+    },
+
+    /**
+     * Build the lightbox on first use and bind its controls
+     */
+    createLightbox: function () {
+      const self = this;
+      const text = this.config.text;
+
+      this.elements.container.insertAdjacentHTML(
+        "beforeend",
+        `
+                <div class="chat-lightbox" role="dialog" aria-modal="true" tabindex="-1" style="display: none;">
+                    <div class="chat-lightbox-toolbar">
+                        <span class="chat-lightbox-caption"></span>
+                        <button type="button" class="chat-lightbox-btn" data-action="zoom-out" title="${text.zoomOutButton}">−</button>
+                        <button type="button" class="chat-lightbox-btn" data-action="zoom-in" title="${text.zoomInButton}">+</button>
+                        <button type="button" class="chat-lightbox-btn" data-action="download" title="${text.downloadButton}">
+                            <svg viewBox="0 0 24 24" width="18" height="18">
+                                <path d="M5,20H19V18H5M19,9H15V3H9V9H5L12,16L19,9Z"/>
+                            </svg>
+                        </button>
+                        <button type="button" class="chat-lightbox-btn" data-action="close" title="${text.closeButton}">×</button>
+                    </div>
+                    <div class="chat-lightbox-stage">
+                        <img class="chat-lightbox-image" alt="" draggable="false" crossorigin="anonymous" />
+                    </div>
+                    <button type="button" class="chat-lightbox-nav prev" data-action="prev" title="${text.previousImageButton}">‹</button>
+                    <button type="button" class="chat-lightbox-nav next" data-action="next" title="${text.nextImageButton}">›</button>
+                </div>
+            `
+      );
+
+      const lightbox = this.elements.container.querySelector(".chat-lightbox");
+      const stage = lightbox.querySelector(".chat-lightbox-stage");
+      this.elements.lightbox = lightbox;
+      this.elements.lightboxImage = lightbox.querySelector(".chat-lightbox-image");
+
+      lightbox.addEventListener("click", function (e) {
+        // A click on the backdrop around the image closes the viewer
+        if (e.target === stage) {
+          self.closeLightbox();
+          return;
+        }
+
+        const button = e.target.closest("[data-action]");
+        if (!button) return;
+
+        const lb = self.state.lightbox;
+        switch (button.dataset.action) {
+          case "prev":
+            self.showLightboxImage(lb.index - 1);
+            break;
+          case "next":
+            self.showLightboxImage(lb.index + 1);
+            break;
+          case "zoom-in":
+            self.setLightboxZoom(lb.scale * 1.5);
+            break;
+          case "zoom-out":
+            self.setLightboxZoom(lb.scale / 1.5);
+            break;
+          case "download":
+            self.downloadFile(lb.images[lb.index].url, lb.images[lb.index].name);
+            break;
+          case "close":
+            self.closeLightbox();
+            break;
+        }
+      });
+
+      lightbox.addEventListener("keydown", function (e) {
+        const lb = self.state.lightbox;
+        if (!lb) return;
+
+        const actions = {
+          Escape: () => self.closeLightbox(),
+          ArrowLeft: () => self.showLightboxImage(lb.index - 1),
+          ArrowRight: () => self.showLightboxImage(lb.index + 1),
+          "+": () => self.setLightboxZoom(lb.scale * 1.5),
+          "=": () => self.setLightboxZoom(lb.scale * 1.5),
+          "-": () => self.setLightboxZoom(lb.scale / 1.5),
+          0: () => self.setLightboxZoom(1),
+        };
+        if (!actions[e.key]) return;
+
+        // Keep Escape and the arrows from reaching the host page
+        e.preventDefault();
+        e.stopPropagation();
+        actions[e.key]();
+      });
+
+      stage.addEventListener(
+        "wheel",
+        function (e) {
+          if (!self.state.lightbox) return;
+          e.preventDefault();
+          const scale = self.state.lightbox.scale;
+          self.setLightboxZoom(e.deltaY < 0 ? scale * 1.2 : scale / 1.2);
+        },
+        { passive: false }
+      );
+
+      this.elements.lightboxImage.addEventListener("dblclick", function () {
+        self.setLightboxZoom(self.state.lightbox.scale > 1 ? 1 : 2);
+      });
+
+      // Drag to pan while zoomed in
+      let drag = null;
+
+      stage.addEventListener("pointerdown", function (e) {
+        const lb = self.state.lightbox;
+        if (!lb || lb.scale === 1 || e.target !== self.elements.lightboxImage) {
+          return;
+        }
+
+        e.preventDefault();
+        drag = { x: e.clientX - lb.x, y: e.clientY - lb.y };
+        if (stage.setPointerCapture) {
+          stage.setPointerCapture(e.pointerId);
+        }
+        stage.classList.add("panning");
+      });
+
+      stage.addEventListener("pointermove", function (e) {
+        if (!drag || !self.state.lightbox) return;
+        self.state.lightbox.x = e.clientX - drag.x;
+        self.state.lightbox.y = e.clientY - drag.y;
+        self.renderLightboxTransform();
+      });
+
+      const endDrag = function () {
+        drag = null;
+        stage.classList.remove("panning");
+      };
+      stage.addEventListener("pointerup", endDrag);
+      stage.addEventListener("pointercancel", endDrag);
+    },
+
+    /**
+     * Show the image at `index` (clamped to the list) at normal size
+     */
+    showLightboxImage: function (index) {
+      const lb = this.state.lightbox;
+      if (!lb) return;
+
+      lb.index = Math.max(0, Math.min(index, lb.images.length - 1));
+      lb.scale = 1;
+      lb.x = 0;
+      lb.y = 0;
+
+      const image = lb.images[lb.index];
+      const lightbox = this.elements.lightbox;
+      this.elements.lightboxImage.src = image.url;
+      this.elements.lightboxImage.alt = image.name || "";
+      lightbox.setAttribute("aria-label", image.name || "");
+
+      const caption = lightbox.querySelector(".chat-lightbox-caption");
+      caption.textContent =
+        lb.images.length > 1
+          ? `${image.name} (${lb.index + 1} / ${lb.images.length})`
+          : image.name;
+
+      lightbox.querySelector(".chat-lightbox-nav.prev").disabled = lb.index === 0;
+      lightbox.querySelector(".chat-lightbox-nav.next").disabled =
+        lb.index === lb.images.length - 1;
+      lightbox.classList.toggle("single", lb.images.length < 2);
+
+      this.renderLightboxTransform();
+    },
+
+    /**
+     * Zoom between 1x and 5x; back at 1x the image is re-centred
+     */
+    setLightboxZoom: function (scale) {
+      const lb = this.state.lightbox;
+      if (!lb) return;
+
+      lb.scale = Math.max(1, Math.min(scale, 5));
+      if (lb.scale === 1) {
+        lb.x = 0;
+        lb.y = 0;
+      }
+      this.renderLightboxTransform();
+    },
+
+    renderLightboxTransform: function () {
+      const lb = this.state.lightbox;
+      this.elements.lightboxImage.style.transform = `translate(${lb.x}px, ${lb.y}px) scale(${lb.scale})`;
+      this.elements.lightbox.classList.toggle("zoomed", lb.scale > 1);
+    },
 
-      // Auto-scroll only if user was near bottom or it's their own message
-      if (shouldAutoScroll || messageData.sender_type === 2) {
-        this.autoScrollToBottom();
+    /**
+     * Save a file under its own name. A cross-origin link ignores the
+     * download attribute, so the file is fetched first; if that fails
+     * (e.g. no CORS on the storage) the browser just opens it.
+     */
+    downloadFile: async function (url, fileName) {
+      try {
+        const response = await fetch(url, {
+          credentials: this.config.fileUpload.withCredentials ? "include" : "same-origin",
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const objectUrl = URL.createObjectURL(await response.blob());
+        const link = document.createElement("a");
+        link.href = objectUrl;
+        link.download = fileName || this.extractFileName(url);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+      } catch (error) {
+        this.log("Download failed, opening the file instead:", error);
+        window.open(url, "_blank", "noopener");
       }
     },
 
     /**
      * Mark message as failed
      */
-    markMessageAsFailed: function (originalMessage) {
-      const pendingMessages = this.elements.messages.querySelectorAll(
-        ".chat-message.pending"
+    markMessageAsFailed: function (clientMessageId) {
+      // A failed message must not be resent automatically on reconnect
+      this.removeFromOutbox(clientMessageId);
+      this.setMessageStatus(clientMessageId, MESSAGE_STATUS.FAILED);
+
+      const messageData = this.state.messages.find(
+        (msg) => msg.id === clientMessageId
+      );
+      if (messageData && messageData.isUploading) {
+        this.updateMessage(clientMessageId, { isUploading: false });
+      }
+    },
+
+    /**
+     * Start tracking the delivery state of an outgoing message
+     */
+    trackOutgoingMessage: function (clientMessageId, info) {
+      this.state.outgoingMessages.set(
+        clientMessageId,
+        Object.assign(
+          { status: MESSAGE_STATUS.QUEUED, timestamp: new Date() },
+          info
+        )
       );
+    },
 
-      pendingMessages.forEach((msgEl) => {
-        const content = msgEl.querySelector(".message-content").textContent;
-        if (content === originalMessage) {
-          msgEl.classList.remove("pending");
-          msgEl.classList.add("failed");
+    /**
+     * Move an outgoing message to a new delivery state and re-render its
+     * status. Returns false if the transition is not allowed.
+     */
+    setMessageStatus: function (clientMessageId, status) {
+      const tracked = this.state.outgoingMessages.get(clientMessageId);
+      if (!tracked) return false;
 
-          const statusEl = msgEl.querySelector(".message-status");
-          if (statusEl) {
-            statusEl.textContent = "Failed to send";
-            statusEl.style.color = "#f44336";
-          }
-        }
+      if (!this.canTransitionStatus(tracked.status, status)) {
+        this.log(
+          `Ignoring status change ${tracked.status} -> ${status} for ${clientMessageId}`
+        );
+        return false;
+      }
+
+      tracked.status = status;
+
+      const messageData = this.state.messages.find(
+        (msg) => msg.id === clientMessageId
+      );
+      if (messageData) {
+        messageData.status = status;
+      }
+
+      const messageEl = this.findMessageElement(clientMessageId);
+      if (messageEl) {
+        this.renderMessageStatus(messageEl, status);
+      }
+
+      return true;
+    },
+
+    canTransitionStatus: function (from, to) {
+      if (from === to) return false;
+      if (to === MESSAGE_STATUS.FAILED) {
+        return from === MESSAGE_STATUS.QUEUED || from === MESSAGE_STATUS.SENDING;
+      }
+      if (from === MESSAGE_STATUS.FAILED) {
+        return to === MESSAGE_STATUS.QUEUED || to === MESSAGE_STATUS.SENDING;
+      }
+      return (
+        MESSAGE_STATUS_ORDER.indexOf(to) > MESSAGE_STATUS_ORDER.indexOf(from)
+      );
+    },
+
+    /**
+     * Update the status class and label of a message bubble
+     */
+    renderMessageStatus: function (messageEl, status) {
+      Object.values(MESSAGE_STATUS).forEach((value) => {
+        messageEl.classList.remove(value);
       });
+      messageEl.classList.add(status);
+
+      let statusEl = messageEl.querySelector(".message-status");
+      if (!statusEl) {
+        statusEl = document.createElement("div");
+        statusEl.className = "message-status";
+        messageEl.appendChild(statusEl);
+      }
+      statusEl.textContent = this.getStatusText(status);
+
+      // Failed messages get inline retry / delete actions
+      const actionsEl = messageEl.querySelector(".message-actions");
+      if (status === MESSAGE_STATUS.FAILED && !actionsEl) {
+        statusEl.insertAdjacentHTML("afterend", this.getMessageActionsHTML());
+      } else if (status !== MESSAGE_STATUS.FAILED && actionsEl) {
+        actionsEl.parentNode.removeChild(actionsEl);
+      }
+    },
+
+    getMessageActionsHTML: function () {
+      return `
+        <div class="message-actions">
+          <button type="button" class="message-retry-btn">${this.escapeHtml(
+            this.config.text.retryButton || "Retry"
+          )}</button>
+          <button type="button" class="message-delete-btn">${this.escapeHtml(
+            this.config.text.deleteButton || "Delete"
+          )}</button>
+        </div>
+      `;
     },
 
     /**
-     * Mark message as sent
+     * Resend a failed message. Text messages reuse the original payload;
+     * file messages only upload the files that did not make it the first
+     * time and reuse the URIs of the rest.
      */
-    markMessageAsSent: function (messageId, status) {
-      this.log(`Attempting to mark message as sent: ${messageId} with status: ${status}`);
-      
-      // First try to find by data-message-id attribute (exact match)
-      let messageEl = this.elements.messages.querySelector(`[data-message-id="${messageId}"]`);
-      let matchingTempId = null;
-      
-      // If not found by exact ID, search through our pending messages tracking
-      if (!messageEl) {
-        this.log(`Message with ID ${messageId} not found, searching pending messages...`);
-        
-        // Look through pending messages to find a match
-        for (const [tempId, pendingInfo] of this.state.pendingMessages.entries()) {
-          const tempMessageEl = this.elements.messages.querySelector(`[data-message-id="${tempId}"]`);
-          if (tempMessageEl && tempMessageEl.classList.contains('customer')) {
-            this.log(`Found pending message with temp ID: ${tempId}`);
-            matchingTempId = tempId;
-            messageEl = tempMessageEl;
-            break; // Take the first (oldest) pending message
-          }
-        }
-        
-        // If still not found, log the issue but don't proceed with fallback
-        if (!messageEl) {
-          this.log(`No matching message found for ID: ${messageId}. Pending messages:`, Array.from(this.state.pendingMessages.keys()));
-          return; // Don't update anything if we can't find the right message
-        }
+    retryMessage: function (clientMessageId) {
+      const tracked = this.state.outgoingMessages.get(clientMessageId);
+      if (!tracked || tracked.status !== MESSAGE_STATUS.FAILED) return;
+
+      this.log("Retrying message:", clientMessageId);
+      this.setMessageStatus(clientMessageId, MESSAGE_STATUS.QUEUED);
+
+      if (tracked.payload) {
+        this.queueMessage(tracked.payload);
+      } else {
+        this.updateMessage(clientMessageId, { isUploading: true });
+        this.uploadAndSendFiles(clientMessageId);
+      }
+    },
+
+    /**
+     * Remove a failed message from the conversation
+     */
+    discardMessage: function (clientMessageId) {
+      this.log("Discarding message:", clientMessageId);
+
+      this.removeFromOutbox(clientMessageId);
+      this.state.outgoingMessages.delete(clientMessageId);
+      this.state.messages = this.state.messages.filter(
+        (msg) => msg.id !== clientMessageId
+      );
+
+      const messageEl = this.findMessageElement(clientMessageId);
+      if (messageEl) {
+        messageEl.parentNode.removeChild(messageEl);
       }
+    },
 
+    /**
+     * Take a message out of the conversation
+     */
+    removeMessage: function (id) {
+      this.state.messages = this.state.messages.filter((msg) => msg.id !== id);
+
+      const messageEl = this.findMessageElement(id);
       if (messageEl) {
-        // Verify this is actually a customer message before updating
-        if (!messageEl.classList.contains('customer')) {
-          this.log(`ERROR: Found message is not a customer message, skipping update for ID: ${messageId}`);
-          return;
-        }
-        
-        // Update message ID to the real one from server
-        messageEl.dataset.messageId = messageId;
-        
-        // Remove any temporary states
-        messageEl.classList.remove("pending", "uploading");
-        messageEl.classList.add("sent");
+        messageEl.parentNode.removeChild(messageEl);
+      }
+    },
 
-        // Find or create status element
-        let statusEl = messageEl.querySelector(".message-status");
-        if (!statusEl) {
-          // Create status element if it doesn't exist
-          statusEl = document.createElement("div");
-          statusEl.className = "message-status";
-          messageEl.appendChild(statusEl);
-        }
+    getStatusText: function (status) {
+      const key = "status" + status.charAt(0).toUpperCase() + status.slice(1);
+      return this.config.text[key] || status;
+    },
 
-        // Update status text and styling
-        statusEl.textContent = status === "delivered" ? "Sent" : "Delivered";
-        statusEl.style.color = "#4caf50"; // Green color for success
-        statusEl.style.display = "block"; // Make sure it's visible
+    findMessageElement: function (id) {
+      // Server IDs can contain anything, including quotes
+      const value = CSS.escape(String(id));
+      return this.elements.messages.querySelector(
+        `[data-client-message-id="${value}"], [data-message-id="${value}"]`
+      );
+    },
 
-        // Clean up pending tracking if we found a match
-        if (matchingTempId) {
-          this.state.pendingMessages.delete(matchingTempId);
-          this.log(`Cleaned up pending message tracking for: ${matchingTempId}`);
-        }
+    /**
+     * Map a client or server message ID to the client ID we track it by
+     */
+    resolveClientMessageId: function (id) {
+      if (this.state.outgoingMessages.has(id)) return id;
 
-        this.log(`Message successfully marked as sent: ${messageId} with status: ${status}`);
+      for (const [clientMessageId, tracked] of this.state.outgoingMessages) {
+        if (tracked.serverId === id) return clientMessageId;
       }
+      return null;
+    },
+
+    /**
+     * Collect the message IDs a delivery or read receipt refers to
+     */
+    getReceiptMessageIds: function (data) {
+      if (!data) return [];
+
+      return []
+        .concat(data.clientMessageIds || [], data.messageIds || [])
+        .concat(data.clientMessageId || [], data.messageId || []);
     },
 
     /**
@@ -1726,7 +4785,7 @@
       const hasText = this.elements.input.value.trim().length > 0;
       const hasFiles = this.state.attachedFiles.length > 0;
 
-      sendBtn.disabled = (!hasText && !hasFiles) || !this.state.isChatStarted;
+      sendBtn.disabled = (!hasText && !hasFiles) || !this.state.isChatStarted || this.state.sendingFiles;
     },
 
     /**
@@ -1754,6 +4813,8 @@
 
       // Clear notification
       this.clearNotification();
+
+      this.emitEvent("open", {});
     },
 
     closeWidget: function () {
@@ -1762,6 +4823,8 @@
       this.elements.button.querySelector(".chat-icon").style.display = "block";
       this.elements.button.querySelector(".close-icon").style.display = "none";
       this.elements.container.classList.remove("open");
+
+      this.emitEvent("close", {});
     },
 
     minimizeWidget: function () {
@@ -1776,10 +4839,18 @@
       this.state.messages = [];
       this.state.session = { customerId: null, chatSessionId: null };
       this.state.agentInfo = null;
+      this.state.handoff = null;
+      this.clearQueue();
       this.state.agentTyping = false;
       this.state.attachedFiles = [];
-      this.state.uploadingFiles.clear();
-      this.state.pendingMessages.clear(); // Clear pending message tracking
+      this.cancelAllUploads();
+      this.state.outgoingMessages.clear(); // Clear delivery tracking
+      this.state.outbox = [];
+      this.state.historyLoaded = false;
+      this.state.lastSeenMessage = null;
+      this.clearStreams();
+      this.closeLightbox();
+      this.toggleFilesPanel(false);
 
       // Clear stored session
       this.clearStoredSession();
@@ -1793,8 +4864,7 @@
       ).style.display = "none";
       this.elements.container.querySelector(".chat-start").style.display =
         "block";
-      this.elements.container.querySelector(".chat-title").textContent =
-        this.config.companyName;
+      this.updateAgentHeader();
       this.elements.container.querySelector(".chat-status").textContent = this
         .state.isConnected
         ? "Connected"
@@ -1923,15 +4993,100 @@
       return div.innerHTML;
     },
 
+    /**
+     * escapeHtml leaves quotes alone; this is safe inside attribute values
+     */
+    escapeAttribute: function (text) {
+      return this.escapeHtml(text).replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+    },
+
     log: function () {
       if (this.config.debug) {
         console.log("[ChatWidget]", ...arguments);
       }
     },
 
+    /**
+     * Call the host page's listeners for an event. A throwing listener is
+     * reported and does not stop the others.
+     */
+    emitEvent: function (event, payload) {
+      const listeners = (this.eventListeners[event] || []).slice();
+
+      listeners.forEach((listener) => {
+        try {
+          listener.call(this, payload);
+        } catch (error) {
+          console.error(`ChatWidget: Error in "${event}" listener:`, error);
+        }
+      });
+    },
+
+    /**
+     * Pass a value through the given hook of every plugin in order. A hook
+     * may return a replacement, nothing to keep the (possibly mutated)
+     * value, or false to cancel. Returns null when cancelled.
+     */
+    runPluginHook: function (hook, value) {
+      for (const plugin of this.plugins) {
+        if (typeof plugin[hook] !== "function") continue;
+
+        let result;
+        try {
+          result = plugin[hook](value, this);
+        } catch (error) {
+          console.error(
+            `ChatWidget: Plugin "${plugin.name}" failed in ${hook}:`,
+            error
+          );
+          continue;
+        }
+
+        if (result === false) {
+          this.log(`Plugin "${plugin.name}" cancelled ${hook}`);
+          return null;
+        }
+        if (result !== undefined && result !== null) {
+          value = result;
+        }
+      }
+      return value;
+    },
+
+    /**
+     * Markup from the last registered plugin that renders this message
+     * type, or null to use the built-in rendering
+     */
+    renderWithPlugins: function (messageData) {
+      const type = this.getMessageType(messageData);
+
+      for (let i = this.plugins.length - 1; i >= 0; i--) {
+        const plugin = this.plugins[i];
+        const renderer = plugin.render && plugin.render[type];
+        if (typeof renderer !== "function") continue;
+
+        try {
+          const content = renderer(messageData, this);
+          if (content !== undefined && content !== null) {
+            return content;
+          }
+        } catch (error) {
+          console.error(
+            `ChatWidget: Plugin "${plugin.name}" failed to render "${type}":`,
+            error
+          );
+        }
+      }
+      return null;
+    },
+
     /**
      * Session Management Methods
      */
+    getStorageKey: function (name) {
+      return (this.config.namespace || "chat_widget") + "_" + name;
+    },
+
     checkExistingSession: function () {
       const storedSession = this.getStoredSession();
 
@@ -1963,6 +5118,9 @@
         phone: sessionData.customerPhone,
         email: sessionData.customerEmail,
       };
+
+      // Restore messages that were queued before the page was reloaded
+      this.loadOutbox();
     },
 
     storeSession: function (sessionData) {
@@ -1978,52 +5136,332 @@
         status: "active",
       };
 
-      try {
-        localStorage.setItem(
-          "chat_widget_session",
-          JSON.stringify(dataToStore)
-        );
-        this.log("Session stored:", dataToStore.chatSessionId);
-      } catch (error) {
-        this.log("Failed to store session:", error);
+      try {
+        localStorage.setItem(
+          this.getStorageKey("session"),
+          JSON.stringify(dataToStore)
+        );
+        this.log("Session stored:", dataToStore.chatSessionId);
+      } catch (error) {
+        this.log("Failed to store session:", error);
+      }
+    },
+
+    getStoredSession: function () {
+      try {
+        const stored = localStorage.getItem(this.getStorageKey("session"));
+        if (stored) {
+          const session = JSON.parse(stored);
+          // Check if session is valid (within 24 hours)
+          const isValid = Date.now() - session.timestamp < 24 * 60 * 60 * 1000;
+          if (isValid) {
+            return session;
+          } else {
+            this.clearStoredSession();
+          }
+        }
+      } catch (error) {
+        this.log("Error reading stored session:", error);
+        this.clearStoredSession();
+      }
+      return null;
+    },
+
+    clearStoredSession: function () {
+      try {
+        localStorage.removeItem(this.getStorageKey("session"));
+        localStorage.removeItem(this.getStorageKey("outbox"));
+        this.log("Session cleared from storage");
+      } catch (error) {
+        this.log("Error clearing session:", error);
+      }
+    },
+
+    validateSession: function () {
+      if (this.state.session.chatSessionId && this.socket) {
+        this.socket.emit("validate-session", {
+          customerId: this.state.session.customerId,
+          chatSessionId: this.state.session.chatSessionId,
+        });
+      }
+    },
+
+    /**
+     * Reconnection Methods
+     */
+    isReconnectionEnabled: function () {
+      return !!(this.config.reconnection && this.config.reconnection.enabled);
+    },
+
+    /**
+     * Delay before the next attempt: exponential backoff with jitter
+     */
+    getReconnectDelay: function (attempt) {
+      const options = this.config.reconnection;
+      const base = Math.min(
+        options.maxDelay || 30000,
+        (options.initialDelay || 1000) *
+          Math.pow(options.multiplier || 2, attempt - 1)
+      );
+      const jitter = options.jitter || 0;
+      return Math.round(base * (1 - jitter + Math.random() * jitter * 2));
+    },
+
+    /**
+     * Schedule the next reconnection attempt and show the countdown
+     */
+    scheduleReconnect: function () {
+      if (!this.isReconnectionEnabled() || !this.socket) return;
+      if (this.reconnectTimeout) return; // already scheduled
+
+      const maxAttempts = this.config.reconnection.maxAttempts || 0;
+      if (maxAttempts && this.state.reconnectAttempts >= maxAttempts) {
+        this.log("Giving up after", this.state.reconnectAttempts, "attempts");
+        this.showReconnectBanner(this.config.text.connectionLostText);
+        return;
+      }
+
+      this.state.reconnectAttempts++;
+      const delay = this.getReconnectDelay(this.state.reconnectAttempts);
+      const retryAt = Date.now() + delay;
+
+      this.log(
+        `Reconnect attempt ${this.state.reconnectAttempts} in ${delay}ms`
+      );
+
+      const updateCountdown = () => {
+        const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+        this.showReconnectBanner(
+          this.config.text.reconnectingText.replace("{seconds}", seconds)
+        );
+      };
+      updateCountdown();
+      this.reconnectCountdown = setInterval(updateCountdown, 1000);
+
+      this.reconnectTimeout = setTimeout(() => {
+        this.reconnectNow();
+      }, delay);
+    },
+
+    /**
+     * Skip the countdown and try to reconnect right away. A `fresh` retry
+     * (the "Retry now" button, coming back online) starts a new backoff
+     * cycle, even after giving up.
+     */
+    reconnectNow: function (fresh) {
+      if (!this.socket || this.state.isConnected) return;
+
+      this.clearReconnectTimers();
+      if (fresh) {
+        this.state.reconnectAttempts = 0;
+      }
+      this.showReconnectBanner(this.config.text.reconnectingNowText);
+      this.socket.connect();
+    },
+
+    cancelReconnect: function () {
+      this.clearReconnectTimers();
+      this.state.reconnectAttempts = 0;
+      this.hideReconnectBanner();
+    },
+
+    clearReconnectTimers: function () {
+      clearTimeout(this.reconnectTimeout);
+      clearInterval(this.reconnectCountdown);
+      this.reconnectTimeout = null;
+      this.reconnectCountdown = null;
+    },
+
+    showReconnectBanner: function (text) {
+      const banner = this.elements.reconnectBanner;
+      if (!banner) return;
+
+      banner.querySelector(".chat-reconnect-text").textContent = text;
+      banner.style.display = "flex";
+    },
+
+    hideReconnectBanner: function () {
+      if (this.elements.reconnectBanner) {
+        this.elements.reconnectBanner.style.display = "none";
+      }
+    },
+
+    /**
+     * Outbox Methods
+     */
+
+    /**
+     * Generate a client-side message ID used for tracking and deduplication
+     */
+    generateClientMessageId: function () {
+      return (
+        "client-" + Date.now() + "-" + Math.random().toString(36).substr(2, 9)
+      );
+    },
+
+    isOutboxEnabled: function () {
+      return !!(this.config.outbox && this.config.outbox.enabled);
+    },
+
+    /**
+     * Queue an outgoing message and emit it if we are connected.
+     * Returns true when the message was emitted right away.
+     */
+    queueMessage: function (messageData) {
+      const clientMessageId = messageData.clientMessageId;
+
+      if (!this.isOutboxEnabled()) {
+        this.socket.emit("send-message", messageData);
+        this.setMessageStatus(clientMessageId, MESSAGE_STATUS.SENDING);
+        return true;
+      }
+
+      // Never drop a queued message to make room - refuse the new one
+      // instead, so the customer can retry or discard it
+      const maxMessages = this.config.outbox.maxMessages || 50;
+      if (this.state.outbox.length >= maxMessages) {
+        console.warn("ChatWidget: Outbox is full, message not queued:", clientMessageId);
+        this.markMessageAsFailed(clientMessageId);
+        this.showErrorMessage(this.config.text.outboxFullText);
+        this.emitEvent("error", {
+          type: "message",
+          message: this.config.text.outboxFullText,
+          error: null,
+        });
+        return false;
+      }
+
+      const entry = {
+        clientMessageId: clientMessageId,
+        payload: messageData,
+        queuedAt: Date.now(),
+        attempts: 0,
+      };
+      this.state.outbox.push(entry);
+
+      let emitted = false;
+      if (this.socket && this.state.isConnected) {
+        entry.attempts++;
+        this.socket.emit("send-message", messageData);
+        this.setMessageStatus(clientMessageId, MESSAGE_STATUS.SENDING);
+        emitted = true;
+      } else {
+        this.log("Not connected, message queued:", clientMessageId);
+      }
+
+      this.storeOutbox();
+      return emitted;
+    },
+
+    /**
+     * Resend every unacknowledged message in the order it was written.
+     * The server deduplicates by clientMessageId, so resending a message
+     * that already arrived is harmless.
+     */
+    flushOutbox: function () {
+      if (!this.isOutboxEnabled() || !this.socket || !this.state.isConnected) {
+        return;
+      }
+      if (this.state.outbox.length === 0) return;
+
+      this.log("Flushing outbox:", this.state.outbox.length, "messages");
+
+      this.state.outbox.forEach((entry) => {
+        entry.attempts++;
+        this.socket.emit("send-message", entry.payload);
+        this.setMessageStatus(entry.clientMessageId, MESSAGE_STATUS.SENDING);
+      });
+
+      this.storeOutbox();
+    },
+
+    removeFromOutbox: function (clientMessageId) {
+      const before = this.state.outbox.length;
+      this.state.outbox = this.state.outbox.filter(
+        (entry) => entry.clientMessageId !== clientMessageId
+      );
+      if (this.state.outbox.length !== before) {
+        this.log("Removed from outbox:", clientMessageId);
+        this.storeOutbox();
       }
     },
 
-    getStoredSession: function () {
-      try {
-        const stored = localStorage.getItem("chat_widget_session");
-        if (stored) {
-          const session = JSON.parse(stored);
-          // Check if session is valid (within 24 hours)
-          const isValid = Date.now() - session.timestamp < 24 * 60 * 60 * 1000;
-          if (isValid) {
-            return session;
-          } else {
-            this.clearStoredSession();
-          }
+    /**
+     * Render queued messages that are missing from the given history
+     */
+    renderOutboxMessages: function (historyMessages) {
+      const known = new Set(
+        historyMessages.map((msg) => msg.clientMessageId).filter(Boolean)
+      );
+
+      this.state.outbox.forEach((entry) => {
+        if (known.has(entry.clientMessageId)) {
+          this.removeFromOutbox(entry.clientMessageId);
+          return;
         }
-      } catch (error) {
-        this.log("Error reading stored session:", error);
-        this.clearStoredSession();
-      }
-      return null;
+
+        const status = entry.attempts > 0
+          ? MESSAGE_STATUS.SENDING
+          : MESSAGE_STATUS.QUEUED;
+
+        this.trackOutgoingMessage(entry.clientMessageId, {
+          message: entry.payload.message,
+          timestamp: new Date(entry.queuedAt),
+          type: entry.payload.files ? "file" : "text",
+          files: entry.payload.files,
+          payload: entry.payload,
+          status: status,
+        });
+
+        this.addMessage({
+          id: entry.clientMessageId,
+          clientMessageId: entry.clientMessageId,
+          message: entry.payload.message,
+          sender_type: 2,
+          senderId: this.state.session.customerId,
+          timestamp: new Date(entry.queuedAt),
+          status: status,
+          files: entry.payload.files,
+        });
+      });
     },
 
-    clearStoredSession: function () {
+    storeOutbox: function () {
       try {
-        localStorage.removeItem("chat_widget_session");
-        this.log("Session cleared from storage");
+        if (this.state.outbox.length === 0) {
+          localStorage.removeItem(this.getStorageKey("outbox"));
+          return;
+        }
+        localStorage.setItem(
+          this.getStorageKey("outbox"),
+          JSON.stringify({
+            chatSessionId: this.state.session.chatSessionId,
+            messages: this.state.outbox,
+          })
+        );
       } catch (error) {
-        this.log("Error clearing session:", error);
+        this.log("Failed to store outbox:", error);
       }
     },
 
-    validateSession: function () {
-      if (this.state.session.chatSessionId && this.socket) {
-        this.socket.emit("validate-session", {
-          customerId: this.state.session.customerId,
-          chatSessionId: this.state.session.chatSessionId,
-        });
+    loadOutbox: function () {
+      if (!this.isOutboxEnabled()) return;
+
+      try {
+        const stored = localStorage.getItem(this.getStorageKey("outbox"));
+        if (!stored) return;
+
+        const outbox = JSON.parse(stored);
+        // Only keep messages that belong to the session being resumed
+        if (outbox.chatSessionId === this.state.session.chatSessionId) {
+          this.state.outbox = outbox.messages || [];
+          this.log("Restored outbox:", this.state.outbox.length, "messages");
+        } else {
+          localStorage.removeItem(this.getStorageKey("outbox"));
+        }
+      } catch (error) {
+        this.log("Error reading stored outbox:", error);
+        localStorage.removeItem(this.getStorageKey("outbox"));
       }
     },
 
@@ -2031,27 +5469,167 @@
      * Public API methods
      */
     open: function () {
+      this.loadRuntime();
       this.openWidget();
     },
 
     close: function () {
+      if (!this.state.runtimeLoaded) return;
       this.closeWidget();
     },
 
-    destroy: function () {
+    /**
+     * Remove the widget. The stored session and outbox are cleared unless
+     * `options.keepSession` is set, e.g. when the widget is re-created.
+     */
+    destroy: function (options) {
+      this.clearReconnectTimers();
+      this.clearStreams();
+      if (this.state.queue) {
+        clearTimeout(this.state.queue.fallbackTimer);
+      }
+      this.unbindLauncherEvents();
+
+      // Newest first, so a plugin can still rely on those installed before it
+      this.plugins
+        .slice()
+        .reverse()
+        .forEach((plugin) => this.removePlugin(plugin.name));
+
       if (this.socket) {
         this.socket.disconnect();
       }
 
-      if (this.elements.container) {
-        this.elements.container.parentNode.removeChild(this.elements.container);
+      const root = this.elements.host || this.elements.container;
+      if (root) {
+        root.parentNode.removeChild(root);
       }
 
       // Clear stored session
-      this.clearStoredSession();
+      if (!(options && options.keepSession)) {
+        this.clearStoredSession();
+      }
+
+      this.globalListeners.forEach((listener) => {
+        listener.target.removeEventListener(listener.type, listener.handler);
+      });
+      this.globalListeners = [];
 
       clearTimeout(this.typingTimeout);
+      this.cancelAllUploads();
       this.state.isInitialized = false;
+      this.state.runtimeLoaded = false;
+
+      const index = instances.indexOf(this);
+      if (index !== -1) {
+        instances.splice(index, 1);
+      }
+    },
+
+    /**
+     * Subscribe to a widget event. Returns the widget for chaining.
+     */
+    on: function (event, handler) {
+      if (typeof handler !== "function") {
+        console.error(`ChatWidget: Listener for "${event}" must be a function`);
+        return this;
+      }
+      if (!WIDGET_EVENTS.includes(event)) {
+        console.warn(`ChatWidget: Unknown event "${event}"`);
+      }
+
+      if (!this.eventListeners[event]) {
+        this.eventListeners[event] = [];
+      }
+      this.eventListeners[event].push(handler);
+      return this;
+    },
+
+    /**
+     * Unsubscribe a listener, or every listener of the event when no
+     * handler is given
+     */
+    off: function (event, handler) {
+      const listeners = this.eventListeners[event];
+      if (!listeners) return this;
+
+      this.eventListeners[event] = handler
+        ? listeners.filter((l) => l !== handler && l.listener !== handler)
+        : [];
+      return this;
+    },
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     */
+    once: function (event, handler) {
+      if (typeof handler !== "function") {
+        return this.on(event, handler);
+      }
+
+      const wrapper = function (payload) {
+        this.off(event, wrapper);
+        handler.call(this, payload);
+      };
+      // Lets off(event, handler) remove it before it fires
+      wrapper.listener = handler;
+      return this.on(event, wrapper);
+    },
+
+    /**
+     * Register a plugin. Plugins are objects with a unique `name` and any
+     * of: install(widget), destroy(widget), beforeSend(payload, widget),
+     * afterReceive(message, widget) and render: { [type]: fn(message, widget) }.
+     */
+    use: function (plugin) {
+      if (!plugin || typeof plugin !== "object" || !plugin.name) {
+        console.error("ChatWidget: A plugin must be an object with a name");
+        return this;
+      }
+      if (this.getPlugin(plugin.name)) {
+        console.warn(`ChatWidget: Plugin "${plugin.name}" is already installed`);
+        return this;
+      }
+
+      this.plugins.push(plugin);
+
+      if (typeof plugin.install === "function") {
+        try {
+          plugin.install(this);
+        } catch (error) {
+          console.error(`ChatWidget: Plugin "${plugin.name}" failed to install:`, error);
+          this.plugins.splice(this.plugins.indexOf(plugin), 1);
+          return this;
+        }
+      }
+
+      this.log("Plugin installed:", plugin.name);
+      return this;
+    },
+
+    /**
+     * Remove a plugin by name, calling its destroy hook
+     */
+    removePlugin: function (name) {
+      const plugin = this.getPlugin(name);
+      if (!plugin) return this;
+
+      this.plugins.splice(this.plugins.indexOf(plugin), 1);
+
+      if (typeof plugin.destroy === "function") {
+        try {
+          plugin.destroy(this);
+        } catch (error) {
+          console.error(`ChatWidget: Plugin "${name}" failed to destroy:`, error);
+        }
+      }
+
+      this.log("Plugin removed:", name);
+      return this;
+    },
+
+    getPlugin: function (name) {
+      return this.plugins.find((plugin) => plugin.name === name) || null;
     },
 
     // Get current state (useful for debugging)
@@ -2063,27 +5641,105 @@
         messagesCount: this.state.messages.length,
         session: this.state.session,
         agentInfo: this.state.agentInfo,
+        handoff: this.state.handoff,
+        queue: this.state.queue
+          ? {
+              position: this.state.queue.position,
+              estimatedWait: this.state.queue.estimatedWait,
+              agentsOnline: this.state.queue.agentsOnline,
+            }
+          : null,
       };
     },
 
-    // Clear session manually (useful for testing)
-    clearSession: function () {
-      this.clearStoredSession();
-      this.resetChatState();
+    /**
+     * Create an independent widget instance with its own socket, storage
+     * namespace and DOM. Pass a `namespace` to keep stored sessions apart
+     * between page loads; otherwise one is derived from the creation order.
+     */
+    create: function (options) {
+      instanceCount++;
+
+      const instance = Object.create(ChatWidget);
+      instance.instanceId = "chat-widget-" + instanceCount;
+      instance.config = cloneConfig(DEFAULT_CONFIG);
+      instance.state = createInitialState();
+      instance.elements = {};
+      instance.socket = null;
+      instance.globalListeners = [];
+      instance.eventListeners = {};
+      instance.plugins = [];
+      instance.typingTimeout = null;
+      instance.launcherListeners = null;
+      instance.hoverIntentTimeout = null;
+      instance.reconnectTimeout = null;
+      instance.reconnectCountdown = null;
+
+      instance.init(
+        Object.assign(
+          { namespace: "chat_widget_" + instanceCount },
+          options || {}
+        )
+      );
+
+      if (instance.state.isInitialized) {
+        instances.push(instance);
+      }
+      return instance;
     },
 
-    // Global method for removing files (called from onclick)
-    removeFile: function(fileId) {
-      // Remove from attached files
-      this.state.attachedFiles = this.state.attachedFiles.filter(f => f.id !== fileId);
-      
-      // Cancel upload if in progress
-      if (this.state.uploadingFiles.has(fileId)) {
-        this.state.uploadingFiles.delete(fileId);
+    /**
+     * All live instances created with ChatWidget.create()
+     */
+    getInstances: function () {
+      return instances.slice();
+    },
+
+    /**
+     * Register a custom transport adapter. The factory receives
+     * (serverUrl, transportOptions) and must return an object with
+     * on/emit/connect/disconnect that fires connect, disconnect and
+     * connect_error.
+     */
+    registerTransport: function (name, factory) {
+      if (typeof factory !== "function") {
+        console.error("ChatWidget: transport factory must be a function");
+        return;
       }
+      Transports[name] = factory;
+    },
 
-      this.renderFilePreview();
-      this.updateSendButton();
+    /**
+     * Register a custom upload adapter, selected with
+     * fileUpload.adapter = name. See UploadAdapters for the interface;
+     * send, parseResult and getViewUrl are required.
+     */
+    registerUploadAdapter: function (name, adapter) {
+      const required = ["send", "parseResult", "getViewUrl"];
+      const missing = required.filter(
+        (method) => !adapter || typeof adapter[method] !== "function"
+      );
+      if (missing.length > 0) {
+        console.error(
+          `ChatWidget: upload adapter "${name}" is missing ${missing.join(", ")}`
+        );
+        return;
+      }
+      UploadAdapters[name] = adapter;
+    },
+
+    /**
+     * Build init options from an element's attributes, as used by
+     * <chat-widget> (no prefix) and the loader's script tag ("data-")
+     */
+    optionsFromAttributes: function (element, prefix) {
+      return optionsFromAttributes(element, prefix);
+    },
+
+    // Clear session manually (useful for testing)
+    clearSession: function () {
+      this.clearStoredSession();
+      this.resetChatState();
     },
 
     /**
@@ -2091,42 +5747,93 @@
      */
     updateConfig: function (newOptions) {
       // Merge new options with existing config
-      this.config = Object.assign({}, this.config, newOptions);
+      this.mergeConfig(newOptions);
 
       // Reapply styling if widget is already created
       if (this.elements.container) {
         this.applyCustomStyling();
+        this.updateTextContent();
       }
 
       this.log("Configuration updated:", newOptions);
     },
 
     /**
-     * Update colors
+     * Migrate, validate and deep-merge options into the current config
      */
-    updateColors: function (colors) {
-      // Merge colors with defaults to prevent undefined values
-      const defaultColors = {
-        primary: "#667eea",
-        secondary: "#764ba2",
-        accent: "#ff6b6b",
-        success: "#51cf66",
-        warning: "#ffd43b",
-        error: "#ff4444",
-        background: "#ffffff",
-        surface: "#f8f9fa",
-        text: "#333333",
-        textSecondary: "#666666",
-        border: "#e9ecef",
-        shadow: "rgba(0, 0, 0, 0.12)",
-      };
+    mergeConfig: function (options) {
+      this.config = deepMerge(this.config, this.normalizeOptions(options));
+    },
+
+    /**
+     * Turn user options into a valid partial config: v1 keys are migrated,
+     * invalid values are dropped and every problem is reported
+     */
+    normalizeOptions: function (options) {
+      const problems = [];
+      const normalized = validateConfig(
+        this.migrateLegacyOptions(options || {}),
+        DEFAULT_CONFIG,
+        "",
+        problems
+      );
+
+      problems.forEach((problem) => {
+        console.warn("ChatWidget: Invalid configuration - " + problem);
+      });
+
+      return normalized;
+    },
+
+    /**
+     * Rewrite v1 options (see "Migration from v1" in the README)
+     */
+    migrateLegacyOptions: function (options) {
+      const migrated = Object.assign({}, options);
+
+      if (typeof migrated.position === "string") {
+        console.warn(
+          `ChatWidget: "position: '${migrated.position}'" is deprecated, use "position: { corner: '${migrated.position}' }"`
+        );
+        migrated.position = { corner: migrated.position };
+      }
+
+      LEGACY_TEXT_KEYS.forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(migrated, key)) return;
+
+        console.warn(
+          `ChatWidget: "${key}" is deprecated, use "text.${key}"`
+        );
+        // An explicit text.* value wins over the legacy key
+        migrated.text = Object.assign(
+          { [key]: migrated[key] },
+          migrated.text
+        );
+        delete migrated[key];
+      });
+
+      return migrated;
+    },
 
-      this.config.colors = Object.assign(
-        {},
-        defaultColors,
-        this.config.colors,
-        colors
+    /**
+     * Check options without applying them. Returns the list of problems.
+     */
+    validateConfig: function (options) {
+      const problems = [];
+      validateConfig(
+        this.migrateLegacyOptions(options || {}),
+        DEFAULT_CONFIG,
+        "",
+        problems
       );
+      return problems;
+    },
+
+    /**
+     * Update colors
+     */
+    updateColors: function (colors) {
+      this.mergeConfig({ colors: colors });
 
       if (this.elements.container) {
         this.applyCustomStyling();
@@ -2137,7 +5844,7 @@
      * Update button configuration
      */
     updateButton: function (buttonConfig) {
-      this.config.button = Object.assign({}, this.config.button, buttonConfig);
+      this.mergeConfig({ button: buttonConfig });
       if (this.elements.container) {
         this.applyCustomStyling();
       }
@@ -2147,7 +5854,7 @@
      * Update position
      */
     updatePosition: function (position) {
-      this.config.position = Object.assign({}, this.config.position, position);
+      this.mergeConfig({ position: position });
       if (this.elements.container) {
         this.applyCustomStyling();
       }
@@ -2157,7 +5864,7 @@
      * Update text content
      */
     updateText: function (textConfig) {
-      this.config.text = Object.assign({}, this.config.text, textConfig);
+      this.mergeConfig({ text: textConfig });
       if (this.elements.container) {
         this.updateTextContent();
       }
@@ -2171,7 +5878,15 @@
 
       // Update company name
       const title = this.elements.container.querySelector(".chat-title");
-      if (title) title.textContent = this.config.text.companyName;
+      if (title) {
+        title.textContent = this.state.agentInfo
+          ? `${this.config.text.companyName} - ${this.state.agentInfo.name}`
+          : this.config.text.companyName;
+      }
+
+      if (this.elements.handoffBtn) {
+        this.elements.handoffBtn.textContent = this.config.text.talkToPersonButton;
+      }
 
       // Update button tooltip
       if (this.elements.button) {
@@ -2192,17 +5907,17 @@
         startChatText.textContent = this.config.text.startChatText;
 
       const nameLabel = this.elements.container.querySelector(
-        'label[for="customer-name"]'
+        `label[for="${this.instanceId}-customer-name"]`
       );
       if (nameLabel) nameLabel.textContent = this.config.text.nameLabel;
 
       const phoneLabel = this.elements.container.querySelector(
-        'label[for="customer-phone"]'
+        `label[for="${this.instanceId}-customer-phone"]`
       );
       if (phoneLabel) phoneLabel.textContent = this.config.text.phoneLabel;
 
       const emailLabel = this.elements.container.querySelector(
-        'label[for="customer-email"]'
+        `label[for="${this.instanceId}-customer-email"]`
       );
       if (emailLabel) emailLabel.textContent = this.config.text.emailLabel;
 
@@ -2212,31 +5927,16 @@
       const placeholder = this.elements.container.querySelector(".chat-input");
       if (placeholder)
         placeholder.placeholder = this.config.text.placeholderText;
+
+      const reconnectBtn =
+        this.elements.container.querySelector(".chat-reconnect-btn");
+      if (reconnectBtn) reconnectBtn.textContent = this.config.text.retryNowButton;
     },
 
     /**
      * File Upload Methods
      */
     
-    /**
-     * Initialize axios instance for file uploads
-     */
-    initAxios: function() {
-      if (typeof axios === 'undefined') {
-        console.warn('ChatWidget: Axios library not found. File upload functionality disabled.');
-        return false;
-      }
-
-      this.axiosInstance2 = axios.create({
-        
-        baseURL: this.config.serverUrl,
-        timeout: 30000, // 30 seconds for file uploads
-        withCredentials: true,
-      });
-
-      return true;
-    },
-
     /**
      * Handle file selection
      */
@@ -2249,42 +5949,253 @@
         return;
       }
 
-      const files = Array.from(event.target.files);
-      this.log(`Files selected: ${files.length}`);
-      
-      if (files.length === 0) {
-        this.log('No files selected');
+      const files = Array.from(event.target.files);
+      this.log(`Files selected: ${files.length}`);
+
+      // Clear input for reuse
+      event.target.value = '';
+      
+      if (files.length === 0) {
+        this.log('No files selected');
+        return;
+      }
+
+      this.attachFiles(files);
+    },
+
+    /**
+     * Whether dropped or pasted files can be attached right now
+     */
+    canAttachFiles: function() {
+      return this.config.fileUpload.enabled && this.state.isChatStarted;
+    },
+
+    /**
+     * Whether a drag event carries files (and not e.g. selected text)
+     */
+    hasDraggedFiles: function(event) {
+      const types = event.dataTransfer && event.dataTransfer.types;
+      return Boolean(types) && Array.from(types).includes('Files');
+    },
+
+    setDropZoneActive: function(active) {
+      if (!this.elements.dropZone) return;
+      this.elements.dropZone.style.display = active ? 'flex' : 'none';
+      this.elements.widget.classList.toggle('drag-over', active);
+    },
+
+    /**
+     * Attach files from the clipboard. Files copied from a file manager also
+     * carry their name as plain text, but spreadsheet cells and rich text
+     * often come with an image rendition, so anything with HTML or RTF is
+     * left to the input as a normal text paste.
+     */
+    handlePaste: function(event) {
+      const clipboard = event.clipboardData;
+      if (!clipboard || !this.canAttachFiles()) return;
+
+      let files = Array.from(clipboard.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.getAsFile())
+        .filter(Boolean);
+      if (files.length === 0) {
+        files = Array.from(clipboard.files || []);
+      }
+      if (files.length === 0) return;
+
+      const types = Array.from(clipboard.types || []);
+      if (types.includes('text/html') || types.includes('text/rtf')) return;
+
+      event.preventDefault();
+      this.log('Files pasted:', files.length);
+      this.attachFiles(files.map(file => this.namePastedFile(file)));
+    },
+
+    /**
+     * Screenshots are pasted as "image.png"; give them a name that tells
+     * them apart in the conversation
+     */
+    namePastedFile: function(file) {
+      if (file.name && file.name !== 'image.png') return file;
+
+      const stamp = new Date().toISOString().slice(0, 19).replace('T', ' ').replace(/:/g, '.');
+      const extension = (file.type.split('/')[1] || 'png').replace('jpeg', 'jpg');
+      return new File([file], `Screenshot ${stamp}.${extension}`, {
+        type: file.type,
+        lastModified: file.lastModified || Date.now()
+      });
+    },
+
+    /**
+     * Process, validate and add files to the preview
+     */
+    attachFiles: async function(files) {
+      // Check total file limit before doing any image processing
+      const currentFiles = this.state.attachedFiles.length;
+      if (currentFiles + files.length > this.config.fileUpload.maxFiles) {
+        this.showErrorMessage(`Maximum ${this.config.fileUpload.maxFiles} files allowed`);
         return;
       }
 
-      // Validate files
+      // Type is checked on the original, size on the processed file
       const validFiles = [];
       for (const file of files) {
-        const validationResult = this.validateFile(file);
+        const typeResult = this.validateFileType(file);
+        if (!typeResult.valid) {
+          this.showErrorMessage(typeResult.error);
+          continue;
+        }
+
+        // One image at a time keeps memory use down on phones
+        const processed = await this.processImage(file);
+        const validationResult = this.validateFile(processed);
         if (validationResult.valid) {
-          validFiles.push(file);
+          validFiles.push({ file: processed, originalSize: file.size });
         } else {
           this.showErrorMessage(validationResult.error);
         }
       }
 
-      if (validFiles.length > 0) {
-        // Check total file limit
-        const currentFiles = this.state.attachedFiles.length;
-        const newFilesCount = validFiles.length;
-        if (currentFiles + newFilesCount > this.config.fileUpload.maxFiles) {
-          this.showErrorMessage(`Maximum ${this.config.fileUpload.maxFiles} files allowed`);
-          return;
+      // The widget may have been destroyed or filled up in the meantime
+      if (!this.elements.filePreview) return;
+      if (this.state.attachedFiles.length + validFiles.length > this.config.fileUpload.maxFiles) {
+        this.showErrorMessage(`Maximum ${this.config.fileUpload.maxFiles} files allowed`);
+        return;
+      }
+
+      // Add to attached files and show preview
+      validFiles.forEach(item => {
+        this.addFileToPreview(item.file, item.originalSize);
+      });
+    },
+
+    /**
+     * Whether processImage would touch this file. GIFs may be animated and
+     * SVGs are vector, both are sent as they are
+     */
+    isProcessableImage: function(file) {
+      const options = this.config.fileUpload.imageProcessing;
+      return Boolean(
+        options && options.enabled &&
+        /^image\//.test(file.type) &&
+        !/^image\/(gif|svg\+xml)$/.test(file.type) &&
+        typeof document.createElement('canvas').getContext === 'function'
+      );
+    },
+
+    /**
+     * Resize and re-encode an image according to fileUpload.imageProcessing.
+     * Resolves with the original file if it is not an image, cannot be
+     * decoded, or processing would not make it any better
+     */
+    processImage: async function(file) {
+      if (!this.isProcessableImage(file)) return file;
+
+      const options = this.config.fileUpload.imageProcessing;
+
+      try {
+        const image = await this.decodeImage(file);
+        const sourceWidth = image.width;
+        const sourceHeight = image.height;
+        const scale = Math.min(1, options.maxWidth / sourceWidth, options.maxHeight / sourceHeight);
+        const width = Math.max(1, Math.round(sourceWidth * scale));
+        const height = Math.max(1, Math.round(sourceHeight * scale));
+        const type = this.getImageOutputType(file.type);
+
+        if (scale === 1 && type === file.type && !options.stripMetadata) {
+          this.releaseImage(image);
+          return file;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const context = canvas.getContext('2d');
+        if (type === 'image/jpeg') {
+          // JPEG has no alpha channel, transparent areas would turn black
+          context.fillStyle = '#ffffff';
+          context.fillRect(0, 0, width, height);
+        }
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(image, 0, 0, width, height);
+        this.releaseImage(image);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, type, options.quality));
+        if (!blob) return file;
+
+        // Re-encoding a small, already compressed photo can make it bigger;
+        // keep the original then, unless its metadata has to go
+        if (blob.size >= file.size && scale === 1 && blob.type === file.type &&
+            !this.mayContainMetadata(file.type)) {
+          return file;
         }
 
-        // Add to attached files and show preview
-        validFiles.forEach(file => {
-          this.addFileToPreview(file);
+        this.log(`Processed image ${file.name}: ${sourceWidth}x${sourceHeight} -> ${width}x${height}, ${file.size} -> ${blob.size} bytes`);
+
+        return new File([blob], this.getProcessedFileName(file.name, blob.type), {
+          type: blob.type,
+          lastModified: file.lastModified
         });
+      } catch (error) {
+        this.log('Image processing failed, using the original file:', error);
+        return file;
       }
+    },
 
-      // Clear input for reuse
-      event.target.value = '';
+    /**
+     * Decode an image with its EXIF orientation applied
+     */
+    decodeImage: function(file) {
+      if (typeof window.createImageBitmap === 'function') {
+        return window.createImageBitmap(file, { imageOrientation: 'from-image' });
+      }
+
+      // Browsers without createImageBitmap options still honour EXIF
+      // orientation when drawing an <img> (CSS image-orientation: from-image)
+      return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+          URL.revokeObjectURL(url);
+          resolve(img);
+        };
+        img.onerror = () => {
+          URL.revokeObjectURL(url);
+          reject(new Error(`Cannot decode ${file.name}`));
+        };
+        img.src = url;
+      });
+    },
+
+    releaseImage: function(image) {
+      if (typeof image.close === 'function') {
+        image.close();
+      }
+    },
+
+    getImageOutputType: function(inputType) {
+      const format = this.config.fileUpload.imageProcessing.format;
+      if (format && format !== 'auto') return format;
+      return inputType === 'image/png' || inputType === 'image/webp' ? inputType : 'image/jpeg';
+    },
+
+    /**
+     * JPEG, WebP and HEIC/HEIF files can carry EXIF data such as GPS location
+     */
+    mayContainMetadata: function(type) {
+      return this.config.fileUpload.imageProcessing.stripMetadata &&
+        /^image\/(jpeg|webp|heic|heif|tiff)$/.test(type);
+    },
+
+    getProcessedFileName: function(name, type) {
+      const extensions = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' };
+      const extension = extensions[type];
+      if (!extension) return name;
+
+      const current = (name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+      if (current === extension || (extension === '.jpg' && current === '.jpeg')) return name;
+      return name.replace(/\.[^.]+$/, '') + extension;
     },
 
     /**
@@ -2299,6 +6210,10 @@
         };
       }
 
+      return this.validateFileType(file);
+    },
+
+    validateFileType: function(file) {
       // Check file type
       const fileExtension = '.' + file.name.split('.').pop().toLowerCase();
       const isValidType = this.config.fileUpload.allowedTypes.includes(file.type) ||
@@ -2317,7 +6232,7 @@
     /**
      * Add file to preview area
      */
-    addFileToPreview: function(file) {
+    addFileToPreview: function(file, originalSize) {
       this.log(`Adding file to preview: ${file.name} (${file.type}, ${file.size} bytes)`);
       
       const fileId = 'file_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -2326,7 +6241,9 @@
         id: fileId,
         file: file,
         uploaded: false,
-        uploadUrl: null
+        uploadUrl: null,
+        // Size before image processing, if it changed the file
+        originalSize: originalSize && originalSize !== file.size ? originalSize : null
       };
       
       this.state.attachedFiles.push(fileData);
@@ -2348,20 +6265,27 @@
 
       this.elements.filePreview.style.display = 'block';
       this.elements.filePreview.innerHTML = this.state.attachedFiles.map(fileData => {
-        const isUploading = this.state.uploadingFiles.has(fileData.id);
+        const upload = this.state.uploadingFiles.get(fileData.id);
         const file = fileData.file;
         
         return `
-          <div class="file-preview-item" data-file-id="${fileData.id}">
+          <div class="file-preview-item ${upload ? 'uploading' : ''}" data-file-id="${fileData.id}">
             <div class="file-icon">
               ${this.getFileIcon(file.type)}
             </div>
             <div class="file-info">
               <div class="file-name">${this.escapeHtml(file.name)}</div>
-              <div class="file-size">${this.formatFileSize(file.size)}</div>
-              ${isUploading ? '<div class="file-status">Uploading...</div>' : ''}
+              <div class="file-size">
+                ${fileData.originalSize ? `<span class="file-size-original">${this.formatFileSize(fileData.originalSize)}</span> → ` : ''}${this.formatFileSize(file.size)}
+              </div>
+              ${upload ? `
+                <div class="file-status">Uploading... ${upload.progress}%</div>
+                <div class="file-progress">
+                  <div class="file-progress-bar" style="width: ${upload.progress}%"></div>
+                </div>
+              ` : ''}
             </div>
-            <button type="button" class="file-remove-btn" onclick="ChatWidget.removeFile('${fileData.id}')" ${isUploading ? 'disabled' : ''}>
+            <button type="button" class="file-remove-btn" title="${upload ? 'Cancel upload' : 'Remove'}">
               <svg viewBox="0 0 24 24" width="16" height="16">
                 <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
               </svg>
@@ -2375,221 +6299,516 @@
      * Remove file from preview
      */
     removeFile: function(fileId) {
+      const fileData = this.state.attachedFiles.find(f => f.id === fileId);
+
       // Remove from attached files
       this.state.attachedFiles = this.state.attachedFiles.filter(f => f.id !== fileId);
-      
+
+      if (fileData) {
+        // Keeps it from being uploaded if it is still waiting for a slot
+        fileData.cancelled = true;
+      }
+
       // Cancel upload if in progress
-      if (this.state.uploadingFiles.has(fileId)) {
-        this.state.uploadingFiles.delete(fileId);
+      const upload = this.state.uploadingFiles.get(fileId);
+      if (upload) {
+        this.log(`Cancelling upload: ${fileId}`);
+        upload.controller.abort();
       }
 
       this.renderFilePreview();
+      this.updateSendButton();
+    },
+
+    /**
+     * Abort every upload in progress
+     */
+    cancelAllUploads: function() {
+      this.state.uploadingFiles.forEach(upload => upload.controller.abort());
+      this.state.uploadingFiles.clear();
+    },
+
+    /**
+     * The upload adapter selected in config.fileUpload
+     */
+    getUploadAdapter: function() {
+      const options = this.config.fileUpload;
+      const name = options.useMockUpload ? 'mock' : options.adapter;
+      const adapter = UploadAdapters[name];
+
+      if (!adapter) {
+        throw createUploadError(`Unknown upload adapter "${name}"`, 'ERR_ADAPTER');
+      }
+      return adapter;
+    },
+
+    /**
+     * Headers for requests to the upload API: fileUpload.headers plus
+     * whatever getAuthHeaders returns (e.g. a freshly refreshed token)
+     */
+    getUploadHeaders: async function() {
+      const options = this.config.fileUpload;
+      const headers = Object.assign({}, options.headers);
+
+      if (typeof options.getAuthHeaders === 'function') {
+        Object.assign(headers, await options.getAuthHeaders());
+      }
+      return headers;
     },
 
     /**
      * Upload file using the provided API
      */
-    uploadFile: function(fileData) {
+    uploadFile: async function(fileData) {
       this.log(`Starting upload for: ${fileData.file.name}`);
-      
-      return new Promise(async (resolve, reject) => {
-        // Check if mock upload is enabled
-        if (this.config.fileUpload.useMockUpload) {
-          this.log('Using mock upload mode...');
-          return this.mockUpload(fileData, resolve, reject);
-        }
-
-        // if (!this.axiosInstance2) {
-        //   this.log('Axios instance not available, attempting to initialize...');
-        //   if (!this.initAxios()) {
-        //     this.log('ERROR: Failed to initialize Axios');
-        //     reject(new Error('Axios not available'));
-        //     return;
-        //   } else {
-        //     this.log('Axios initialized successfully');
-        //   }
-        // }
 
-        const formData = new FormData();
-        formData.append('file', fileData.file);
-        this.log(`FormData prepared for: ${fileData.file.name}`);
+      const controller = new AbortController();
+      this.state.uploadingFiles.set(fileData.id, { controller: controller, progress: 0 });
+      this.renderFilePreview();
+
+      try {
+        const adapter = this.getUploadAdapter();
+        const file = fileData.file;
+        const context = {
+          signal: controller.signal,
+          headers: await this.getUploadHeaders(),
+          onProgress: (loaded, total) => {
+            this.updateFileUploadProgress(fileData.id, Math.round((loaded / total) * 100));
+          },
+        };
+
+        const target = adapter.getTarget
+          ? await adapter.getTarget.call(this, file, context)
+          : null;
+        const result = await adapter.send.call(this, file, target, context);
+
+        this.log(`Upload response received for ${fileData.file.name}:`, result);
+
+        // Update file data with upload result. The file may already have
+        // left the preview (e.g. when retrying a failed message), so update
+        // the object we were given rather than looking it up.
+        fileData.uploaded = true;
+        fileData.uploadUrl = adapter.parseResult.call(this, result, target, file);
+        fileData.uploadResponse = result;
+        this.log(`File marked as uploaded: ${fileData.file.name} -> ${fileData.uploadUrl}`);
+
+        return result;
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          fileData.cancelled = true;
+          this.log(`Upload cancelled: ${fileData.file.name}`);
+          throw error;
+        }
+
+        this.log(`Upload error for ${fileData.file.name}:`, error);
+        console.error('File upload failed:', error);
+
+        // Enhanced error handling
+        let errorMessage = 'File upload failed';
+        if (error.code === 'ERR_NETWORK') {
+          errorMessage = 'Cannot connect to upload server. Please check if the server is running or enable mock upload mode.';
+          this.log('NETWORK ERROR: Server may not be running. Consider enabling mock upload for testing.');
+        } else if (error.code === 'ERR_TIMEOUT') {
+          errorMessage = 'Upload timed out. Please try again.';
+        } else if (error.status === 401 || error.status === 403) {
+          errorMessage = 'Not authorized to upload files.';
+        } else if (error.status === 404) {
+          errorMessage = 'Upload endpoint not found. Please check the API endpoint configuration.';
+        } else if (error.status === 413) {
+          errorMessage = 'File too large. Please try a smaller file.';
+        } else if (error.status >= 500) {
+          errorMessage = 'Server error. Please try again later.';
+        } else if (error.body && error.body.message) {
+          errorMessage = error.body.message;
+        }
 
-        this.state.uploadingFiles.set(fileData.id, true);
+        this.showErrorMessage(`Failed to upload "${fileData.file.name}": ${errorMessage}`);
+        this.emitEvent("uploadFailed", {
+          fileId: fileData.id,
+          fileName: fileData.file.name,
+          fileSize: fileData.file.size,
+          message: errorMessage,
+          error: error,
+        });
+        throw error;
+      } finally {
+        this.state.uploadingFiles.delete(fileData.id);
         this.renderFilePreview();
+      }
+    },
 
-        try {
-          this.log(`Sending POST request to: ${this.config.fileUpload.apiEndpoint}`);
-          // const response = await this.axiosInstance2.post(this.config.fileUpload.apiEndpoint, formData, {
-          //   headers: {
-          //     'Content-Type': 'multipart/form-data',
-          //   },
-          //   // onUploadProgress: (progressEvent) => {
-          //   //   if (progressEvent.lengthComputable) {
-          //   //     const percentage = Math.round((progressEvent.loaded / progressEvent.total) * 100);
-          //   //     this.updateFileUploadProgress(fileData.id, percentage);
-          //   //     this.log(`Upload progress for ${fileData.file.name}: ${percentage}%`);
-          //   //   }
-          //   // }
-          // });
-          // const response = await this.axiosInstance2({
-          //   method: 'post',
-          //   url: this.config.fileUpload.apiEndpoint,
-          //   data: formData,
-          //   headers: {
-          //     'Content-Type': 'multipart/form-data',
-          //   },
-          //   // onUploadProgress: (progressEvent) => {
-          //   //   if (progressEvent.lengthComputable) {
-          //   //     const percentage = Math.round((progressEvent.loaded / progressEvent.total) * 100);
-          //   //     this.updateFileUploadProgress(fileData.id, percentage);
-          //   //     this.log(`Upload progress for ${fileData.file.name}: ${percentage}%`);
-          //   //   }
-          //   // }
-          // });\
-
-          const response = await axios({
-            method: 'post',
-            url: this.config.fileUpload.apiEndpoint,
-            data: formData,
-            headers: {
-              'Content-Type': 'multipart/form-data',
-            },
-            timeout: 30000,
-            // onUploadProgress: (progressEvent) => {
-            //   if (progressEvent.lengthComputable) {
-            //     const percentage = Math.round((progressEvent.loaded / progressEvent.total) * 100);
-            //     this.updateFileUploadProgress(fileData.id, percentage);
-            //     this.log(`Upload progress for ${fileData.file.name}: ${percentage}%`);
-            //   }
-            // }
-          })
+    /**
+     * Send an upload API request. Uses XHR because fetch can't report
+     * upload progress. Plain objects are sent as JSON. Resolves with the
+     * parsed JSON response (or null for an empty one with expectJson:
+     * false); rejects with an upload error (see createUploadError) or an
+     * AbortError.
+     */
+    sendRequest: function(method, url, body, options) {
+      const uploadOptions = this.config.fileUpload;
+      options = options || {};
+
+      return new Promise((resolve, reject) => {
+        if (options.signal && options.signal.aborted) {
+          reject(createAbortError());
+          return;
+        }
+
+        const xhr = new XMLHttpRequest();
+        xhr.open(method, url);
+        xhr.timeout = uploadOptions.timeout;
+        xhr.withCredentials = options.withCredentials !== undefined
+          ? options.withCredentials
+          : uploadOptions.withCredentials;
+
+        const headers = Object.assign({}, options.headers);
+        if (isPlainObject(body)) {
+          body = JSON.stringify(body);
+          headers['Content-Type'] = 'application/json';
+        }
+        Object.keys(headers).forEach(name => {
+          xhr.setRequestHeader(name, headers[name]);
+        });
 
-          this.state.uploadingFiles.delete(fileData.id);
-          this.log(`Upload response received for ${fileData.file.name}:`, response.data);
-          
-          // Update file data with upload result
-          const attachedFile = this.state.attachedFiles.find(f => f.id === fileData.id);
-          if (attachedFile) {
-            attachedFile.uploaded = true;
-            attachedFile.uploadUrl = response.data.data.location;
-            attachedFile.uploadResponse = response.data;
-            this.log(`File marked as uploaded: ${fileData.file.name} -> ${attachedFile.uploadUrl}`);
+        if (options.onProgress) {
+          xhr.upload.onprogress = (event) => {
+            if (event.lengthComputable) {
+              options.onProgress(event.loaded, event.total);
+            }
+          };
+        }
+
+        xhr.onload = () => {
+          let responseBody = null;
+          try {
+            responseBody = JSON.parse(xhr.responseText);
+          } catch (error) {
+            // Not JSON - handled below
+          }
+
+          const isSuccess = xhr.status >= 200 && xhr.status < 300;
+          if (isSuccess && (responseBody || options.expectJson === false)) {
+            resolve(responseBody);
           } else {
-            this.log('WARNING: Could not find attached file in state to update');
+            reject(createUploadError(
+              `Upload failed with status ${xhr.status}`,
+              'ERR_HTTP',
+              xhr.status,
+              responseBody
+            ));
           }
+        };
+        xhr.onerror = () => reject(createUploadError('Network Error', 'ERR_NETWORK'));
+        xhr.ontimeout = () => reject(createUploadError('Upload timed out', 'ERR_TIMEOUT'));
+        xhr.onabort = () => reject(createAbortError());
+
+        if (options.signal) {
+          options.signal.addEventListener('abort', () => xhr.abort(), { once: true });
+        }
+        xhr.send(body === undefined ? null : body);
+      });
+    },
+
+    shouldUseChunkedUpload: function(file) {
+      const chunked = this.config.fileUpload.chunked;
+      return chunked.enabled && file.size > chunked.threshold;
+    },
+
+    /**
+     * Upload a file in chunks. The upload ID is stored per file, so the
+     * same file attached again (e.g. after a page reload) continues from the
+     * last chunk the server acknowledged. Network errors are retried once
+     * the browser is back online.
+     */
+    sendChunkedUpload: async function(file, context) {
+      const options = this.config.fileUpload.chunked;
+      const signal = context.signal;
+      const fingerprint = this.getFileFingerprint(file);
+
+      let status = await this.getChunkedUploadStatus(file, fingerprint, context);
+      let offset = status.receivedBytes;
+      let attempts = 0;
 
-          this.renderFilePreview();
-          resolve(response.data);
+      this.log(`Chunked upload ${status.uploadId} for ${file.name} starting at ${offset} bytes`);
+      context.onProgress(offset, file.size);
+
+      while (!status.location) {
+        const end = Math.min(offset + options.chunkSize, file.size);
+
+        try {
+          const response = await this.sendRequest(
+            'PUT',
+            `${options.endpoint}/${encodeURIComponent(status.uploadId)}`,
+            file.slice(offset, end),
+            {
+              signal: signal,
+              headers: Object.assign({}, context.headers, {
+                'Content-Type': 'application/octet-stream',
+                'Content-Range': `bytes ${offset}-${end - 1}/${file.size}`,
+              }),
+              onProgress: (loaded) => {
+                context.onProgress(offset + loaded, file.size);
+              },
+            }
+          );
+          status = response.data;
+          attempts = 0;
         } catch (error) {
-          this.state.uploadingFiles.delete(fileData.id);
-          this.renderFilePreview();
-          
-          this.log(`Upload error for ${fileData.file.name}:`, error);
-          console.error('File upload failed:', error);
-          
-          // Enhanced error handling
-          let errorMessage = 'File upload failed';
-          if (error.code === 'ERR_NETWORK' || error.message === 'Network Error') {
-            errorMessage = 'Cannot connect to upload server. Please check if the server is running or enable mock upload mode.';
-            this.log('NETWORK ERROR: Server may not be running. Consider enabling mock upload for testing.');
-          } else if (error.response?.status === 404) {
-            errorMessage = 'Upload endpoint not found. Please check the API endpoint configuration.';
-          } else if (error.response?.status === 413) {
-            errorMessage = 'File too large. Please try a smaller file.';
-          } else if (error.response?.status >= 500) {
-            errorMessage = 'Server error. Please try again later.';
-          } else if (error.response?.data?.message) {
-            errorMessage = error.response.data.message;
+          if (error.name === 'AbortError') throw error;
+
+          if (error.status === 409 && error.body && error.body.data) {
+            // The server has a different offset - continue from there
+            status = error.body.data;
+          } else if (error.status === 404) {
+            // The server no longer knows this upload - start over
+            this.forgetChunkedUpload(fingerprint);
+            status = await this.getChunkedUploadStatus(file, fingerprint, context);
+          } else if (this.isRetryableUploadError(error) && attempts < options.retries) {
+            attempts++;
+            this.log(`Chunk failed (${error.message}), retry ${attempts}/${options.retries}`);
+            await this.waitForUploadRetry(options.retryDelay * attempts, signal);
+            status = await this.getChunkedUploadStatus(file, fingerprint, context);
+          } else {
+            throw error;
           }
-          
-          this.showErrorMessage(`Failed to upload "${fileData.file.name}": ${errorMessage}`);
-          reject(error);
+        }
+
+        offset = status.receivedBytes;
+        context.onProgress(offset, file.size);
+      }
+
+      this.forgetChunkedUpload(fingerprint);
+      return { data: status };
+    },
+
+    /**
+     * Status of the stored upload for this file, or of a new one
+     */
+    getChunkedUploadStatus: async function(file, fingerprint, context) {
+      const options = this.config.fileUpload.chunked;
+      const requestOptions = { signal: context.signal, headers: context.headers };
+      const stored = this.loadChunkedUploads()[fingerprint];
+
+      if (stored) {
+        try {
+          const response = await this.sendRequest(
+            'GET',
+            `${options.endpoint}/${encodeURIComponent(stored.uploadId)}`,
+            undefined,
+            requestOptions
+          );
+          return response.data;
+        } catch (error) {
+          if (error.status !== 404) throw error;
+          this.log('Stored upload expired on the server, starting a new one');
+        }
+      }
+
+      const response = await this.sendRequest('POST', options.endpoint, {
+        fileName: file.name,
+        fileSize: file.size,
+        mimeType: file.type,
+      }, requestOptions);
+
+      this.storeChunkedUpload(fingerprint, response.data.uploadId);
+      return response.data;
+    },
+
+    isRetryableUploadError: function(error) {
+      return (
+        error.code === 'ERR_NETWORK' ||
+        error.code === 'ERR_TIMEOUT' ||
+        error.status >= 500
+      );
+    },
+
+    /**
+     * Wait before retrying a chunk - until the browser is online again,
+     * then for `delay` ms
+     */
+    waitForUploadRetry: function(delay, signal) {
+      return new Promise((resolve, reject) => {
+        let timer = null;
+
+        const onAbort = () => {
+          clearTimeout(timer);
+          window.removeEventListener('online', onOnline);
+          reject(createAbortError());
+        };
+        const wait = () => {
+          timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+          }, delay);
+        };
+        const onOnline = () => {
+          window.removeEventListener('online', onOnline);
+          wait();
+        };
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        if (navigator.onLine === false) {
+          this.log('Offline, waiting to resume upload');
+          window.addEventListener('online', onOnline);
+        } else {
+          wait();
         }
       });
     },
 
+    getFileFingerprint: function(file) {
+      return [file.name, file.size, file.type, file.lastModified].join(':');
+    },
+
+    loadChunkedUploads: function() {
+      try {
+        const uploads = JSON.parse(
+          localStorage.getItem(this.getStorageKey('uploads')) || '{}'
+        );
+        // Servers don't keep partial uploads forever - drop old entries
+        const maxAge = 24 * 60 * 60 * 1000;
+        Object.keys(uploads).forEach(key => {
+          if (Date.now() - uploads[key].createdAt > maxAge) {
+            delete uploads[key];
+          }
+        });
+        return uploads;
+      } catch (error) {
+        this.log('Error reading stored uploads:', error);
+        return {};
+      }
+    },
+
+    storeChunkedUpload: function(fingerprint, uploadId) {
+      const uploads = this.loadChunkedUploads();
+      uploads[fingerprint] = { uploadId: uploadId, createdAt: Date.now() };
+      this.saveChunkedUploads(uploads);
+    },
+
+    forgetChunkedUpload: function(fingerprint) {
+      const uploads = this.loadChunkedUploads();
+      delete uploads[fingerprint];
+      this.saveChunkedUploads(uploads);
+    },
+
+    saveChunkedUploads: function(uploads) {
+      try {
+        if (Object.keys(uploads).length === 0) {
+          localStorage.removeItem(this.getStorageKey('uploads'));
+        } else {
+          localStorage.setItem(this.getStorageKey('uploads'), JSON.stringify(uploads));
+        }
+      } catch (error) {
+        this.log('Error storing uploads:', error);
+      }
+    },
+
     /**
      * Mock upload function for testing without server
      */
-    mockUpload: function(fileData, resolve, reject) {
-      this.log(`Mock upload starting for: ${fileData.file.name}`);
-      this.state.uploadingFiles.set(fileData.id, true);
-      this.renderFilePreview();
+    mockUpload: function(file, context) {
+      const signal = context.signal;
+      this.log(`Mock upload starting for: ${file.name}`);
+
+      return new Promise((resolve, reject) => {
+        // Simulate upload progress
+        let progress = 0;
+        const progressInterval = setInterval(() => {
+          progress += Math.random() * 30;
+          if (progress > 100) progress = 100;
+          context.onProgress(progress, 100);
+
+          if (progress >= 100) {
+            clearInterval(progressInterval);
+
+            // Simulate completion
+            setTimeout(() => {
+              if (signal.aborted) return;
+
+              // Generate mock URL
+              const mockUrl = `https://mock-server.com/uploads/${Date.now()}-${file.name}`;
+              this.log(`Mock upload completed: ${file.name} -> ${mockUrl}`);
+              resolve({ url: mockUrl, message: 'Mock upload successful' });
+            }, 200);
+          }
+        }, 100);
 
-      // Simulate upload progress
-      let progress = 0;
-      const progressInterval = setInterval(() => {
-        progress += Math.random() * 30;
-        if (progress > 100) progress = 100;
-        this.updateFileUploadProgress(fileData.id, Math.round(progress));
-        
-        if (progress >= 100) {
+        signal.addEventListener('abort', () => {
           clearInterval(progressInterval);
-          
-          // Simulate completion
-          setTimeout(() => {
-            this.state.uploadingFiles.delete(fileData.id);
-            
-            // Generate mock URL
-            const mockUrl = `https://mock-server.com/uploads/${Date.now()}-${fileData.file.name}`;
-            
-            // Update file data
-            const attachedFile = this.state.attachedFiles.find(f => f.id === fileData.id);
-            if (attachedFile) {
-              attachedFile.uploaded = true;
-              attachedFile.uploadUrl = mockUrl;
-              attachedFile.uploadResponse = { url: mockUrl, message: 'Mock upload successful' };
-              this.log(`Mock upload completed: ${fileData.file.name} -> ${mockUrl}`);
-            }
-
-            this.renderFilePreview();
-            resolve({ url: mockUrl, message: 'Mock upload successful' });
-          }, 200);
-        }
-      }, 100);
+          reject(createAbortError());
+        }, { once: true });
+      });
     },
 
     /**
-     * Upload all attached files
+     * Upload all attached files (or the given list). Files that were
+     * already uploaded are skipped, so retries reuse their URIs.
      */
-    uploadAllFiles: function() {
+    uploadAllFiles: async function(files) {
       this.log('Starting uploadAllFiles...');
-      const filesToUpload = this.state.attachedFiles.filter(f => !f.uploaded);
+      const filesToUpload = (files || this.state.attachedFiles).filter(f => !f.uploaded && !f.cancelled);
       this.log('Files to upload count:', filesToUpload.length);
       
       if (filesToUpload.length === 0) {
         this.log('No files to upload - returning empty array');
-        return Promise.resolve([]);
+        return [];
       }
 
       filesToUpload.forEach((file, index) => {
         this.log(`File ${index + 1}: ${file.file.name} (${file.file.type})`);
       });
 
-      const uploadPromises = filesToUpload.map((fileData, index) => 
-        this.uploadFile(fileData).then(result => {
-          this.log(`Upload successful for file ${index + 1}: ${fileData.file.name}`);
-          return result;
-        }).catch(error => {
-          this.log(`Upload failed for file ${index + 1}: ${fileData.file.name} - ${error.message}`);
-          console.error('Upload failed for file:', fileData.file.name, error);
-          return null; // Continue with other uploads
-        })
-      );
+      // Run at most `concurrency` uploads at a time
+      const results = new Array(filesToUpload.length).fill(null);
+      let next = 0;
 
-      return Promise.all(uploadPromises);
+      const uploadNext = async () => {
+        while (next < filesToUpload.length) {
+          const index = next++;
+          const fileData = filesToUpload[index];
+
+          // Removed from the preview while waiting for a slot
+          if (fileData.cancelled) continue;
+
+          try {
+            results[index] = await this.uploadFile(fileData);
+            this.log(`Upload successful for file ${index + 1}: ${fileData.file.name}`);
+          } catch (error) {
+            // Continue with other uploads
+            this.log(`Upload failed for file ${index + 1}: ${fileData.file.name} - ${error.message}`);
+          }
+        }
+      };
+
+      const concurrency = Math.max(1, this.config.fileUpload.concurrency || 1);
+      const workers = [];
+      for (let i = 0; i < Math.min(concurrency, filesToUpload.length); i++) {
+        workers.push(uploadNext());
+      }
+      await Promise.all(workers);
+
+      return results;
     },
 
     /**
      * Update file upload progress
      */
     updateFileUploadProgress: function(fileId, percentage) {
+      const upload = this.state.uploadingFiles.get(fileId);
+      if (upload) {
+        upload.progress = percentage;
+      }
+
       const fileItem = this.elements.filePreview.querySelector(`[data-file-id="${fileId}"]`);
       if (fileItem) {
-        let statusEl = fileItem.querySelector('.file-status');
+        const statusEl = fileItem.querySelector('.file-status');
         if (statusEl) {
           statusEl.textContent = `Uploading... ${percentage}%`;
         }
+        const barEl = fileItem.querySelector('.file-progress-bar');
+        if (barEl) {
+          barEl.style.width = `${percentage}%`;
+        }
       }
     },
 
@@ -2620,20 +6839,18 @@
     },
 
     /**
-     * Get file access URL from filename
-     * Uses the access endpoint to get the actual file URL
+     * URL the browser can load a stored file URI from, as given by the
+     * upload adapter
      */
-    getFileAccessUrl: function(fileName) {
-      if (!fileName) return null;
-      
-      // Remove any existing path and keep only the filename
-      const cleanFileName = fileName.split('/').pop();
-      
-      // Construct the access URL
-      const baseUrl = this.config.serverUrl || '';
-      const accessEndpoint = this.config.fileUpload.accessEndpoint;
+    getFileAccessUrl: function(fileUri) {
+      if (!fileUri) return null;
 
-      return `${accessEndpoint}/buffer/${cleanFileName}`;
+      try {
+        return this.getUploadAdapter().getViewUrl.call(this, fileUri);
+      } catch (error) {
+        this.log('Cannot build file URL:', error);
+        return null;
+      }
     },
     getFileTypeFromName: function(fileName) {
       if (!fileName) return 'unknown';
@@ -2666,6 +6883,199 @@
     },
   };
 
+  // Pristine defaults for instances made with ChatWidget.create() - the
+  // global ChatWidget object is itself the default instance and may have
+  // been re-configured by then
+  const DEFAULT_CONFIG = cloneConfig(ChatWidget.config);
+  const instances = [];
+
+  // Attributes of <chat-widget> and the option each one sets. Changing a
+  // `reinit` option after creation recreates the widget.
+  const ELEMENT_ATTRIBUTES = {
+    "server-url": { path: "serverUrl", reinit: true },
+    namespace: { path: "namespace", reinit: true },
+    transport: { path: "transport.type", reinit: true },
+    "shadow-dom": { path: "shadowDom.enabled", reinit: true },
+    theme: { path: "theme" },
+    "auto-open": { path: "autoOpen" },
+    debug: { path: "debug" },
+    corner: { path: "position.corner" },
+    "offset-x": { path: "position.offset.x" },
+    "offset-y": { path: "position.offset.y" },
+    "company-name": { path: "text.companyName" },
+    "welcome-message": { path: "text.welcomeMessage" },
+    "button-text": { path: "text.buttonText" },
+    "placeholder-text": { path: "text.placeholderText" },
+    "primary-color": { path: "colors.primary" },
+    "secondary-color": { path: "colors.secondary" },
+    "accent-color": { path: "colors.accent" },
+    "background-color": { path: "colors.background" },
+    "text-color": { path: "colors.text" },
+    "button-shape": { path: "button.shape" },
+    "button-icon": { path: "button.icon" },
+    "button-size": { path: "button.size" },
+  };
+
+  // Config section -> the update method that applies it
+  const SECTION_UPDATERS = {
+    colors: "updateColors",
+    text: "updateText",
+    position: "updatePosition",
+    button: "updateButton",
+  };
+
+  function getConfigValue(config, path) {
+    return path.split(".").reduce((value, key) => value && value[key], config);
+  }
+
+  /**
+   * Nested options object that sets a single dotted path
+   */
+  function optionsForPath(path, value) {
+    return path
+      .split(".")
+      .reverse()
+      .reduce((nested, key) => ({ [key]: nested }), value);
+  }
+
+  /**
+   * Convert an attribute value to the type of the option's default. A
+   * removed attribute restores the default.
+   */
+  function parseAttributeValue(path, value) {
+    const defaultValue = getConfigValue(DEFAULT_CONFIG, path);
+
+    if (value === null) return defaultValue;
+    if (typeof defaultValue === "boolean") return value !== "false";
+    if (typeof defaultValue === "number") {
+      const number = Number(value);
+      return value.trim() !== "" && !isNaN(number) ? number : value;
+    }
+    return value;
+  }
+
+  /**
+   * Options from the config attributes of an element. With a prefix,
+   * e.g. "data-", attributes are read as `data-server-url` and so on.
+   */
+  function optionsFromAttributes(element, prefix) {
+    let options = {};
+
+    Object.keys(ELEMENT_ATTRIBUTES).forEach((name) => {
+      const attribute = (prefix || "") + name;
+      if (!element.hasAttribute(attribute)) return;
+
+      const path = ELEMENT_ATTRIBUTES[name].path;
+      options = deepMerge(
+        options,
+        optionsForPath(
+          path,
+          parseAttributeValue(path, element.getAttribute(attribute))
+        )
+      );
+    });
+
+    return options;
+  }
+
+  /**
+   * <chat-widget> element. Attributes map onto the widget config, widget
+   * events are re-dispatched as "chat-widget:<event>" CustomEvents and
+   * removing the element destroys the widget.
+   */
+  function defineChatWidgetElement() {
+    if (!window.customElements || window.customElements.get("chat-widget")) {
+      return;
+    }
+
+    class ChatWidgetElement extends HTMLElement {
+      static get observedAttributes() {
+        return Object.keys(ELEMENT_ATTRIBUTES);
+      }
+
+      // The ChatWidget instance, available once the element is connected
+      get widget() {
+        return this._widget || null;
+      }
+
+      connectedCallback() {
+        if (!this._widget) {
+          this.createWidget();
+        }
+      }
+
+      disconnectedCallback() {
+        // Frameworks often move elements around - only destroy the widget
+        // if the element is still detached after a microtask. A move keeps
+        // the widget as it is; an element that stays removed ends the chat.
+        Promise.resolve().then(() => {
+          if (!this.isConnected) {
+            this.destroyWidget();
+          }
+        });
+      }
+
+      attributeChangedCallback(name, oldValue, newValue) {
+        if (!this._widget || oldValue === newValue) return;
+
+        const attribute = ELEMENT_ATTRIBUTES[name];
+        if (attribute.reinit) {
+          // The new widget picks the conversation up again
+          this.destroyWidget({ keepSession: true });
+          this.createWidget();
+          return;
+        }
+
+        const value = parseAttributeValue(attribute.path, newValue);
+        const [section, ...rest] = attribute.path.split(".");
+        const updater = SECTION_UPDATERS[section];
+
+        if (updater) {
+          this._widget[updater](optionsForPath(rest.join("."), value));
+        } else {
+          this._widget.updateConfig(optionsForPath(attribute.path, value));
+        }
+      }
+
+      createWidget() {
+        const options = optionsFromAttributes(this);
+
+        // Without a namespace attribute, derive one from the id or reuse the
+        // previous widget's, so re-creating finds the stored session again
+        const namespace = this.id ? "chat_widget_" + this.id : this._namespace;
+        if (!options.namespace && namespace) {
+          options.namespace = namespace;
+        }
+
+        this._widget = ChatWidget.create(options);
+        this._namespace = this._widget.config.namespace;
+
+        WIDGET_EVENTS.forEach((event) => {
+          this._widget.on(event, (detail) => {
+            this.dispatchEvent(
+              new CustomEvent("chat-widget:" + event, {
+                detail: detail,
+                bubbles: true,
+                composed: true,
+              })
+            );
+          });
+        });
+      }
+
+      destroyWidget(options) {
+        if (!this._widget) return;
+
+        this._widget.destroy(options);
+        this._widget = null;
+      }
+    }
+
+    window.customElements.define("chat-widget", ChatWidgetElement);
+  }
+
   // Expose to global scope
   window.ChatWidget = ChatWidget;
+
+  defineChatWidgetElement();
 })(window, document);
@@ -1 +1 @@
-(function (windowdocument)"use strict"if (typeof io"undefined")console.error( "ChatWidgetSocket.IO library is required. Please include it before this script." )returnconst ChatWidgetconfigserverUrl"httpposition"bottom-right"theme"default"welcomeMessage"Hello! How can we help you today?"buttonText"Chat with us"companyName"Support"showMinimizeButtontrueautoOpenfalsedebugfalsecolorsprimary"#667eea"secondary"#764ba2"accent"#ff6b6b"success"#51cf66"warning"#ffd43b"error"#ff4444"background"#ffffff"surface"#f8f9fa"text"#333333"textSecondary"#666666"border"#e9ecef"shadow"rgba(0000.12)"buttonsize60shape"circle"icon"default"customIconnullbackgroundColornullhoverEffect"scale"showNotificationfalsenotificationColor"#ff4444"positioncorner"bottom-right"offsetx20y20zIndex9999dimensionswidth350height500minWidth300maxWidth500minHeight400maxHeight600typographyfontFamily'-apple-systemBlinkMacSystemFont"Segoe UI"Robotosans-serif'fontSize14headerFontSize16titleFontSize18buttonFontSize14lineHeight1.4textcompanyName"Support"welcomeMessage"Hello! How can we help you today?"buttonText"Chat with us"connectingText"Connecting to chat service..."startChatText"Please provide your details to start chatting"nameLabel"Name *"phoneLabel"Phone *"emailLabel"Email"startChatButton"Start Chat"minimizeButton"Minimize"closeButton"Close"sendButton"Send"typingText"Agent is typing..."placeholderText"Type your message..."noMessagesText"No messages yet. Start the conversation!"animationsentrance"slide-up"duration300easing"ease-out"hoverEffectstruetypingIndicatortruestylingborderRadius12borderWidth0borderColor"transparent"shadow"0 8px 40px rgba(0000.12)"shadowHover"0 12px 50px rgba(0000.15)"stateisInitializedfalseisConnectedfalseisChatStartedfalseisOpenfalseisTypingfalseagentTypingfalsemessages[]sessioncustomerIdnullchatSessionIdnullagentInfonullcustomerInfoname""phone""email""socketnullelementscontainernullwidgetnullbuttonnullheadernullmessagesnullinputnullformnullstartFormnulltypingTimeoutnullinitfunction (options)if (this.state.isInitialized)console.warn("ChatWidgetAlready initialized")returnthis.configObject.assign(this.configoptions ||)if (!this.config.serverUrl)console.error("ChatWidgetserverUrl is required")returnthis.log("Initializing ChatWidget...")this.createWidget()this.checkExistingSession()this.state.isInitializedtruethis.log("ChatWidget initialized successfully")createWidgetfunction ()this.elements.containerdocument.createElement("div")this.elements.container.className"chat-widget-container " + this.config.position.corner + " " + this.config.themethis.elements.container.innerHTMLthis.getWidgetHTML()document.body.appendChild(this.elements.container)this.elements.widgetthis.elements.container.querySelector(".chat-widget")this.elements.buttonthis.elements.container.querySelector( ".chat-toggle-button" )this.elements.headerthis.elements.container.querySelector(".chat-header")this.elements.messagesthis.elements.container.querySelector(".chat-messages")this.elements.inputthis.elements.container.querySelector(".chat-input")this.elements.formthis.elements.container.querySelector(".chat-input-form")this.elements.startFormthis.elements.container.querySelector(".chat-start-form")this.applyCustomStyling()this.bindEvents()if (this.config.autoOpen)this.openWidget()getWidgetHTMLfunction ()return ` <!-- Chat Toggle Button --> <button class"chat-toggle-button" title"$this.config.text.buttonText"> $this.getButtonIcon()<svg class"close-icon" viewBox"0 0 24 24" width"24" height"24" style"displaynone"> <path d"M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/> </svg> </button> <!-- Chat Widget --> <div class"chat-widget" style"displaynone"> <!-- Header --> <div class"chat-header"> <div class"chat-header-info"> <h3 class"chat-title">$this.config.text.companyName</h3> <span class"chat-status">Connect to start chatting</span> </div> <div class"chat-header-actions"> $this.config.showMinimizeButton ? '<button class"chat-minimize-btn" title"' + this.config.text.minimizeButton + '">−</button>'""<button class"chat-close-btn" title"$this.config.text.closeButton">×</button> </div> </div> <!-- Chat Body - Restructured for fixed input --> <div class"chat-body"> <!-- Connection Status --> <div class"chat-connecting" style"displayblock"> <div class"connecting-spinner"></div> <p>$this.config.text.connectingText</p> </div> <!-- Start Chat Form --> <div class"chat-start" style"displaynone"> <div class"chat-welcome"> <p>$this.config.text.welcomeMessage</p> <p>$this.config.text.startChatText</p> </div> <form class"chat-start-form"> <div class"form-group"> <label for"customer-name">$this.config.text.nameLabel</label> <input type"text" id"customer-name" name"name" required> </div> <div class"form-group"> <label for"customer-phone">$this.config.text.phoneLabel</label> <input type"tel" id"customer-phone" name"phone" required> </div> <div class"form-group"> <label for"customer-email">$this.config.text.emailLabel</label> <input type"email" id"customer-email" name"email"> </div> <button type"submit" class"chat-start-btn">$this.config.text.startChatButton</button> </form> </div> <!-- Chat Messages Container --> <div class"chat-conversation" style"displaynoneoverflowscrollmax-height300px"> <div class"chat-messages-container"> <div class"chat-messages"></div> <div class"chat-typing-indicator" style"displaynone"> <div class"typing-dots"> <span></span> <span></span> <span></span> </div> <span class"typing-text">$this.config.text.typingText</span> </div> </div> </div> </div> <!-- Chat Input - Fixed to bottom --> <div class"chat-input-container" style"displaynone"> <form class"chat-input-form"> <input type"text" class"chat-input" placeholder"$this.config.text.placeholderText" maxlength"1000"> <button type"submit" class"chat-send-btn" disabled> <svg viewBox"0 0 24 24" width"20" height"20"> <path d"M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/> </svg> </button> </form> <div class"chat-actions"> <button class"chat-end-btn">End Chat</button> </div> </div> </div> `getButtonIconfunction ()const iconTypethis.config.button.iconconst customIconthis.config.button.customIconif (customIcon)return customIconswitch (iconType)case "message"return `<svg class"chat-icon" viewBox"0 0 24 24" width"24" height"24"> <path d"M20 2H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h4l4 4 4-4h4c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2z"/> </svg>`case "chat"return `<svg class"chat-icon" viewBox"0 0 24 24" width"24" height"24"> <path d"M21 6h-2v9H6v2c0 .55.45 1 1 1h11l4 4V7c0-.55-.45-1-1-1zm-4 6V3c0-.55-.45-1-1-1H3c-.55 0-1 .45-1 1v14l4-4h10c.55 0 1-.45 1-1z"/> </svg>`case "support"return `<svg class"chat-icon" viewBox"0 0 24 24" width"24" height"24"> <path d"M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/> </svg>`case "help"return `<svg class"chat-icon" viewBox"0 0 24 24" width"24" height"24"> <path d"M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 17h-2v-2h2v2zm2.07-7.75l-.9.92C13.45 12.9 13 13.5 13 15h-2v-.5c0-1.1.45-2.1 1.17-2.83l1.24-1.26c.37-.36.59-.86.59-1.41 0-1.1-.9-2-2-2s-2 .9-2 2H8c0-2.21 1.79-4 4-4s4 1.79 4 4c0 .88-.36 1.68-.93 2.25z"/> </svg>`defaultreturn `<svg class"chat-icon" viewBox"0 0 24 24" width"24" height"24"> <path d"M20 2H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h4l4 4 4-4h4c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2z"/> </svg>`applyCustomStylingfunction ()const containerthis.elements.containerconst buttonthis.elements.buttonconst widgetthis.elements.widgetif (this.config.colors)const rootdocument.documentElementthis.log("Applying colors"this.config.colors)if (this.config.colors.primary)root.style.setProperty("--chat-primary"this.config.colors.primary)if (this.config.colors.secondary)root.style.setProperty("--chat-secondary"this.config.colors.secondary)if (this.config.colors.accent)root.style.setProperty("--chat-accent"this.config.colors.accent)if (this.config.colors.success)root.style.setProperty("--chat-success"this.config.colors.success)if (this.config.colors.warning)root.style.setProperty("--chat-warning"this.config.colors.warning)if (this.config.colors.error)root.style.setProperty("--chat-error"this.config.colors.error)if (this.config.colors.background)root.style.setProperty("--chat-background"this.config.colors.background)if (this.config.colors.surface)root.style.setProperty("--chat-surface"this.config.colors.surface)if (this.config.colors.text)root.style.setProperty("--chat-text"this.config.colors.text)if (this.config.colors.textSecondary)root.style.setProperty("--chat-text-secondary"this.config.colors.textSecondary)if (this.config.colors.border)root.style.setProperty("--chat-border"this.config.colors.border)if (this.config.colors.shadow)root.style.setProperty("--chat-shadow"this.config.colors.shadow)this.log("CSS Variables set"backgroundgetComputedStyle(root).getPropertyValue('--chat-background')primarygetComputedStyle(root).getPropertyValue('--chat-primary')textgetComputedStyle(root).getPropertyValue('--chat-text')surfacegetComputedStyle(root).getPropertyValue('--chat-surface'))if (this.config.button)const btnConfigthis.config.buttonif (btnConfig.size)button.style.widthbtnConfig.size + "px"button.style.heightbtnConfig.size + "px"button.classList.remove( "shape-circle""shape-rounded""shape-square" )if (btnConfig.shape"square")button.classList.add("shape-square")else if (btnConfig.shape"rounded")button.classList.add("shape-rounded")elsebutton.classList.add("shape-circle")if (btnConfig.backgroundColor)button.style.backgroundbtnConfig.backgroundColorelse if (this.config.colors.primary)button.style.background`linear-gradient(135deg$this.config.colors.primary0%$this.config.colors.secondary100%)`button.classList.remove("hover-scale""hover-glow""hover-bounce")if (btnConfig.hoverEffect && btnConfig.hoverEffect !"none")button.classList.add("hover-" + btnConfig.hoverEffect)if (btnConfig.showNotification)button.classList.add("has-notification")if (btnConfig.notificationColor)button.style.setProperty( "--notification-color"btnConfig.notificationColor )if (this.config.dimensions)if (this.config.dimensions.width)widget.style.widththis.config.dimensions.width + "px"if (this.config.dimensions.height)widget.style.heightthis.config.dimensions.height + "px"if (this.config.colors && this.config.colors.background)widget.style.backgroundColorthis.config.colors.backgroundthis.log( "Applied background color directly"this.config.colors.background )const chatBodycontainer.querySelector(".chat-body")if (chatBody && this.config.colors.surface)chatBody.style.backgroundColorthis.config.colors.surfaceconst chatStartcontainer.querySelector(".chat-start")if (chatStart && this.config.colors.background)chatStart.style.backgroundColorthis.config.colors.backgroundconst inputContainercontainer.querySelector(".chat-input-container")if (inputContainer && this.config.colors.background)inputContainer.style.backgroundColorthis.config.colors.backgroundconst chatHeadercontainer.querySelector(".chat-header")if ( chatHeader && this.config.colors.primary && this.config.colors.secondary )chatHeader.style.background`linear-gradient(135deg$this.config.colors.primary0%$this.config.colors.secondary100%)`if ( button && this.config.colors.primary && this.config.colors.secondary )button.style.background`linear-gradient(135deg$this.config.colors.primary0%$this.config.colors.secondary100%)`const formInputscontainer.querySelectorAll( ".form-group input.chat-input" )formInputs.forEach((input)>if (this.config.colors.text)input.style.colorthis.config.colors.textif (this.config.colors.surface)input.style.backgroundColorthis.config.colors.surface)const labelscontainer.querySelectorAll( ".form-group label.chat-welcome p" )labels.forEach((label)>if (this.config.colors.textSecondary)label.style.colorthis.config.colors.textSecondary)const mainWelcomeTextcontainer.querySelector( ".chat-welcome pfirst-child" )if (mainWelcomeText && this.config.colors.text)mainWelcomeText.style.colorthis.config.colors.textif (this.config.typography)container.style.fontFamilythis.config.typography.fontFamilycontainer.style.fontSizethis.config.typography.fontSize + "px"container.style.lineHeightthis.config.typography.lineHeightif (this.config.styling)if (this.config.styling.borderRadius)widget.style.borderRadiusthis.config.styling.borderRadius + "px"if (this.config.styling.borderWidth > 0)widget.style.border`$this.config.styling.borderWidthpx solid $this.config.styling.borderColor`if (this.config.styling.shadow)widget.style.boxShadowthis.config.styling.shadowif (this.config.position)container.style.zIndexthis.config.position.zIndexconst cornerthis.config.position.cornerconst offsetthis.config.position.offsetif (corner.includes("top"))container.style.topoffset.y + "px"container.style.bottom"auto"elsecontainer.style.bottomoffset.y + "px"container.style.top"auto"if (corner.includes("right"))container.style.rightoffset.x + "px"container.style.left"auto"elsecontainer.style.leftoffset.x + "px"container.style.right"auto"bindEventsfunction ()const selfthisthis.elements.button.addEventListener("click"function ()self.toggleWidget())const minimizeBtnthis.elements.container.querySelector(".chat-minimize-btn")if (minimizeBtn)minimizeBtn.addEventListener("click"function ()self.minimizeWidget())const closeBtnthis.elements.container.querySelector(".chat-close-btn")closeBtn.addEventListener("click"function ()self.closeWidget())if (this.elements.startForm)this.elements.startForm.addEventListener("submit"function (e)e.preventDefault()self.handleStartChat(e))if (this.elements.form)this.elements.form.addEventListener("submit"function (e)e.preventDefault()self.handleSendMessage(e))this.elements.input.addEventListener("input"function ()self.handleInputChange())this.elements.input.addEventListener("keydown"function (e)if (e.key"Enter" && !e.shiftKey)e.preventDefault()self.handleSendMessage(e))const endBtnthis.elements.container.querySelector(".chat-end-btn")if (endBtn)endBtn.addEventListener("click"function ()self.endChat())document.addEventListener("click"function (e)if (!self.elements.container.contains(e.target) && self.state.isOpen))document.addEventListener("visibilitychange"function ()if ( !document.hidden && self.socket && self.state.session.chatSessionId )self.validateSession())window.addEventListener("beforeunload"function (e)if (self.state.isChatStarted && self.state.session.chatSessionId)e.preventDefault()e.returnValue"You have an active chat session. Are you sure you want to leave?"return e.returnValue)initSocketfunction ()const selfthistrythis.socketio(this.config.serverUrltransports["websocket""polling"]withCredentialstrue)this.socket.on("connect"function ()self.log("Connected to chat server with ID"self.socket.id)self.state.isConnectedtrueself.updateConnectionStatus("connected")if (self.state.session.chatSessionId)self.socket.emit("customer-resume-session"customerIdself.state.session.customerIdchatSessionIdself.state.session.chatSessionIdcustomerNameself.state.customerInfo.name))this.socket.on("disconnect"function ()self.log("Disconnected from chat server")self.state.isConnectedfalseself.updateConnectionStatus("disconnected"))this.socket.on("connect_error"function (error)self.log("Connection error"error)self.state.isConnectedfalseself.updateConnectionStatus("error"))this.socket.on("chat-started"function (data)self.handleChatStarted(data))this.socket.on("session-resumed"function (data)self.handleSessionResumed(data))this.socket.on("session-resume-error"function (error)self.handleSessionResumeError(error))this.socket.on("chat-history"function (data)self.handleChatHistory(data))this.socket.on("receive-message"function (message)self.handleReceiveMessage(message))this.socket.on("agent-assigned"function (data)self.handleAgentAssigned(data))this.socket.on("agent-typing"function (data)self.handleAgentTyping(data))this.socket.on("chat-ended"function (data)self.handleChatEnded(data))this.socket.on("error"function (error)self.handleError(error))this.socket.on("message-error"function (error)self.handleMessageError(error))this.socket.on("end-chat-error"function (error)self.handleEndChatError(error))this.socket.on("mark-message-as-read-response"function (response)self.log("Message receipt"response))catch (error)console.error( "ChatWidgetFailed to initialize socket connection"error )this.updateConnectionStatus("error")updateConnectionStatusfunction (status)const connectingElthis.elements.container.querySelector(".chat-connecting")const startElthis.elements.container.querySelector(".chat-start")const statusElthis.elements.container.querySelector(".chat-status")switch (status)case "connecting"connectingEl.style.display"block"startEl.style.display"none"statusEl.textContent"Connecting..."breakcase "connected"connectingEl.style.display"none"startEl.style.display"block"statusEl.textContent"Connected"breakcase "disconnected"statusEl.textContent"Disconnected"breakcase "error"connectingEl.style.display"none"startEl.style.display"block"statusEl.textContent"Connection Error"breakhandleChatStartedfunction (data)this.log("Chat started"data)this.state.isChatStartedtruethis.state.sessioncustomerIddata.customerIdchatSessionIddata.chatSessionIdthis.storeSession(data)this.elements.container.querySelector(".chat-start").style.display"none"this.elements.container.querySelector( ".chat-conversation" ).style.display"flex"this.elements.container.querySelector( ".chat-input-container" ).style.display"block"this.elements.container.querySelector(".chat-status").textContent"Online"this.addMessage(id"welcome"messagedata.messagesender_type1timestampnew Date())this.elements.input.focus()handleReceiveMessagefunction (message)this.log("Message received"message)this.state.agentTypingfalsethis.updateTypingIndicator()this.addMessage(idmessage.idmessagemessage.messagesender_typemessage.sender_typetimestampnew Date(message.timestamp || Date.now()))if (message.id && this.state.session.chatSessionId)this.socket.emit("mark-message-as-read"messageIdmessage.idsessionIdthis.state.session.chatSessionId)if (!this.state.isOpen)this.showNotification()handleAgentAssignedfunction (data)this.log("Agent assigned"data)this.state.agentInfonamedata.agentNameiddata.agentIdthis.elements.container.querySelector( ".chat-title" ).textContent`$this.config.companyName- $data.agentName`this.elements.container.querySelector( ".chat-status" ).textContent`Chatting with $data.agentName`this.addMessage(id"system-agent-assigned"message`$data.agentNamehas joined the chat.`sender_type0timestampnew Date())handleAgentTypingfunction (data)this.state.agentTypingdata.isTypingthis.updateTypingIndicator()handleChatEndedfunction (data)this.log("Chat ended"data)this.addMessage(id"system-chat-ended"messagedata.message || "Chat has ended."sender_type0timestampnew Date())this.elements.container.querySelector( ".chat-input-container" ).style.display"none"this.elements.container.querySelector(".chat-status").textContent"Chat Ended"this.clearStoredSession()setTimeout(()>this.resetChatState()5000)handleSessionResumedfunction (data)this.log("Session resumed successfully"data)this.state.isChatStartedtruethis.state.sessioncustomerIddata.customerIdchatSessionIddata.chatSessionIdthis.storeSession(data)this.elements.container.querySelector(".chat-start").style.display"none"this.elements.container.querySelector( ".chat-conversation" ).style.display"flex"this.elements.container.querySelector( ".chat-input-container" ).style.display"block"this.elements.container.querySelector(".chat-status").textContent"Session Resumed"this.socket.emit("get-chat-history"chatSessionIddata.chatSessionId)if (this.elements.input)this.elements.input.focus()this.addMessage(id"system-session-resumed"message"Session resumed successfully."sender_type0timestampnew Date())handleSessionResumeErrorfunction (error)this.log("Session resume failed"error)this.clearStoredSession()this.addMessage(id"system-session-expired"message"Previous session expired. Please start a new chat."sender_type0timestampnew Date())this.updateConnectionStatus("connected")handleChatHistoryfunction (data)this.log( "Received chat history"data.messages?.length || 0"messages" )this.state.messages[]this.elements.messages.innerHTML""if (data.messages && data.messages.length > 0)data.messages.forEach((msg)>this.addMessage(idmsg.idmessagemsg.messagesender_typemsg.sender_typetimestampnew Date(msg.timestamp || msg.createdAt)))this.autoScrollToBottom()handleErrorfunction (error)this.log("Socket error"error)this.showErrorMessage("An error occurred with the chat connection")handleMessageErrorfunction (error)this.log("Message error"error)this.showErrorMessage("Failed to send message. Please try again.")this.markMessageAsFailed(error.originalMessage)handleEndChatErrorfunction (error)this.log("End chat error"error)this.showErrorMessage("Failed to end chat. Please try again.")handleStartChatfunction (e)const formDatanew FormData(e.target)this.state.customerInfonameformData.get("name").trim()phoneformData.get("phone").trim()emailformData.get("email").trim()if (!this.state.customerInfo.name || !this.state.customerInfo.phone)this.showErrorMessage("Name and phone are required")returnif (!this.state.isConnected)this.showErrorMessage("Not connected to chat service")returnthis.socket.emit("customer-join"this.state.customerInfo)handleSendMessagefunction (e)const messagethis.elements.input.value.trim()if (!message || !this.state.session.chatSessionId)returnconst messageDatamessagemessagechatIdthis.state.session.chatSessionIdsender_type2source"web"chatSessionIdthis.state.session.chatSessionIdthis.socket.emit("send-message"messageData)this.addMessage(id"pending-" + Date.now()messagemessagesender_type2senderIdthis.state.session.customerIdtimestampnew Date()isPendingtrue)this.elements.input.value""this.updateSendButton()this.stopTyping()handleInputChangefunction ()const messagethis.elements.input.value.trim()this.updateSendButton()if (!this.state.session.chatSessionId) returnif (!this.state.isTyping && message)this.state.isTypingtruethis.socket.emit("typing"chatIdthis.state.session.chatSessionIdisTypingtruesender_type2)clearTimeout(this.typingTimeout)this.typingTimeoutsetTimeout(()>this.stopTyping()1000)stopTypingfunction ()if (this.state.isTyping)this.state.isTypingfalseif (this.state.session.chatSessionId)this.socket.emit("typing"chatIdthis.state.session.chatSessionIdisTypingfalsesender_type2)clearTimeout(this.typingTimeout)endChatfunction ()if (!this.state.session.chatSessionId) returnthis.socket.emit("customer-end-chat"chatSessionIdthis.state.session.chatSessionId)addMessagefunction (messageData)this.state.messages.push(messageData)const shouldAutoScrollthis.isNearBottom()const messageEldocument.createElement("div")messageEl.className`chat-message $messageData.sender_type0 ? "system"messageData.sender_type1 ? "agent""customer"$messageData.isPending ? "pending"""`messageEl.dataset.messageIdmessageData.idif (messageData.sender_type0)messageEl.innerHTML` <div class"message-content system-message">$this.escapeHtml( messageData.message )</div> `elsemessageEl.innerHTML` <div class"message-content">$this.escapeHtml( messageData.message )</div> <div class"message-time">$this.formatTime( messageData.timestamp )</div> $messageData.isPending ? '<div class"message-status">Sending...</div>'""`this.elements.messages.appendChild(messageEl)if (shouldAutoScroll || messageData.sender_type2)this.autoScrollToBottom()markMessageAsFailedfunction (originalMessage)const pendingMessagesthis.elements.messages.querySelectorAll( ".chat-message.pending" )pendingMessages.forEach((msgEl)>const contentmsgEl.querySelector(".message-content").textContentif (contentoriginalMessage)msgEl.classList.remove("pending")msgEl.classList.add("failed")const statusElmsgEl.querySelector(".message-status")if (statusEl)statusEl.textContent"Failed to send"statusEl.style.color"#f44336")updateTypingIndicatorfunction ()const typingElthis.elements.container.querySelector( ".chat-typing-indicator" )if (this.state.agentTyping)typingEl.style.display"flex"this.autoScrollToBottom()elsetypingEl.style.display"none"updateSendButtonfunction ()const sendBtnthis.elements.container.querySelector(".chat-send-btn")const hasTextthis.elements.input.value.trim().length > 0sendBtn.disabled!hasText || !this.state.isChatStartedtoggleWidgetfunction ()if (this.state.isOpen)this.closeWidget()elsethis.openWidget()openWidgetfunction ()this.state.isOpentruethis.elements.widget.style.display"block"this.elements.button.querySelector(".chat-icon").style.display"none"this.elements.button.querySelector(".close-icon").style.display"block"this.elements.container.classList.add("open")if (this.state.isChatStarted && this.elements.input)setTimeout(()> this.elements.input.focus()100)this.clearNotification()closeWidgetfunction ()this.state.isOpenfalsethis.elements.widget.style.display"none"this.elements.button.querySelector(".chat-icon").style.display"block"this.elements.button.querySelector(".close-icon").style.display"none"this.elements.container.classList.remove("open")minimizeWidgetfunction ()this.closeWidget()resetChatStatefunction ()this.state.isChatStartedfalsethis.state.messages[]this.state.sessioncustomerIdnullchatSessionIdnullthis.state.agentInfonullthis.state.agentTypingfalsethis.clearStoredSession()this.elements.container.querySelector( ".chat-conversation" ).style.display"none"this.elements.container.querySelector( ".chat-input-container" ).style.display"none"this.elements.container.querySelector(".chat-start").style.display"block"this.elements.container.querySelector(".chat-title").textContentthis.config.companyNamethis.elements.container.querySelector(".chat-status").textContentthis .state.isConnected ? "Connected""Disconnected"this.elements.messages.innerHTML""if (this.elements.startForm)this.elements.startForm.reset()showNotificationfunction ()this.elements.button.classList.add("has-notification")clearNotificationfunction ()this.elements.button.classList.remove("has-notification")showErrorMessagefunction (message)const errorEldocument.createElement("div")errorEl.className"chat-error-message"errorEl.textContentmessageconst chatBodythis.elements.container.querySelector(".chat-body")chatBody.appendChild(errorEl)setTimeout(()>if (errorEl.parentNode)errorEl.parentNode.removeChild(errorEl)5000)scrollToBottomfunction (forcefalse)const messagesContainerthis.elements.container?.querySelector( ".chat-messages-container" )const messagesElementthis.elements.messagesconst scrollableElementmessagesContainer || messagesElementif (scrollableElement)const scrollOptionstopscrollableElement.scrollHeightbehaviorforce ? "auto""smooth"if (scrollableElement.scrollTo)scrollableElement.scrollTo(scrollOptions)elsescrollableElement.scrollTopscrollableElement.scrollHeightif (messagesElement && messagesElement !scrollableElement)if (messagesElement.scrollTo)messagesElement.scrollTo(topmessagesElement.scrollHeightbehaviorforce ? "auto""smooth")elsemessagesElement.scrollTopmessagesElement.scrollHeightautoScrollToBottomfunction ()setTimeout(()>this.scrollToBottom()50)isNearBottomfunction ()const messagesContainerthis.elements.container?.querySelector( ".chat-messages-container" )const scrollableElementmessagesContainer || this.elements.messagesif (!scrollableElement) return trueconst threshold100const scrollTopscrollableElement.scrollTopconst scrollHeightscrollableElement.scrollHeightconst clientHeightscrollableElement.clientHeightreturn scrollTop + clientHeight >scrollHeight - thresholdformatTimefunction (date)return new Date(date).toLocaleTimeString([]hour"2-digit"minute"2-digit")escapeHtmlfunction (text)const divdocument.createElement("div")div.textContenttextreturn div.innerHTMLlogfunction ()if (this.config.debug)console.log("[ChatWidget]"...arguments)checkExistingSessionfunction ()const storedSessionthis.getStoredSession()if (storedSession)this.log("Found stored session"storedSession.chatSessionId)this.resumeSession(storedSession)elsethis.log("No stored session foundinitializing fresh")this.initSocket()resumeSessionfunction (sessionData)this.log("Attempting to resume session"sessionData.chatSessionId)this.updateConnectionStatus("connecting")this.initSocket()this.state.sessioncustomerIdsessionData.customerIdchatSessionIdsessionData.chatSessionIdthis.state.customerInfonamesessionData.customerNamephonesessionData.customerPhoneemailsessionData.customerEmailstoreSessionfunction (sessionData)const dataToStorecustomerIdsessionData.customerIdchatSessionIdsessionData.chatSessionIdcustomerNamesessionData.customerName || this.state.customerInfo.namecustomerPhonesessionData.customerPhone || this.state.customerInfo.phonecustomerEmailsessionData.customerEmail || this.state.customerInfo.emailtimestampDate.now()status"active"trylocalStorage.setItem( "chat_widget_session"JSON.stringify(dataToStore) )this.log("Session stored"dataToStore.chatSessionId)catch (error)this.log("Failed to store session"error)getStoredSessionfunction ()tryconst storedlocalStorage.getItem("chat_widget_session")if (stored)const sessionJSON.parse(stored)const isValidDate.now() - session.timestamp < 24 * 60 * 60 * 1000if (isValid)return sessionelsethis.clearStoredSession()catch (error)this.log("Error reading stored session"error)this.clearStoredSession()return nullclearStoredSessionfunction ()trylocalStorage.removeItem("chat_widget_session")this.log("Session cleared from storage")catch (error)this.log("Error clearing session"error)validateSessionfunction ()if (this.state.session.chatSessionId && this.socket)this.socket.emit("validate-session"customerIdthis.state.session.customerIdchatSessionIdthis.state.session.chatSessionId)openfunction ()this.openWidget()closefunction ()this.closeWidget()destroyfunction ()if (this.socket)this.socket.disconnect()if (this.elements.container)this.elements.container.parentNode.removeChild(this.elements.container)this.clearStoredSession()clearTimeout(this.typingTimeout)this.state.isInitializedfalsegetStatefunction ()returnisConnectedthis.state.isConnectedisChatStartedthis.state.isChatStartedisOpenthis.state.isOpenmessagesCountthis.state.messages.lengthsessionthis.state.sessionagentInfothis.state.agentInfoclearSessionfunction ()this.clearStoredSession()this.resetChatState()updateConfigfunction (newOptions)this.configObject.assign(this.confignewOptions)if (this.elements.container)this.applyCustomStyling()this.log("Configuration updated"newOptions)updateColorsfunction (colors)const defaultColorsprimary"#667eea"secondary"#764ba2"accent"#ff6b6b"success"#51cf66"warning"#ffd43b"error"#ff4444"background"#ffffff"surface"#f8f9fa"text"#333333"textSecondary"#666666"border"#e9ecef"shadow"rgba(0000.12)"this.config.colorsObject.assign(defaultColorsthis.config.colorscolors)if (this.elements.container)this.applyCustomStyling()updateButtonfunction (buttonConfig)this.config.buttonObject.assign(this.config.buttonbuttonConfig)if (this.elements.container)this.applyCustomStyling()updatePositionfunction (position)this.config.positionObject.assign(this.config.positionposition)if (this.elements.container)this.applyCustomStyling()updateTextfunction (textConfig)this.config.textObject.assign(this.config.texttextConfig)if (this.elements.container)this.updateTextContent()updateTextContentfunction ()if (!this.elements.container) returnconst titlethis.elements.container.querySelector(".chat-title")if (title) title.textContentthis.config.text.companyNameif (this.elements.button)this.elements.button.titlethis.config.text.buttonTextconst welcomeMsgthis.elements.container.querySelector( ".chat-welcome pfirst-child" )if (welcomeMsg) welcomeMsg.textContentthis.config.text.welcomeMessageconst startChatTextthis.elements.container.querySelector( ".chat-welcome plast-child" )if (startChatText) startChatText.textContentthis.config.text.startChatTextconst nameLabelthis.elements.container.querySelector( 'label[for"customer-name"]' )if (nameLabel) nameLabel.textContentthis.config.text.nameLabelconst phoneLabelthis.elements.container.querySelector( 'label[for"customer-phone"]' )if (phoneLabel) phoneLabel.textContentthis.config.text.phoneLabelconst emailLabelthis.elements.container.querySelector( 'label[for"customer-email"]' )if (emailLabel) emailLabel.textContentthis.config.text.emailLabelconst startBtnthis.elements.container.querySelector(".chat-start-btn")if (startBtn) startBtn.textContentthis.config.text.startChatButtonconst placeholderthis.elements.container.querySelector(".chat-input")if (placeholder) placeholder.placeholderthis.config.text.placeholderTextwindow.ChatWidgetChatWidget)(windowdocument)
\ No newline at end of file
+!function(e,t){"use strict";const s={QUEUED:"queued",SENDING:"sending",SENT:"sent",DELIVERED:"delivered",READ:"read",FAILED:"failed"},n=[s.QUEUED,s.SENDING,s.SENT,s.DELIVERED,s.READ],i=["ready","open","close","connected","disconnected","chatStarted","messageReceived","postback","messageSent","agentAssigned","handoffRequested","queueUpdated","queueFallback","chatEnded","uploadFailed","error"];function a(){const e={};return{id:"client-"+Date.now().toString(36)+Math.random().toString(36).substr(2,6),connected:!1,reconnectAttempts:0,reconnectTimer:null,on:function(t,s){return(e[t]=e[t]||[]).push(s),this},trigger:function(t,s){(e[t]||[]).slice().forEach(e=>{try{e(s)}catch(e){console.error(`ChatWidget: "${t}" handler failed:`,e)}})},reconnectLater:function(){clearTimeout(this.reconnectTimer);const e=Math.min(1e3*Math.pow(2,this.reconnectAttempts),5e3);this.reconnectAttempts++,this.reconnectTimer=setTimeout(()=>this.connect(),e)},cancelReconnect:function(){clearTimeout(this.reconnectTimer),this.reconnectTimer=null}}}const o={"socket.io":function(e,t){if("undefined"==typeof io)throw new Error("Socket.IO library is required for the socket.io transport. Please include it before this script.");return io(e,{transports:["websocket","polling"],withCredentials:!0,reconnection:t.reconnection})},websocket:function(e,t){const s=a(),n=e.replace(/^http/,"ws")+(t.websocketPath||"/ws");let i=null,o=!1;return s.connect=function(){if(i)return s;o=!1;let e=!1;return i=new WebSocket(n),i.onopen=function(){e=!0,s.connected=!0,s.reconnectAttempts=0,s.trigger("connect")},i.onmessage=function(e){let t;try{t=JSON.parse(e.data)}catch(e){return}t&&t.event&&s.trigger(t.event,t.data)},i.onclose=function(){i=null,s.connected=!1,o?s.trigger("disconnect","io client disconnect"):e?s.trigger("disconnect","transport close"):s.trigger("connect_error",new Error("WebSocket connection failed")),!o&&t.reconnection&&s.reconnectLater()},s},s.emit=function(e,t){return i&&i.readyState===WebSocket.OPEN&&i.send(JSON.stringify({event:e,data:t})),s},s.disconnect=function(){return o=!0,s.cancelReconnect(),i&&i.close(),s},s.connect()},sse:function(e,t){const s=a(),n=e+(t.ssePath||"/chat/events")+"?clientId="+encodeURIComponent(s.id),i=e+(t.postPath||"/chat/emit");let o=null;function r(e,t,n){"send-message"===e&&t&&t.clientMessageId?s.trigger("message-error",{clientMessageId:t.clientMessageId,message:n.message}):console.warn("ChatWidget: Could not send "+e+":",n)}return s.connect=function(){if(o)return s;let e=!1;return o=new EventSource(n,{withCredentials:!0}),o.onopen=function(){e=!0,s.connected=!0,s.reconnectAttempts=0,s.trigger("connect")},o.onmessage=function(e){let t;try{t=JSON.parse(e.data)}catch(e){return}t&&t.event&&s.trigger(t.event,t.data)},o.onerror=function(){o.close(),o=null,s.connected=!1,e?s.trigger("disconnect","transport close"):s.trigger("connect_error",new Error("Event stream connection failed")),t.reconnection&&s.reconnectLater()},s},s.emit=function(e,t){return s.connected?(fetch(i,{method:"POST",credentials:"include",headers:{"Content-Type":"application/json"},body:JSON.stringify({clientId:s.id,event:e,data:t})}).then(t=>{if(!t.ok)throw new Error(`POST ${e} failed: ${t.status}`)}).catch(s=>{r(e,t,s)}),s):("send-message"===e&&Promise.resolve().then(()=>{r(e,t,new Error("Not connected"))}),s)},s.disconnect=function(){return s.cancelReconnect(),o&&(o.close(),o=null),s.connected&&(s.connected=!1,s.trigger("disconnect","io client disconnect")),s},s.connect()}};function r(){return{isInitialized:!1,isConnected:!1,isChatStarted:!1,isOpen:!1,isTyping:!1,agentTyping:!1,messages:[],session:{customerId:null,chatSessionId:null},agentInfo:null,handoff:null,queue:null,customerInfo:{name:"",phone:"",email:""},attachedFiles:[],sendingFiles:!1,uploadingFiles:new Map,outgoingMessages:new Map,outbox:[],historyLoaded:!1,lastSeenMessage:null,reconnectAttempts:0,runtimeLoaded:!1,lightbox:null,streams:new Map,filesPanelOpen:!1}}function l(e){if(Array.isArray(e))return e.map(l);if(c(e)){const t={};return Object.keys(e).forEach(s=>{t[s]=l(e[s])}),t}return e}function c(e){return"[object Object]"===Object.prototype.toString.call(e)}function h(e,t){const s=l(e);return Object.keys(t||{}).forEach(e=>{const n=t[e];void 0!==n&&(s[e]=c(n)&&c(s[e])?h(s[e],n):l(n))}),s}const d={theme:["default","dark"],"button.shape":["circle","rounded","square"],"button.icon":["default","message","chat","support","help","custom"],"button.hoverEffect":["scale","glow","bounce","none"],"position.corner":["bottom-right","bottom-left","top-right","top-left"],"messageFormatting.customer":["text","links","markdown"],"messageFormatting.agent":["text","links","markdown"],"messageFormatting.system":["text","links","markdown"],"messageFormatting.ai":["text","links","markdown"],"fileUpload.imageProcessing.format":["auto","image/jpeg","image/png","image/webp"],"animations.entrance":["slide-up","slide-down","fade-in","bounce-in","none"]},u={"button.customIcon":["string","null"],"button.backgroundColor":["string","null"],"shadowDom.stylesheet":["string","null"],"fileUpload.headers":["object","null"],"fileUpload.getAuthHeaders":["function","null"],"handoff.getContext":["function","null"]};function g(e){return null===e?"null":Array.isArray(e)?"array":typeof e}function m(e,t,s,n){const i={};return Object.keys(e).forEach(a=>{const o=s?s+"."+a:a,r=e[a];if(void 0===r)return;if(!Object.prototype.hasOwnProperty.call(t,a))return n.push(`unknown option "${o}"`),void(i[a]=r);const l=t[a];if(c(l))return c(r)?void(i[a]=m(r,l,o,n)):void n.push(`"${o}" should be an object, got ${g(r)}`);const h=u[o]||(null===l?null:[g(l)]),f=g(r);if(h&&!h.includes(f))return void n.push(`"${o}" should be ${h.join(" or ")}, got ${f}`);const p=d[o];!p||p.includes(r)?i[a]=r:n.push(`"${o}" must be one of ${p.map(e=>`"${e}"`).join(", ")}, got "${r}"`)}),i}function f(e,t,s,n){const i=new Error(e);return i.code=t,i.status=s||0,i.body=n||null,i}function p(){return new DOMException("Upload cancelled","AbortError")}const y={erp:{send:function(e,t,s){if(this.shouldUseChunkedUpload(e))return this.sendChunkedUpload(e,s);const n=new FormData;return n.append("file",e),this.log(`Sending POST request to: ${this.config.fileUpload.apiEndpoint}`),this.sendRequest("POST",this.config.fileUpload.apiEndpoint,n,s)},parseResult:function(e){const t=e.data?e.data.location:e.url;if(!t)throw f("Upload response has no file location","ERR_RESPONSE",0,e);return t},getViewUrl:function(e){const t=e.split("/").pop();return`${this.config.fileUpload.accessEndpoint}/buffer/${t}`}},s3:{getTarget:async function(e,t){const s=await this.sendRequest("POST",this.config.fileUpload.s3.presignEndpoint,{fileName:e.name,fileSize:e.size,mimeType:e.type},{signal:t.signal,headers:t.headers}),n=s.data||s;if(!n.uploadUrl)throw f("Presign response has no uploadUrl","ERR_RESPONSE",0,s);return n},send:function(e,t,s){return this.sendRequest(t.method||"PUT",t.uploadUrl,e,{signal:s.signal,onProgress:s.onProgress,headers:Object.assign({"Content-Type":e.type||"application/octet-stream"},t.headers),expectJson:!1,withCredentials:!1})},parseResult:function(e,t){return t.key||t.url},getViewUrl:function(e){if(/^https?:\/\//.test(e))return e;const t=e.split("/").map(encodeURIComponent).join("/");return`${this.config.fileUpload.s3.viewEndpoint}/${t}`}},mock:{send:function(e,t,s){return this.mockUpload(e,s)},parseResult:function(e){return e.url},getViewUrl:function(e){return e}}},b={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"};function v(e){return String(e).replace(/[&<>"']/g,e=>b[e])}const S=/^(https?:\/\/|mailto:)/i;function x(){const e=[];return{add:function(t){return e.push(t),"\0"+(e.length-1)+"\0"},restore:function(t){let s=t;for(;/\u0000\d+\u0000/.test(s);)s=s.replace(/\u0000(\d+)\u0000/g,(t,s)=>e[s]);return s}}}function w(e,t){return`<a href="${e}" class="message-link" target="_blank" rel="noopener noreferrer">${t}</a>`}function M(e,t){return e.replace(/\b(?:https?:\/\/|www\.)[^\s<]+/gi,e=>{let s=e.split(/&(?:quot|#39|lt|gt);/)[0];s=s.replace(/[.,;:!?]+$/,""),s.endsWith(")")&&!s.includes("(")&&(s=s.slice(0,-1));const n=/^www\./i.test(s)?"https://"+s:s;return t.add(w(n,s))+e.slice(s.length)})}function I(e,t){let s=e.replace(/`([^`\n]+)`/g,(e,s)=>t.add(`<code>${s}</code>`)).replace(/\[([^\]\n]+)\]\(((?:[^\s()]|\([^\s()]*\))+)\)/g,(e,s,n)=>S.test(n)?t.add(w(n,s)):s);return s=M(s,t),s.replace(/\*\*(?=\S)([^*\n]+?)\*\*/g,"<strong>$1</strong>").replace(/__(?=\S)([^_\n]+?)__/g,"<strong>$1</strong>").replace(/(^|[^\w*])\*(?=\S)([^*\n]+?)\*(?![\w*])/g,"$1<em>$2</em>").replace(/(^|[^\w])_(?=\S)([^_\n]+?)_(?!\w)/g,"$1<em>$2</em>")}const k=["companyName","welcomeMessage","buttonText"];let C=0;const T={},E=t.currentScript&&t.currentScript.src?new URL("chat-widget.css",t.currentScript.src).href:null,$={instanceId:"chat-widget",config:{serverUrl:"http://localhost:3000",theme:"default",showMinimizeButton:!0,namespace:"chat_widget",transport:{type:"socket.io",websocketPath:"/ws",ssePath:"/chat/events",postPath:"/chat/emit"},lazyLoad:{enabled:!0,hoverDelay:150},shadowDom:{enabled:!1,stylesheet:null},autoOpen:!1,debug:!1,colors:{primary:"#667eea",secondary:"#764ba2",accent:"#ff6b6b",success:"#51cf66",warning:"#ffd43b",error:"#ff4444",background:"#ffffff",surface:"#f8f9fa",text:"#333333",textSecondary:"#666666",border:"#e9ecef",shadow:"rgba(0, 0, 0, 0.12)"},button:{size:60,shape:"circle",icon:"default",customIcon:null,backgroundColor:null,hoverEffect:"scale",showNotification:!1,notificationColor:"#ff4444"},position:{corner:"bottom-right",offset:{x:20,y:20},zIndex:9999},dimensions:{width:350,height:500,minWidth:300,maxWidth:500,minHeight:400,maxHeight:600},typography:{fontFamily:'-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',fontSize:14,headerFontSize:16,titleFontSize:18,buttonFontSize:14,lineHeight:1.4},text:{companyName:"Support",welcomeMessage:"Hello! How can we help you today?",buttonText:"Chat with us",connectingText:"Connecting to chat service...",startChatText:"Please provide your details to start chatting:",nameLabel:"Name *",phoneLabel:"Phone *",emailLabel:"Email",startChatButton:"Start Chat",minimizeButton:"Minimize",closeButton:"Close",sendButton:"Send",typingText:"Agent is typing...",placeholderText:"Type your message...",noMessagesText:"No messages yet. Start the conversation!",statusQueued:"Waiting for connection...",statusSending:"Sending...",statusSent:"Sent",statusDelivered:"Delivered",statusRead:"Read",statusFailed:"Failed to send",outboxFullText:"Too many unsent messages. Please wait until you are back online.",retryButton:"Retry",deleteButton:"Delete",reconnectingText:"Reconnecting in {seconds}s…",reconnectingNowText:"Reconnecting…",connectionLostText:"Connection lost.",retryNowButton:"Retry now",dropFilesText:"Drop files to attach",sharedFilesButton:"Shared files",noSharedFilesText:"No files have been shared yet",downloadButton:"Download",zoomInButton:"Zoom in",zoomOutButton:"Zoom out",previousImageButton:"Previous image",nextImageButton:"Next image",externalLinkWarning:"You are about to open {url}. Continue?",aiBadge:"AI",stopGeneratingButton:"Stop generating",responseStoppedText:"Response stopped",responseInterruptedText:"Response interrupted",talkToPersonButton:"Talk to a person",aiAssistantStatus:"AI assistant",waitingForAgentStatus:"Waiting for an agent...",handoffRequestedText:"Connecting you with a person. They will see your conversation so far.",handoffCompleteText:"{name} has joined the chat and can see your conversation so far.",handoffUnavailableText:"No one is available right now. Please try again later.",queueTitle:"Waiting for an agent",queuePositionText:"You are number {position} in the queue",queueWaitText:"Estimated wait: {wait}",waitLessThanMinuteText:"less than a minute",waitMinutesText:"about {minutes} min",agentsOnlineText:"{count} agents online",noAgentsOnlineText:"No agents are online right now",queueFallbackText:"Sorry for the wait. What would you like to do?",leaveMessageButton:"Leave a message",requestCallbackButton:"Request a callback",keepWaitingButton:"Keep waiting",leaveMessageConfirmText:"Leave your message here and we'll get back to you as soon as we can.",callbackConfirmText:"Thanks! We'll call you back as soon as an agent is free."},animations:{entrance:"slide-up",duration:300,easing:"ease-out",hoverEffects:!0,typingIndicator:!0},styling:{borderRadius:12,borderWidth:0,borderColor:"transparent",shadow:"0 8px 40px rgba(0, 0, 0, 0.12)",shadowHover:"0 12px 50px rgba(0, 0, 0, 0.15)"},handoff:{enabled:!0,getContext:null},queue:{fallbackTimeout:12e4,fallbackOptions:["message","callback","wait"]},streaming:{idleTimeout:3e4},messageFormatting:{customer:"links",agent:"markdown",ai:"markdown",system:"text",externalLinkWarning:!1,trustedDomains:[]},fileUpload:{enabled:!0,adapter:"erp",headers:null,getAuthHeaders:null,apiEndpoint:"http://localhost:3000/api/private/storage/upload",accessEndpoint:"http://localhost:3000/api/private/storage",maxFileSize:10485760,allowedTypes:["image/jpeg","image/png","image/gif","image/webp","application/pdf","application/msword","application/vnd.openxmlformats-officedocument.wordprocessingml.document","text/plain","text/csv"],allowedExtensions:[".jpg",".jpeg",".png",".gif",".webp",".pdf",".doc",".docx",".txt",".csv"],multiple:!1,maxFiles:1,concurrency:3,timeout:3e4,withCredentials:!1,chunked:{enabled:!1,endpoint:"http://localhost:3000/api/private/storage/uploads",chunkSize:1048576,threshold:2097152,retries:5,retryDelay:2e3},s3:{presignEndpoint:"http://localhost:3000/api/private/storage/presign",viewEndpoint:"http://localhost:3000/api/private/storage/files"},imageProcessing:{enabled:!0,maxWidth:2048,maxHeight:2048,quality:.85,format:"auto",stripMetadata:!0},useMockUpload:!1,mockDelay:1e3},outbox:{enabled:!0,maxMessages:50},reconnection:{enabled:!0,initialDelay:1e3,maxDelay:3e4,multiplier:2,jitter:.3,maxAttempts:0}},state:r(),socket:null,elements:{host:null,container:null,widget:null,button:null,header:null,messages:null,input:null,form:null,startForm:null},globalListeners:[],eventListeners:{},plugins:[],typingTimeout:null,launcherListeners:null,hoverIntentTimeout:null,reconnectTimeout:null,reconnectCountdown:null,init:function(e){this.state.isInitialized?console.warn("ChatWidget: Already initialized"):(this.mergeConfig(e),this.config.serverUrl?(this.log("Initializing ChatWidget..."),this.createContainer(),this.state.isInitialized=!0,!this.config.lazyLoad.enabled||this.config.autoOpen||this.getStoredSession()?this.loadRuntime():(this.applyCustomStyling(),this.bindLauncherEvents(),this.log("Launcher ready, runtime deferred until first use")),this.log("ChatWidget initialized successfully"),setTimeout(()=>this.emitEvent("ready",{}),0)):console.error("ChatWidget: serverUrl is required"))},loadRuntime:function(){this.state.runtimeLoaded||(this.state.runtimeLoaded=!0,this.log("Loading chat runtime..."),this.unbindLauncherEvents(),this.createWidget(),this.checkExistingSession())},bindLauncherEvents:function(){const e=this.elements.button,t=this.config.lazyLoad.hoverDelay;if(this.launcherListeners={click:()=>{this.loadRuntime(),this.openWidget()},touchstart:()=>this.loadRuntime()},t>0){const e=()=>{clearTimeout(this.hoverIntentTimeout),this.hoverIntentTimeout=setTimeout(()=>this.loadRuntime(),t)},s=()=>clearTimeout(this.hoverIntentTimeout);this.launcherListeners.mouseenter=e,this.launcherListeners.focus=e,this.launcherListeners.mouseleave=s,this.launcherListeners.blur=s}Object.keys(this.launcherListeners).forEach(t=>{e.addEventListener(t,this.launcherListeners[t],{passive:!0})})},unbindLauncherEvents:function(){clearTimeout(this.hoverIntentTimeout),this.launcherListeners&&(Object.keys(this.launcherListeners).forEach(e=>{this.elements.button.removeEventListener(e,this.launcherListeners[e],{passive:!0})}),this.launcherListeners=null)},createContainer:function(){if(this.elements.container=t.createElement("div"),this.elements.container.className="chat-widget-container "+this.config.position.corner+" "+this.config.theme,this.elements.container.innerHTML=this.getLauncherHTML(),this.isShadowDomEnabled()){this.elements.host=t.createElement("div"),this.elements.host.className="chat-widget-host";const e=this.elements.host.attachShadow({mode:"open"});this.attachShadowStyles(e),e.appendChild(this.elements.container),t.body.appendChild(this.elements.host)}else this.elements.host=null,t.body.appendChild(this.elements.container);this.elements.button=this.elements.container.querySelector(".chat-toggle-button")},createWidget:function(){this.elements.container.insertAdjacentHTML("beforeend",this.getWidgetHTML()),this.elements.widget=this.elements.container.querySelector(".chat-widget"),this.elements.header=this.elements.container.querySelector(".chat-header"),this.elements.agentAvatar=this.elements.container.querySelector(".chat-header-avatar"),this.elements.handoffBtn=this.elements.container.querySelector(".chat-handoff-btn"),this.elements.messages=this.elements.container.querySelector(".chat-messages"),this.elements.input=this.elements.container.querySelector(".chat-input"),this.elements.form=this.elements.container.querySelector(".chat-input-form"),this.elements.startForm=this.elements.container.querySelector(".chat-start-form"),this.elements.fileInput=this.elements.container.querySelector(".chat-file-input"),this.elements.attachmentBtn=this.elements.container.querySelector(".chat-attachment-btn"),this.elements.filePreview=this.elements.container.querySelector(".chat-file-preview"),this.elements.reconnectBanner=this.elements.container.querySelector(".chat-reconnect-banner"),this.elements.dropZone=this.elements.container.querySelector(".chat-drop-zone"),this.elements.filesPanel=this.elements.container.querySelector(".chat-files-panel"),this.elements.filesList=this.elements.container.querySelector(".chat-files-list"),this.applyCustomStyling(),!this.config.fileUpload.enabled&&this.elements.attachmentBtn&&(this.elements.attachmentBtn.style.display="none"),this.bindEvents(),this.config.autoOpen&&this.openWidget()},isShadowDomEnabled:function(){return!!this.config.shadowDom.enabled&&("function"==typeof t.body.attachShadow||(console.warn("ChatWidget: Shadow DOM is not supported in this browser, rendering without it"),!1))},attachShadowStyles:function(e){const s=this.getStylesheetUrl();if(!s)return void console.warn("ChatWidget: chat-widget.css not found for Shadow DOM mode. Set shadowDom.stylesheet to its URL.");const n=this.getShadowStyleSheet(s);if(n)return void(e.adoptedStyleSheets=[n]);const i=t.createElement("link");i.rel="stylesheet",i.href=s,e.appendChild(i)},getStylesheetUrl:function(){if(this.config.shadowDom.stylesheet)return new URL(this.config.shadowDom.stylesheet,t.baseURI).href;const e=Array.from(t.querySelectorAll('link[rel="stylesheet"]')).find(e=>/chat-widget(\.min)?\.css(\?|#|$)/.test(e.href));return e?e.href:E},getShadowStyleSheet:function(e){if(T[e])return T[e];if("function"!=typeof CSSStyleSheet||!("adoptedStyleSheets"in t))return null;const s=Array.from(t.styleSheets).find(t=>t.href===e);if(!s)return null;try{const t=Array.from(s.cssRules).map(e=>e.cssText).join("\n"),n=new CSSStyleSheet;return n.replaceSync(t),T[e]=n,n}catch(e){return this.log("Could not adopt stylesheet, linking it instead:",e),null}},getLauncherHTML:function(){return`\n                \x3c!-- Chat Toggle Button --\x3e\n                <button class="chat-toggle-button" title="${this.config.text.buttonText}">\n                    ${this.getButtonIcon()}\n                    <svg class="close-icon" viewBox="0 0 24 24" width="24" height="24" style="display: none;">\n                        <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>\n                    </svg>\n                </button>\n            `},getWidgetHTML:function(){return`\n                \x3c!-- Chat Widget --\x3e\n                <div class="chat-widget" style="display: none;">\n                    \x3c!-- Header --\x3e\n                    <div class="chat-header">\n                        <div class="chat-header-avatar" style="display: none;"></div>\n                        <div class="chat-header-info">\n                            <h3 class="chat-title">${this.config.text.companyName}</h3>\n                            <span class="chat-status">Connect to start chatting</span>\n                        </div>\n                        <div class="chat-header-actions">\n                            <button type="button" class="chat-files-btn" title="${this.config.text.sharedFilesButton}" aria-expanded="false">\n                                <svg viewBox="0 0 24 24" width="18" height="18">\n                                    <path d="M10 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z"/>\n                                </svg>\n                            </button>\n                            ${this.config.showMinimizeButton?'<button class="chat-minimize-btn" title="'+this.config.text.minimizeButton+'">−</button>':""}\n                            <button class="chat-close-btn" title="${this.config.text.closeButton}">×</button>\n                        </div>\n                    </div>\n\n                    \x3c!-- Shared Files Panel --\x3e\n                    <div class="chat-files-panel" style="display: none;">\n                        <div class="chat-files-panel-header">\n                            <span>${this.config.text.sharedFilesButton}</span>\n                            <button type="button" class="chat-files-panel-close" title="${this.config.text.closeButton}">×</button>\n                        </div>\n                        <div class="chat-files-list"></div>\n                    </div>\n\n                    \x3c!-- Reconnection Banner --\x3e\n                    <div class="chat-reconnect-banner" style="display: none;">\n                        <span class="chat-reconnect-text"></span>\n                        <button type="button" class="chat-reconnect-btn">${this.config.text.retryNowButton}</button>\n                    </div>\n\n                    \x3c!-- Chat Body - Restructured for fixed input --\x3e\n                    <div class="chat-body">\n                        \x3c!-- Connection Status --\x3e\n                        <div class="chat-connecting" style="display: block;">\n                            <div class="connecting-spinner"></div>\n                            <p>${this.config.text.connectingText}</p>\n                        </div>\n\n                        \x3c!-- Start Chat Form --\x3e\n                        <div class="chat-start" style="display: none;">\n                            <div class="chat-welcome">\n                                <p>${this.config.text.welcomeMessage}</p>\n                                <p>${this.config.text.startChatText}</p>\n                            </div>\n                            <form class="chat-start-form">\n                                <div class="form-group">\n                                    <label for="${this.instanceId}-customer-name">${this.config.text.nameLabel}</label>\n                                    <input type="text" id="${this.instanceId}-customer-name" name="name" required>\n                                </div>\n                                <div class="form-group">\n                                    <label for="${this.instanceId}-customer-phone">${this.config.text.phoneLabel}</label>\n                                    <input type="tel" id="${this.instanceId}-customer-phone" name="phone" required>\n                                </div>\n                                <div class="form-group">\n                                    <label for="${this.instanceId}-customer-email">${this.config.text.emailLabel}</label>\n                                    <input type="email" id="${this.instanceId}-customer-email" name="email">\n                                </div>\n                                <button type="submit" class="chat-start-btn">${this.config.text.startChatButton}</button>\n                            </form>\n                        </div>\n\n                        \x3c!-- Chat Messages Container --\x3e\n                        <div class="chat-conversation" style="display: none;max-height:300px;">\n                            <div class="chat-messages-container">\n                                <div class="chat-messages"></div>\n                                <div class="chat-typing-indicator" style="display: none;">\n                                    <div class="typing-dots">\n                                        <span></span>\n                                        <span></span>\n                                        <span></span>\n                                    </div>\n                                    <span class="typing-text">${this.config.text.typingText}</span>\n                                </div>\n                            </div>\n                        </div>\n                    </div>\n\n                    \x3c!-- Chat Input - Fixed to bottom --\x3e\n                    <div class="chat-input-container" style="display: none;">\n                        \x3c!-- File preview area --\x3e\n                        <div class="chat-file-preview" style="display: none;"></div>\n                        \n                        <form class="chat-input-form">\n                            <div class="chat-input-wrapper">\n                                <input type="text" class="chat-input" placeholder="${this.config.text.placeholderText}" maxlength="1000">\n                                <input type="file" class="chat-file-input" accept="image/*,application/pdf,.doc,.docx,.txt" style="display: none;" multiple>\n                                <button type="button" class="chat-attachment-btn" title="Attach files">\n                                    <svg viewBox="0 0 24 24" width="20" height="20">\n                                        <path d="M16.5 6v11.5c0 2.21-1.79 4-4 4s-4-1.79-4-4V5c0-1.38 1.12-2.5 2.5-2.5s2.5 1.12 2.5 2.5v10.5c0 .55-.45 1-1 1s-1-.45-1-1V6H10v9.5c0 1.38 1.12 2.5 2.5 2.5s2.5-1.12 2.5-2.5V5c0-2.21-1.79-4-4-4S7 2.79 7 5v12.5c0 3.04 2.46 5.5 5.5 5.5s5.5-2.46 5.5-5.5V6h-1.5z"/>\n                                    </svg>\n                                </button>\n                            </div>\n                            <button type="submit" class="chat-send-btn" disabled>\n                                <svg viewBox="0 0 24 24" width="20" height="20">\n                                    <path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/>\n                                </svg>\n                            </button>\n                        </form>\n                        <div class="chat-actions">\n                            <button type="button" class="chat-handoff-btn" style="display: none;">${this.config.text.talkToPersonButton}</button>\n                            <button class="chat-end-btn">End Chat</button>\n                        </div>\n                    </div>\n\n                    \x3c!-- Drop zone, shown while files are dragged over the widget --\x3e\n                    <div class="chat-drop-zone" style="display: none;">\n                        <div class="chat-drop-zone-inner">\n                            <svg viewBox="0 0 24 24" width="32" height="32">\n                                <path d="M19.35 10.04C18.67 6.59 15.64 4 12 4 9.11 4 6.6 5.64 5.35 8.04 2.34 8.36 0 10.91 0 14c0 3.31 2.69 6 6 6h13c2.76 0 5-2.24 5-5 0-2.64-2.05-4.78-4.65-4.96zM14 13v4h-4v-4H7l5-5 5 5h-3z"/>\n                            </svg>\n                            <span>${this.config.text.dropFilesText}</span>\n                        </div>\n                    </div>\n                </div>\n            `},getButtonIcon:function(){const e=this.config.button.icon,t=this.config.button.customIcon;if(t)return t;switch(e){case"message":default:return'<svg class="chat-icon" viewBox="0 0 24 24" width="24" height="24">\n                        <path d="M20 2H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h4l4 4 4-4h4c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2z"/>\n                    </svg>';case"chat":return'<svg class="chat-icon" viewBox="0 0 24 24" width="24" height="24">\n                        <path d="M21 6h-2v9H6v2c0 .55.45 1 1 1h11l4 4V7c0-.55-.45-1-1-1zm-4 6V3c0-.55-.45-1-1-1H3c-.55 0-1 .45-1 1v14l4-4h10c.55 0 1-.45 1-1z"/>\n                    </svg>';case"support":return'<svg class="chat-icon" viewBox="0 0 24 24" width="24" height="24">\n                        <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/>\n                    </svg>';case"help":return'<svg class="chat-icon" viewBox="0 0 24 24" width="24" height="24">\n                        <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 17h-2v-2h2v2zm2.07-7.75l-.9.92C13.45 12.9 13 13.5 13 15h-2v-.5c0-1.1.45-2.1 1.17-2.83l1.24-1.26c.37-.36.59-.86.59-1.41 0-1.1-.9-2-2-2s-2 .9-2 2H8c0-2.21 1.79-4 4-4s4 1.79 4 4c0 .88-.36 1.68-.93 2.25z"/>\n                    </svg>'}},applyCustomStyling:function(){const e=this.elements.container,t=this.elements.button,s=this.elements.widget;if(e.classList.remove(...d["position.corner"],...d.theme),e.classList.add(this.config.position.corner,this.config.theme),this.config.colors){const t=e;this.log("Applying colors:",this.config.colors),this.config.colors.primary&&t.style.setProperty("--chat-primary",this.config.colors.primary),this.config.colors.secondary&&t.style.setProperty("--chat-secondary",this.config.colors.secondary),this.config.colors.accent&&t.style.setProperty("--chat-accent",this.config.colors.accent),this.config.colors.success&&t.style.setProperty("--chat-success",this.config.colors.success),this.config.colors.warning&&t.style.setProperty("--chat-warning",this.config.colors.warning),this.config.colors.error&&t.style.setProperty("--chat-error",this.config.colors.error),this.config.colors.background&&t.style.setProperty("--chat-background",this.config.colors.background),this.config.colors.surface&&t.style.setProperty("--chat-surface",this.config.colors.surface),this.config.colors.text&&t.style.setProperty("--chat-text",this.config.colors.text),this.config.colors.textSecondary&&t.style.setProperty("--chat-text-secondary",this.config.colors.textSecondary),this.config.colors.border&&t.style.setProperty("--chat-border",this.config.colors.border),this.config.colors.shadow&&t.style.setProperty("--chat-shadow",this.config.colors.shadow),this.log("CSS Variables set:",{background:getComputedStyle(t).getPropertyValue("--chat-background"),primary:getComputedStyle(t).getPropertyValue("--chat-primary"),text:getComputedStyle(t).getPropertyValue("--chat-text"),surface:getComputedStyle(t).getPropertyValue("--chat-surface")})}if(this.config.button){const e=this.config.button;e.size&&(t.style.width=e.size+"px",t.style.height=e.size+"px"),t.classList.remove("shape-circle","shape-rounded","shape-square"),"square"===e.shape?t.classList.add("shape-square"):"rounded"===e.shape?t.classList.add("shape-rounded"):t.classList.add("shape-circle"),e.backgroundColor?t.style.background=e.backgroundColor:this.config.colors.primary&&(t.style.background=`linear-gradient(135deg, ${this.config.colors.primary} 0%, ${this.config.colors.secondary} 100%)`),t.classList.remove("hover-scale","hover-glow","hover-bounce"),e.hoverEffect&&"none"!==e.hoverEffect&&t.classList.add("hover-"+e.hoverEffect),e.showNotification&&(t.classList.add("has-notification"),e.notificationColor&&t.style.setProperty("--notification-color",e.notificationColor))}if(s&&this.config.dimensions&&(this.config.dimensions.width&&(s.style.width=this.config.dimensions.width+"px"),this.config.dimensions.height&&(s.style.height=this.config.dimensions.height+"px")),s&&this.config.colors&&this.config.colors.background){s.style.backgroundColor=this.config.colors.background,this.log("Applied background color directly:",this.config.colors.background);const n=e.querySelector(".chat-body");n&&this.config.colors.surface&&(n.style.backgroundColor=this.config.colors.surface);const i=e.querySelector(".chat-start");i&&this.config.colors.background&&(i.style.backgroundColor=this.config.colors.background);const a=e.querySelector(".chat-input-container");a&&this.config.colors.background&&(a.style.backgroundColor=this.config.colors.background);const o=e.querySelector(".chat-header");o&&this.config.colors.primary&&this.config.colors.secondary&&(o.style.background=`linear-gradient(135deg, ${this.config.colors.primary} 0%, ${this.config.colors.secondary} 100%)`),t&&this.config.colors.primary&&this.config.colors.secondary&&(t.style.background=`linear-gradient(135deg, ${this.config.colors.primary} 0%, ${this.config.colors.secondary} 100%)`);e.querySelectorAll(".form-group input, .chat-input").forEach(e=>{this.config.colors.text&&(e.style.color=this.config.colors.text),this.config.colors.surface&&(e.style.backgroundColor=this.config.colors.surface)});e.querySelectorAll(".form-group label, .chat-welcome p").forEach(e=>{this.config.colors.textSecondary&&(e.style.color=this.config.colors.textSecondary)});const r=e.querySelector(".chat-welcome p:first-child");r&&this.config.colors.text&&(r.style.color=this.config.colors.text)}if(this.config.typography&&(e.style.fontFamily=this.config.typography.fontFamily,e.style.fontSize=this.config.typography.fontSize+"px",e.style.lineHeight=this.config.typography.lineHeight),s&&this.config.styling&&(this.config.styling.borderRadius&&(s.style.borderRadius=this.config.styling.borderRadius+"px"),this.config.styling.borderWidth>0&&(s.style.border=`${this.config.styling.borderWidth}px solid ${this.config.styling.borderColor}`),this.config.styling.shadow&&(s.style.boxShadow=this.config.styling.shadow)),this.config.position){e.style.zIndex=this.config.position.zIndex;const t=this.config.position.corner,s=this.config.position.offset;t.includes("top")?(e.style.top=s.y+"px",e.style.bottom="auto"):(e.style.bottom=s.y+"px",e.style.top="auto"),t.includes("right")?(e.style.right=s.x+"px",e.style.left="auto"):(e.style.left=s.x+"px",e.style.right="auto")}},bindEvents:function(){const s=this;this.elements.button.addEventListener("click",function(){s.toggleWidget()});const n=this.elements.container.querySelector(".chat-minimize-btn");n&&n.addEventListener("click",function(){s.minimizeWidget()});this.elements.container.querySelector(".chat-close-btn").addEventListener("click",function(){s.closeWidget()}),this.elements.container.querySelector(".chat-files-btn").addEventListener("click",function(){s.toggleFilesPanel()}),this.elements.filesPanel.addEventListener("click",function(e){if(e.target.closest(".chat-files-panel-close"))return void s.toggleFilesPanel(!1);const t=e.target.closest(".shared-file-download");if(t)return void s.downloadFile(t.dataset.url,t.dataset.name);const n=e.target.closest("[data-lightbox-url]");n&&s.openLightbox(n.dataset.lightboxUrl)}),this.elements.startForm&&this.elements.startForm.addEventListener("submit",function(e){e.preventDefault(),s.handleStartChat(e)}),this.elements.form&&(this.elements.form.addEventListener("submit",function(e){e.preventDefault(),s.handleSendMessage(e)}),this.elements.input.addEventListener("input",function(){s.handleInputChange()}),this.elements.input.addEventListener("keydown",function(e){"Enter"!==e.key||e.shiftKey||(e.preventDefault(),s.handleSendMessage(e))}));const i=this.elements.container.querySelector(".chat-reconnect-btn");i&&i.addEventListener("click",function(){s.reconnectNow(!0)}),this.addGlobalListener(e,"online",function(){s.socket&&!s.state.isConnected&&s.reconnectNow(!0)}),this.elements.messages.addEventListener("click",function(e){const t=e.target.closest(".message-retry-btn, .message-delete-btn");if(!t)return;const n=t.closest(".chat-message"),i=n&&n.dataset.clientMessageId;i&&(t.classList.contains("message-retry-btn")?s.retryMessage(i):s.discardMessage(i))}),this.elements.messages.addEventListener("click",function(e){const t=e.target.closest("button[data-payload]");if(!t)return;const n=t.closest(".chat-message");let i;try{i=JSON.parse(t.dataset.payload)}catch(e){i=t.dataset.payload}s.sendPostback(n&&n.dataset.messageId,t.dataset.title,i)}),this.elements.messages.addEventListener("click",function(e){const t=e.target.closest("button[data-queue-fallback]");t&&s.chooseQueueFallback(t.dataset.queueFallback)}),this.elements.messages.addEventListener("click",function(e){const t=e.target.closest(".message-stop-btn");if(!t)return;const n=t.closest(".chat-message");n&&s.stopStream(n.dataset.messageId)}),this.elements.messages.addEventListener("click",function(t){const n=t.target.closest("a.message-link");if(!n||!s.config.messageFormatting.externalLinkWarning)return;const i=n.getAttribute("href");s.isExternalLink(i)&&!e.confirm(s.config.text.externalLinkWarning.replace("{url}",i))&&t.preventDefault()}),this.elements.messages.addEventListener("click",function(e){const t=e.target.closest("[data-lightbox-url]");!t||0!==e.button||e.ctrlKey||e.metaKey||e.shiftKey||(e.preventDefault(),s.openLightbox(t.dataset.lightboxUrl))}),this.elements.handoffBtn&&this.elements.handoffBtn.addEventListener("click",function(){s.requestHandoff()});const a=this.elements.container.querySelector(".chat-end-btn");if(a&&a.addEventListener("click",function(){s.endChat()}),this.elements.attachmentBtn&&this.elements.fileInput){this.log("File upload elements found, binding events..."),this.elements.attachmentBtn.addEventListener("click",function(){s.log("Attachment button clicked"),s.elements.fileInput.click()}),this.elements.fileInput.addEventListener("change",function(e){s.log("File input changed, files selected:",e.target.files.length),s.handleFileSelection(e)}),this.elements.filePreview.addEventListener("click",function(e){const t=e.target.closest(".file-remove-btn");if(!t||t.disabled)return;const n=t.closest(".file-preview-item");n&&s.removeFile(n.dataset.fileId)});let e=0;this.elements.widget.addEventListener("dragenter",function(t){s.hasDraggedFiles(t)&&s.canAttachFiles()&&(t.preventDefault(),e++,s.setDropZoneActive(!0))}),this.elements.widget.addEventListener("dragover",function(e){s.hasDraggedFiles(e)&&(e.preventDefault(),e.dataTransfer.dropEffect=s.canAttachFiles()?"copy":"none")}),this.elements.widget.addEventListener("dragleave",function(t){s.hasDraggedFiles(t)&&(e=Math.max(0,e-1),0===e&&s.setDropZoneActive(!1))}),this.elements.widget.addEventListener("drop",function(t){if(e=0,s.setDropZoneActive(!1),!s.hasDraggedFiles(t))return;if(t.preventDefault(),!s.canAttachFiles())return;const n=Array.from(t.dataTransfer.files);s.log("Files dropped:",n.length),n.length>0&&s.attachFiles(n)}),this.elements.input.addEventListener("paste",function(e){s.handlePaste(e)})}else this.log("WARNING: File upload elements not found",{attachmentBtn:!!this.elements.attachmentBtn,fileInput:!!this.elements.fileInput});this.addGlobalListener(t,"click",function(e){!e.composedPath().includes(s.elements.container)&&s.state.isOpen}),this.addGlobalListener(t,"visibilitychange",function(){!t.hidden&&s.socket&&s.state.session.chatSessionId&&s.validateSession()})},addGlobalListener:function(e,t,s){e.addEventListener(t,s),this.globalListeners.push({target:e,type:t,handler:s})},initSocket:function(){const e=this;try{this.socket=this.createTransport(),this.socket.on("connect",function(){e.log("Connected to chat server with ID:",e.socket.id),e.state.isConnected=!0,e.cancelReconnect(),e.updateConnectionStatus("connected"),e.emitEvent("connected",{socketId:e.socket.id}),e.state.session.chatSessionId&&e.socket.emit("customer-resume-session",{customerId:e.state.session.customerId,chatSessionId:e.state.session.chatSessionId,customerName:e.state.customerInfo.name}),e.flushOutbox()}),this.socket.on("disconnect",function(t){e.log("Disconnected from chat server:",t),e.state.isConnected=!1,e.updateConnectionStatus("disconnected"),e.emitEvent("disconnected",{reason:t}),e.interruptStreams(),"io client disconnect"!==t&&e.scheduleReconnect()}),this.socket.on("connect_error",function(t){e.log("Connection error:",t),e.state.isConnected=!1,e.updateConnectionStatus("error"),e.emitEvent("error",{type:"connection",message:"Could not connect to the chat server",error:t}),e.scheduleReconnect()}),this.socket.on("chat-started",function(t){e.handleChatStarted(t.data)}),this.socket.on("session-resumed",function(t){e.handleSessionResumed(t)}),this.socket.on("session-resume-error",function(t){e.handleSessionResumeError(t)}),this.socket.on("chat-history",function(t){e.handleChatHistory(t)}),this.socket.on("receive-message",function(t){e.handleReceiveMessage(t)}),this.socket.on("message-stream-start",function(t){e.handleStreamStart(t)}),this.socket.on("message-stream-delta",function(t){e.handleStreamDelta(t)}),this.socket.on("message-stream-end",function(t){e.handleStreamEnd(t)}),this.socket.on("agent-assigned",function(t){e.handleAgentAssigned(t)}),this.socket.on("handoff-queued",function(t){e.handleHandoffQueued(t)}),this.socket.on("handoff-failed",function(t){e.handleHandoffFailed(t)}),this.socket.on("queue-update",function(t){e.handleQueueUpdate(t)}),this.socket.on("user-typing",function(t){e.handleUserTyping(t)}),this.socket.on("agent-typing",function(t){e.handleAgentTyping(t)}),this.socket.on("chat-ended",function(t){e.handleChatEnded(t)}),this.socket.on("error",function(t){e.handleError(t)}),this.socket.on("message-error",function(t){e.handleMessageError(t)}),this.socket.on("end-chat-error",function(t){e.handleEndChatError(t)}),this.socket.on("mark-message-as-read-response",function(t){e.log("Message receipt:",t),e.handleMessageRead(t.data||t)}),this.socket.on("message-delivered",function(t){e.handleMessageDelivered(t)}),this.socket.on("message-read",function(t){e.handleMessageRead(t)}),this.socket.on("message-sent",function(t){e.log("Message sent confirmation:",t),e.handleMessageSent(t.data)})}catch(e){console.error("ChatWidget: Failed to initialize socket connection:",e),this.updateConnectionStatus("error")}},createTransport:function(){const e=Object.assign({},this.config.transport,{reconnection:!this.isReconnectionEnabled()}),t=e.type||"socket.io",s=o[t];if(!s)throw new Error(`Unknown transport "${t}"`);return this.log("Using transport:",t),s(this.config.serverUrl,e)},updateConnectionStatus:function(e){const t=this.elements.container.querySelector(".chat-connecting"),s=this.elements.container.querySelector(".chat-start"),n=this.elements.container.querySelector(".chat-status");switch(e){case"connecting":t.style.display="block",s.style.display="none",n.textContent="Connecting...";break;case"connected":t.style.display="none",this.state.isChatStarted||(s.style.display="block"),n.textContent="Connected";break;case"disconnected":n.textContent="Disconnected";break;case"error":t.style.display="none",this.state.isChatStarted||(s.style.display="block"),n.textContent="Connection Error"}},handleChatStarted:function(e){this.log("Chat started:",e),this.state.isChatStarted=!0,this.state.session={customerId:e.customerId,chatSessionId:e.chatSessionId},this.storeSession(e),this.elements.container.querySelector(".chat-start").style.display="none",this.elements.container.querySelector(".chat-conversation").style.display="flex",this.elements.container.querySelector(".chat-input-container").style.display="block",this.elements.container.querySelector(".chat-status").textContent="Online",this.addMessage({id:"welcome",message:e.message,sender_type:1,timestamp:new Date}),this.state.historyLoaded=!0,this.state.lastSeenMessage=null,this.elements.input.focus(),this.emitEvent("chatStarted",{customerId:e.customerId,chatSessionId:e.chatSessionId,resumed:!1})},handleReceiveMessage:function(e){if(this.log("Message received:",e),e.id&&this.isKnownMessage(e.id))return void(this.completeBrokenStream(e)||this.log("Duplicate message ignored:",e.id));if(this.updateLastSeenMessage(e),e.clientMessageId&&this.state.outgoingMessages.has(e.clientMessageId))return void this.handleMessageSent({messageId:e.id,clientMessageId:e.clientMessageId});this.state.agentTyping=!1,this.updateTypingIndicator();const t=this.runPluginHook("afterReceive",e);if(!t)return void this.log("Message dropped by plugin:",e.id);e=t;const s=new Date(e.timestamp||Date.now());this.addMessage(Object.assign({},e,{timestamp:s,files:e.files,attachments:e.attachments})),this.emitEvent("messageReceived",{id:e.id,message:e.message,senderType:e.sender_type,timestamp:s,files:e.files||e.attachments||[]}),e.id&&this.state.session.chatSessionId&&this.socket.emit("mark-message-as-read",{messageId:e.id,sessionId:this.state.session.chatSessionId}),this.state.isOpen||this.showNotification()},handleAgentAssigned:function(e){this.log("Agent assigned:",e);const t=this.state.agentInfo,s=!!this.state.handoff;this.state.agentInfo={name:e.agentName,id:e.agentId,type:"ai"===e.agentType?"ai":"human",avatarUrl:e.avatarUrl||null},"human"===this.state.agentInfo.type&&(this.state.handoff=null),this.state.handoff||this.clearQueue(),this.updateAgentHeader(),t&&t.id===e.agentId||(this.addMessage({id:`system-agent-assigned-${e.agentId}`,message:s?this.config.text.handoffCompleteText.replace("{name}",e.agentName):`${e.agentName} has joined the chat.`,sender_type:0,timestamp:new Date}),this.emitEvent("agentAssigned",{agentId:e.agentId,agentName:e.agentName,agentType:this.state.agentInfo.type}))},isAiAgent:function(){const e=this.state.agentInfo;return e?"ai"===e.type:this.state.messages.some(e=>3===e.sender_type)},updateAgentHeader:function(){const e=this.state.agentInfo,t=this.config.text;this.elements.container.querySelector(".chat-title").textContent=e?`${t.companyName} - ${e.name}`:t.companyName,this.elements.container.querySelector(".chat-status").textContent=this.state.handoff||this.state.queue?t.waitingForAgentStatus:e?"ai"===e.type?t.aiAssistantStatus:`Chatting with ${e.name}`:"Online",this.renderAgentAvatar(),this.updateHandoffControls()},renderAgentAvatar:function(){const e=this.elements.agentAvatar;if(!e)return;const t=this.state.agentInfo;if(e.className=`chat-header-avatar ${t?t.type:""}`,e.style.display=t?"":"none",t)if("ai"===t.type)e.innerHTML='\n          <svg viewBox="0 0 24 24" width="20" height="20" aria-hidden="true">\n            <path d="M20 9V7c0-1.1-.9-2-2-2h-3c0-1.66-1.34-3-3-3S9 3.34 9 5H6c-1.1 0-2 .9-2 2v2c-1.66 0-3 1.34-3 3s1.34 3 3 3v4c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2v-4c1.66 0 3-1.34 3-3s-1.34-3-3-3zM7.5 11.5c0-.83.67-1.5 1.5-1.5s1.5.67 1.5 1.5S9.83 13 9 13s-1.5-.67-1.5-1.5zM16 17H8v-2h8v2zm-1-4c-.83 0-1.5-.67-1.5-1.5S14.17 10 15 10s1.5.67 1.5 1.5S15.83 13 15 13z"/>\n          </svg>';else if(t.avatarUrl&&/^https?:\/\//i.test(t.avatarUrl))e.innerHTML=`<img src="${this.escapeAttribute(t.avatarUrl)}" alt="" />`;else{const s=String(t.name||"").split(/\s+/).filter(Boolean).map(e=>e[0]).join("").slice(0,2).toUpperCase();e.textContent=s}else e.innerHTML="";e.title=t?t.name:""},updateHandoffControls:function(){if(!this.elements.handoffBtn)return;const e=this.config.handoff.enabled&&this.state.isChatStarted&&!this.state.handoff&&this.isAiAgent();this.elements.handoffBtn.style.display=e?"":"none"},requestHandoff:function(e){const t=this.state.session.chatSessionId;if(!t||this.state.handoff)return;let s=null;if("function"==typeof this.config.handoff.getContext)try{s=this.config.handoff.getContext.call(this)||null}catch(e){console.error("ChatWidget: handoff.getContext failed:",e)}this.state.handoff="requested",this.socket.emit("handoff-request",{chatSessionId:t,reason:e||null,lastMessageId:this.state.lastSeenMessage?this.state.lastSeenMessage.id:null,context:s}),this.addMessage({id:`system-handoff-${Date.now()}`,message:this.config.text.handoffRequestedText,sender_type:0,timestamp:new Date}),this.updateAgentHeader(),this.emitEvent("handoffRequested",{chatSessionId:t,reason:e||null})},handleHandoffQueued:function(e){this.log("Handoff queued:",e),this.state.agentInfo&&"human"===this.state.agentInfo.type||(this.state.handoff="queued",this.updateAgentHeader())},handleHandoffFailed:function(e){this.log("Handoff failed:",e),this.state.handoff=null,this.addMessage({id:`system-handoff-failed-${Date.now()}`,message:e&&e.message||this.config.text.handoffUnavailableText,sender_type:0,timestamp:new Date}),this.updateAgentHeader()},handleQueueUpdate:function(e){if(!e)return;if(this.log("Queue update:",e),this.state.agentInfo&&"human"===this.state.agentInfo.type)return;this.state.queue||(this.state.queue={fallback:null,fallbackTimer:null},this.startQueueFallbackTimer());const t=this.state.queue;t.position="number"==typeof e.position?e.position:null,t.estimatedWait="number"==typeof e.estimatedWait?e.estimatedWait:null,t.agentsOnline="number"==typeof e.agentsOnline?e.agentsOnline:null,this.renderQueueCard(),this.updateAgentHeader(),this.emitEvent("queueUpdated",{position:t.position,estimatedWait:t.estimatedWait,agentsOnline:t.agentsOnline})},renderQueueCard:function(){const e=this.state.queue;if(!e)return;const t={position:e.position,estimatedWait:e.estimatedWait,agentsOnline:e.agentsOnline,fallback:e.fallback};this.state.messages.some(e=>"queue-status"===e.id)?this.updateMessage("queue-status",{queue:t}):this.addMessage({id:"queue-status",type:"queue",message:"",sender_type:0,timestamp:new Date,queue:t})},getQueueCardHTML:function(e){const t=this.config.text,s=[];null!==e.position&&s.push(t.queuePositionText.replace("{position}",e.position)),null!==e.estimatedWait&&s.push(t.queueWaitText.replace("{wait}",this.formatWaitTime(e.estimatedWait))),0===e.agentsOnline?s.push(t.noAgentsOnlineText):null!==e.agentsOnline&&s.push(t.agentsOnlineText.replace("{count}",e.agentsOnline));let n="";if("offered"===e.fallback){const e={message:t.leaveMessageButton,callback:t.requestCallbackButton,wait:t.keepWaitingButton},s=this.config.queue.fallbackOptions.filter(t=>e[t]).map(t=>`<button type="button" class="message-button" data-queue-fallback="${t}">${v(e[t])}</button>`).join("");n=`\n          <div class="chat-queue-fallback">\n            <p>${v(t.queueFallbackText)}</p>\n            <div class="message-buttons">${s}</div>\n          </div>`}else if("message"===e.fallback||"callback"===e.fallback){n=`<div class="chat-queue-fallback"><p>${v("message"===e.fallback?t.leaveMessageConfirmText:t.callbackConfirmText)}</p></div>`}return`\n        <div class="chat-queue-card" role="status">\n          <div class="chat-queue-title">${v(t.queueTitle)}</div>\n          ${s.map(e=>`<div class="chat-queue-line">${v(e)}</div>`).join("")}\n          ${n}\n        </div>`},formatWaitTime:function(e){return e<60?this.config.text.waitLessThanMinuteText:this.config.text.waitMinutesText.replace("{minutes}",Math.round(e/60))},startQueueFallbackTimer:function(){const e=this.state.queue,t=this.config.queue.fallbackTimeout;e&&t&&0!==this.config.queue.fallbackOptions.length&&(clearTimeout(e.fallbackTimer),e.fallbackTimer=setTimeout(()=>{e.fallbackTimer=null,this.state.queue===e&&(e.fallback="offered",this.renderQueueCard())},t))},chooseQueueFallback:function(e){const t=this.state.queue;t&&(this.socket&&this.state.session.chatSessionId&&this.socket.emit("queue-fallback",{chatSessionId:this.state.session.chatSessionId,choice:e,phone:"callback"===e?this.state.customerInfo.phone||null:void 0}),"wait"===e?(t.fallback=null,this.startQueueFallbackTimer()):t.fallback=e,this.renderQueueCard(),"message"===e&&this.elements.input.focus(),this.emitEvent("queueFallback",{choice:e}))},clearQueue:function(){this.state.queue&&(clearTimeout(this.state.queue.fallbackTimer),this.state.queue=null,this.removeMessage("queue-status"))},handleStreamStart:function(e){if(!e||!e.id)return;const t=this.state.messages.find(t=>t.id===e.id);t?"interrupted"===t.streamStatus&&(this.updateMessage(e.id,{streamStatus:"streaming"}),this.touchStream(e.id)):(this.state.agentTyping=!1,this.updateTypingIndicator(),this.addMessage({id:e.id,message:e.message||"",sender_type:void 0!==e.sender_type?e.sender_type:3,senderId:e.senderId,timestamp:new Date(e.timestamp||Date.now()),streamStatus:"streaming"}),this.touchStream(e.id))},handleStreamDelta:function(e){if(!e||!e.id)return;let t=this.state.messages.find(t=>t.id===e.id);t&&"interrupted"!==t.streamStatus||(this.handleStreamStart(e),t=this.state.messages.find(t=>t.id===e.id)),t&&"streaming"===t.streamStatus&&(t.message+=e.delta||"",this.touchStream(e.id),this.scheduleStreamRender(e.id))},handleStreamEnd:function(e){if(!e||!e.id)return;const t=this.state.messages.find(t=>t.id===e.id);if(!t)return void(e.message&&this.handleReceiveMessage(Object.assign({sender_type:3},e)));const s=e.reason||"complete";if(this.finishStream(e.id,"complete"===s?"complete":"stopped"===s?"stopped":"interrupted","string"==typeof e.message?e.message:void 0),t.streamEnded)return;t.streamEnded=!0,this.updateLastSeenMessage(t);const n=this.runPluginHook("afterReceive",Object.assign({},t));if(!n)return this.log("Message dropped by plugin:",t.id),void this.removeMessage(t.id);this.updateMessage(t.id,n),this.emitEvent("messageReceived",{id:t.id,message:t.message,senderType:t.sender_type,timestamp:t.timestamp,files:[]}),this.state.session.chatSessionId&&this.socket.emit("mark-message-as-read",{messageId:t.id,sessionId:this.state.session.chatSessionId}),this.state.isOpen||this.showNotification()},stopStream:function(e){const t=this.state.messages.find(t=>t.id===e);t&&"streaming"===t.streamStatus&&(this.socket&&this.state.session.chatSessionId&&this.socket.emit("message-stream-stop",{messageId:e,chatSessionId:this.state.session.chatSessionId}),this.finishStream(e,"stopped"))},finishStream:function(e,t,s){const n=this.state.streams.get(e);n&&(clearTimeout(n.idleTimer),cancelAnimationFrame(n.renderFrame),this.state.streams.delete(e));const i={streamStatus:t};void 0!==s&&(i.message=s),this.updateMessage(e,i)},interruptStreams:function(){Array.from(this.state.streams.keys()).forEach(e=>{this.finishStream(e,"interrupted")})},clearStreams:function(){this.state.streams.forEach(e=>{clearTimeout(e.idleTimer),cancelAnimationFrame(e.renderFrame)}),this.state.streams.clear()},completeBrokenStream:function(e){const t=this.state.messages.find(t=>t.id===e.id);return!(!t||"interrupted"!==t.streamStatus)&&(this.handleStreamEnd({id:e.id,message:e.message||""}),!0)},touchStream:function(e){const t=this.state.streams.get(e)||{};clearTimeout(t.idleTimer),t.idleTimer=setTimeout(()=>{this.log("Stream timed out:",e),this.finishStream(e,"interrupted")},this.config.streaming.idleTimeout),this.state.streams.set(e,t)},scheduleStreamRender:function(e){const t=this.state.streams.get(e);t&&!t.renderFrame&&(t.renderFrame=requestAnimationFrame(()=>{t.renderFrame=null;const s=this.state.messages.find(t=>t.id===e),n=this.findMessageElement(e),i=n&&n.querySelector(".message-content");if(!s||!i)return;const a=this.isNearBottom();i.innerHTML=this.formatMessageText(s),a&&this.autoScrollToBottom()}))},handleUserTyping:function(e){this.log("User typing event received:",e);const{sessionId:t,senderId:s,sender_type:n,isTyping:i}=e;t!==this.state.session.chatSessionId||1!==n&&3!==n||(this.state.agentTyping=i,this.updateTypingIndicator(),i?this.log(`Agent ${s} is typing in session ${t}`):this.log(`Agent ${s} stopped typing in session ${t}`))},handleAgentTyping:function(e){this.log("Agent typing (legacy):",e),this.state.agentTyping=e.isTyping,this.updateTypingIndicator()},handleChatEnded:function(e){this.log("Chat ended:",e),this.addMessage({id:"system-chat-ended",message:e.message||"Chat has ended.",sender_type:0,timestamp:new Date}),this.elements.container.querySelector(".chat-input-container").style.display="none",this.elements.container.querySelector(".chat-status").textContent="Chat Ended",this.clearStoredSession(),this.emitEvent("chatEnded",{message:e.message||null}),setTimeout(()=>{this.resetChatState()},5e3)},handleSessionResumed:function(e){if(this.log("Session resumed successfully:",e),this.state.isChatStarted=!0,this.state.session={customerId:e.customerId,chatSessionId:e.chatSessionId},this.storeSession(e),this.state.historyLoaded)return this.updateAgentHeader(),void this.requestMissedMessages();this.elements.container.querySelector(".chat-start").style.display="none",this.elements.container.querySelector(".chat-conversation").style.display="flex",this.elements.container.querySelector(".chat-input-container").style.display="block",this.elements.container.querySelector(".chat-status").textContent="Session Resumed",this.socket.emit("get-chat-history",{chatSessionId:e.chatSessionId}),this.elements.input&&this.elements.input.focus(),this.addMessage({id:"system-session-resumed",message:"Session resumed successfully.",sender_type:0,timestamp:new Date}),this.emitEvent("chatStarted",{customerId:e.customerId,chatSessionId:e.chatSessionId,resumed:!0})},handleSessionResumeError:function(e){this.log("Session resume failed:",e),this.clearStoredSession(),this.addMessage({id:"system-session-expired",message:"Previous session expired. Please start a new chat.",sender_type:0,timestamp:new Date}),this.updateConnectionStatus("connected")},handleChatHistory:function(e){this.log("Received chat history:",e.messages?.length||0,"messages");const t=e.messages||[];this.state.historyLoaded?this.mergeMissedMessages(t):(this.state.messages=[],this.elements.messages.innerHTML="",t.forEach(e=>{this.updateLastSeenMessage(e);const t=this.runPluginHook("afterReceive",e);t&&this.addMessage(this.normalizeHistoryMessage(t))}),this.renderOutboxMessages(t),this.state.historyLoaded=!0,this.autoScrollToBottom())},mergeMissedMessages:function(e){let t=0;e.forEach(e=>{if(this.updateLastSeenMessage(e),e.clientMessageId&&this.state.outgoingMessages.has(e.clientMessageId))return void this.handleMessageSent({messageId:e.id,clientMessageId:e.clientMessageId});if(this.isKnownMessage(e.id))return void this.completeBrokenStream(e);const s=this.runPluginHook("afterReceive",e);s&&(this.addMessage(this.normalizeHistoryMessage(s)),t++)}),this.log("Merged",t,"missed messages"),t>0&&!this.state.isOpen&&this.showNotification()},normalizeHistoryMessage:function(e){return Object.assign({},e,{timestamp:new Date(e.timestamp||e.createdAt),files:e.files,attachments:e.attachments})},isKnownMessage:function(e){return!!e&&(this.state.messages.some(t=>t.id===e)||null!==this.resolveClientMessageId(e))},updateLastSeenMessage:function(e){if(!e||!e.id)return;const t=new Date(e.timestamp||e.createdAt||Date.now()),s=this.state.lastSeenMessage;(!s||t>=new Date(s.timestamp))&&(this.state.lastSeenMessage={id:e.id,timestamp:t.toISOString()})},requestMissedMessages:function(){const e=this.state.lastSeenMessage;this.log("Requesting messages missed since:",e),this.socket.emit("get-chat-history",{chatSessionId:this.state.session.chatSessionId,afterMessageId:e?e.id:null,after:e?e.timestamp:null})},handleError:function(e){this.log("Socket error:",e),this.showErrorMessage("An error occurred with the chat connection"),this.emitEvent("error",{type:"socket",message:e&&e.message||"Chat connection error",error:e})},handleMessageError:function(e){this.log("Message error:",e),this.showErrorMessage("Failed to send message. Please try again."),this.emitEvent("error",{type:"message",message:e&&e.message||"Failed to send message",error:e}),e.clientMessageId&&this.markMessageAsFailed(e.clientMessageId)},handleMessageSent:function(e){this.log("Message sent successfully:",e);const t=e.clientMessageId,n=this.state.outgoingMessages.get(t);if(n){if(this.removeFromOutbox(t),e.messageId){n.serverId=e.messageId,this.updateLastSeenMessage({id:e.messageId,timestamp:e.timestamp});const s=this.findMessageElement(t);s&&(s.dataset.messageId=e.messageId)}this.setMessageStatus(t,"delivered"===e.status?s.DELIVERED:s.SENT),this.emitEvent("messageSent",{clientMessageId:t,messageId:e.messageId||null,message:n.message,status:n.status})}else this.log("Acknowledgement for unknown message ignored:",e)},handleMessageDelivered:function(e){this.log("Message delivered:",e),this.getReceiptMessageIds(e).forEach(e=>{const t=this.resolveClientMessageId(e);t&&this.setMessageStatus(t,s.DELIVERED)})},handleMessageRead:function(e){this.log("Message read:",e),e.sessionId&&e.sessionId!==this.state.session.chatSessionId||this.getReceiptMessageIds(e).forEach(e=>{const t=this.resolveClientMessageId(e);t&&this.setMessageStatus(t,s.READ)})},handleEndChatError:function(e){this.log("End chat error:",e),this.showErrorMessage("Failed to end chat. Please try again."),this.emitEvent("error",{type:"endChat",message:e&&e.message||"Failed to end chat",error:e})},handleStartChat:function(e){const t=new FormData(e.target);this.state.customerInfo={name:t.get("name").trim(),phone:t.get("phone").trim(),email:t.get("email").trim()},this.state.customerInfo.name&&this.state.customerInfo.phone?this.state.isConnected?this.socket.emit("customer-join",this.state.customerInfo):this.showErrorMessage("Not connected to chat service"):this.showErrorMessage("Name and phone are required")},handleSendMessage:function(e){const t=this.elements.input.value.trim(),s=this.state.attachedFiles.length>0;(t||s)&&(this.state.sendingFiles||(this.state.session.chatSessionId?s?this.sendMessageWithFiles(t):this.sendTextMessage(t):this.showErrorMessage("Chat session not available")))},sendTextMessage:function(e,t){const n=this.generateClientMessageId(),i=this.runPluginHook("beforeSend",Object.assign({message:e,chatId:this.state.session.chatSessionId,sender_type:2,source:"web",chatSessionId:this.state.session.chatSessionId,clientMessageId:n},t));i?(this.trackOutgoingMessage(n,{message:i.message,type:"text",payload:i}),this.addMessage({id:n,clientMessageId:n,message:i.message,sender_type:2,senderId:this.state.session.customerId,timestamp:new Date,status:s.QUEUED}),this.queueMessage(i),t||(this.elements.input.value="",this.updateSendButton(),this.stopTyping())):this.log("Message cancelled by plugin")},sendPostback:function(e,t,s){this.state.session.chatSessionId?(this.sendTextMessage(t,{postback:{messageId:e,payload:s}}),this.emitEvent("postback",{messageId:e,title:t,payload:s})):this.showErrorMessage("Chat session not available")},sendMessageWithFiles:async function(e){const t=this.generateClientMessageId(),n=this.state.attachedFiles.slice();this.log("Starting sendMessageWithFiles process..."),this.log("Attached files count:",n.length),this.trackOutgoingMessage(t,{message:e||"",type:"file",attachments:n}),this.state.sendingFiles=!0,this.elements.input.value="",this.updateSendButton(),this.stopTyping(),this.addMessage({id:t,clientMessageId:t,message:e||"",sender_type:2,senderId:this.state.session.customerId,timestamp:new Date,status:s.QUEUED,isUploading:!0,files:n.map(e=>({fileName:e.file.name,size:e.file.size,type:e.file.type}))});try{await this.uploadAndSendFiles(t)}finally{this.state.sendingFiles=!1,this.state.attachedFiles=this.state.attachedFiles.filter(e=>-1===n.indexOf(e)),this.renderFilePreview(),this.updateSendButton()}},uploadAndSendFiles:async function(e){const t=this.state.outgoingMessages.get(e),s=t.message;try{this.log("Starting file upload process...");const n=await this.uploadAllFiles(t.attachments);this.log("Upload results:",n),t.attachments=t.attachments.filter(e=>!e.cancelled);const i=t.attachments.filter(e=>e.uploaded);if(this.log("Files marked as uploaded:",i.length),i.forEach(e=>{this.log(`- ${e.file.name}: ${e.uploadUrl}`)}),0===t.attachments.length&&!s)return this.log("Every upload was cancelled - discarding message"),void this.discardMessage(e);if(0===i.length&&t.attachments.length>0)return this.log("ERROR: All file uploads failed"),this.showErrorMessage("All file uploads failed"),void this.markMessageAsFailed(e);const a=this.runPluginHook("beforeSend",{message:s,chatId:this.state.session.chatSessionId,sender_type:2,source:"web",chatSessionId:this.state.session.chatSessionId,files:i.map(e=>({fileName:e.file.name,uri:e.uploadUrl})),clientMessageId:e});if(!a)return this.log("Message cancelled by plugin"),void this.discardMessage(e);this.log("Message data to send:",JSON.stringify(a,null,2)),t.message=a.message,t.files=a.files,t.payload=a,this.updateMessage(e,{message:a.message,isUploading:!1,files:a.files,fileMetadata:i.map(e=>({fileName:e.file.name,fileSize:e.file.size,fileType:e.file.type,uri:e.uploadUrl}))}),this.queueMessage(a),this.log("Message sent successfully with files")}catch(t){console.error("Error sending message with files:",t),this.log("ERROR in uploadAndSendFiles:",t.message),this.showErrorMessage("Failed to send message with files"),this.markMessageAsFailed(e)}},handleInputChange:function(){const e=this.elements.input.value.trim();this.updateSendButton(),this.state.session.chatSessionId&&(!this.state.isTyping&&e&&(this.state.isTyping=!0,this.socket.emit("typing-start",{sessionId:this.state.session.chatSessionId,sender_type:2}),this.log("Typing start emitted for session:",this.state.session.chatSessionId)),clearTimeout(this.typingTimeout),this.typingTimeout=setTimeout(()=>{this.stopTyping()},1e3))},stopTyping:function(){this.state.isTyping&&(this.state.isTyping=!1,this.state.session.chatSessionId&&(this.socket.emit("typing-stop",{sessionId:this.state.session.chatSessionId,sender_type:2}),this.log("Typing stop emitted for session:",this.state.session.chatSessionId))),clearTimeout(this.typingTimeout)},endChat:function(){this.state.session.chatSessionId&&this.socket.emit("customer-end-chat",{chatSessionId:this.state.session.chatSessionId})},addMessage:function(e){this.state.messages.push(e);const t=this.isNearBottom(),s=this.createMessageElement(e);this.elements.messages.appendChild(s),(t||2===e.sender_type)&&this.autoScrollToBottom(),e.files&&e.files.length>0&&this.refreshFilesPanel(),3!==e.sender_type||this.state.agentInfo||this.updateHandoffControls()},updateMessage:function(e,t){const s=this.state.messages.find(t=>t.id===e);if(!s)return;Object.assign(s,t);const n=this.findMessageElement(e);if(n){const e=this.createMessageElement(s);e.style.animation="none",n.parentNode.replaceChild(e,n)}t.files&&this.refreshFilesPanel()},createMessageElement:function(e){const n=t.createElement("div");n.className=`chat-message ${this.getSenderClass(e)} ${e.status||""} ${e.isUploading?"uploading":""} ${"carousel"===e.type?"carousel":""} ${"streaming"===e.streamStatus?"streaming":""}`,n.dataset.messageId=e.id,e.clientMessageId&&(n.dataset.clientMessageId=e.clientMessageId);const i=this.renderWithPlugins(e);if(null!==i)"string"==typeof i?n.innerHTML=i:n.appendChild(i);else if("queue"===e.type&&c(e.queue))n.innerHTML=this.getQueueCardHTML(e.queue);else if(0===e.sender_type)n.innerHTML=`\n                    <div class="message-content system-message">${this.formatMessageText(e)}</div>\n                `;else{let t="";const i=e.files||[];i.length>0&&(t=`\n            <div class="message-attachments">\n              ${i.map(e=>{const t=e.file_name||e.fileName,s=e.file_size||e.size,n=e.uri?this.getFileTypeFromName(t):e.type,i=e.uri,a=this.getFileAccessUrl(i),o=a?this.escapeAttribute(a):null;return"image"===n&&o?`\n                    <div class="message-attachment image-attachment">\n                      <div class="attachment-image-preview">\n                        <img src="${o}" alt="${this.escapeAttribute(t)}" class="attachment-image" loading="lazy" crossorigin="anonymous" data-lightbox-url="${o}" />\n                        ${o?`\n                          <a href="${o}" target="_blank" class="attachment-download" title="View full size" data-lightbox-url="${o}">\n                            <svg viewBox="0 0 24 24" width="16" height="16">\n                              <path d="M12,9A3,3 0 0,0 9,12A3,3 0 0,0 12,15A3,3 0 0,0 15,12A3,3 0 0,0 12,9M12,17A5,5 0 0,1 7,12A5,5 0 0,1 12,7A5,5 0 0,1 17,12A5,5 0 0,1 12,17M12,4.5C7,4.5 2.73,7.61 1,12C2.73,16.39 7,19.5 12,19.5C17,19.5 21.27,16.39 23,12C21.27,7.61 17,4.5 12,4.5Z"/>\n                            </svg>\n                          </a>\n                        `:""}\n                      </div>\n                      <div class="attachment-info">\n                        <div class="attachment-name">${this.escapeHtml(t)}</div>\n                      </div>\n                    </div>\n                  `:`\n                    <div class="message-attachment">\n                      <div class="attachment-icon">\n                        ${this.getFileIcon(n)}\n                      </div>\n                      <div class="attachment-info">\n                        <div class="attachment-name">${this.escapeHtml(t)}</div>\n                        ${s?`<div class="attachment-size">${this.formatFileSize(s)}</div>`:""}\n                      </div>\n                      ${o?`\n                        <a href="${o}" target="_blank" class="attachment-download" title="Download ${this.escapeAttribute(t)}">\n                          <svg viewBox="0 0 24 24" width="16" height="16">\n                            <path d="M5,20H19V18H5M19,9H15V3H9V9H5L12,16L19,9Z"/>\n                          </svg>\n                        </a>\n                      `:""}\n                    </div>\n                  `}).join("")}\n            </div>\n          `),n.innerHTML=`\n                    ${3===e.sender_type?`<div class="message-ai-badge">${this.escapeHtml(this.config.text.aiBadge)}</div>`:""}\n                    ${e.message||"streaming"===e.streamStatus?`<div class="message-content">${this.formatMessageText(e)}</div>`:""}\n                    ${t}\n                    ${this.getStructuredContentHTML(e)}\n                    ${this.getStreamStatusHTML(e)}\n                    <div class="message-time">${this.formatTime(e.timestamp)}</div>\n                    ${e.isUploading?'<div class="message-status">Uploading files...</div>':e.status?`<div class="message-status">${this.getStatusText(e.status)}</div>`:""}\n                    ${e.status===s.FAILED?this.getMessageActionsHTML():""}\n                `}return n},getStreamStatusHTML:function(e){const t=this.config.text;if("streaming"===e.streamStatus)return`<button type="button" class="message-stop-btn">${this.escapeHtml(t.stopGeneratingButton)}</button>`;if("stopped"===e.streamStatus||"interrupted"===e.streamStatus){const s="stopped"===e.streamStatus?t.responseStoppedText:t.responseInterruptedText;return`<div class="message-stream-note">${this.escapeHtml(s)}</div>`}return""},getStructuredContentHTML:function(e){let t="";"buttons"===e.type&&Array.isArray(e.buttons)?t+=this.getMessageButtonsHTML(e.buttons):"card"===e.type&&c(e.card)?t+=this.getMessageCardHTML(e.card):"carousel"===e.type&&Array.isArray(e.cards)&&(t+=`<div class="message-carousel">${e.cards.filter(c).map(e=>this.getMessageCardHTML(e)).join("")}</div>`);const s=Array.isArray(e.quickReplies)?e.quickReplies.filter(c):[];return s.length>0&&(t+=`<div class="message-quick-replies">${s.map(e=>this.getPostbackButtonHTML(e,"quick-reply")).join("")}</div>`),t},getMessageCardHTML:function(e){const t="string"==typeof e.image&&/^https?:\/\//i.test(e.image)?`<img class="message-card-image" src="${v(e.image)}" alt="" loading="lazy" />`:"",s=Array.isArray(e.fields)?e.fields.filter(c).map(e=>`<div class="message-card-field"><dt>${v(e.label||"")}</dt><dd>${v(void 0===e.value?"":e.value)}</dd></div>`).join(""):"";return`\n        <div class="message-card">\n          ${t}\n          <div class="message-card-body">\n            ${e.title?`<div class="message-card-title">${v(e.title)}</div>`:""}\n            ${e.subtitle?`<div class="message-card-subtitle">${v(e.subtitle)}</div>`:""}\n            ${s?`<dl class="message-card-fields">${s}</dl>`:""}\n          </div>\n          ${Array.isArray(e.buttons)?this.getMessageButtonsHTML(e.buttons):""}\n        </div>\n      `},getMessageButtonsHTML:function(e){return`<div class="message-buttons">${e.filter(c).map(e=>this.getPostbackButtonHTML(e,"message-button")).join("")}</div>`},getPostbackButtonHTML:function(e,t){const s=v(e.title||"");if(e.url)return S.test(e.url)?`<a class="${t} message-link" href="${v(e.url)}" target="_blank" rel="noopener noreferrer">${s}</a>`:"";const n=void 0!==e.payload?e.payload:e.title;return`<button type="button" class="${t}" data-title="${s}" data-payload="${v(JSON.stringify(n))}">${s}</button>`},formatMessageText:function(e){const t=e.message||"",s=this.config.messageFormatting[this.getSenderClass(e)];return"markdown"===s?`<div class="message-markdown">${function(e){const t=x(),s=String(e).replace(/\r\n?/g,"\n").replace(/\u0000/g,"").replace(/```[^\n`]*\n?([\s\S]*?)```/g,(e,s)=>"\n"+t.add(`<pre><code>${v(s.replace(/\n$/,""))}</code></pre>`)+"\n"),n=[];let i=null,a=[];const o=()=>{a.length>0&&(n.push(`<p>${a.join("<br>")}</p>`),a=[])},r=()=>{i&&(n.push(`<${i.tag}>${i.items.map(e=>`<li>${e}</li>`).join("")}</${i.tag}>`),i=null)};return v(s).split("\n").forEach(e=>{const s=/^\s*[-*+]\s+(.*)$/.exec(e),l=/^\s*\d+[.)]\s+(.*)$/.exec(e),c=s||l;if(c){const e=s?"ul":"ol";o(),i&&i.tag!==e&&r(),i||(i={tag:e,items:[]}),i.items.push(I(c[1],t))}else/^\u0000\d+\u0000$/.test(e.trim())?(o(),r(),n.push(e.trim())):""===e.trim()?(o(),r()):(r(),a.push(I(e,t)))}),o(),r(),t.restore(n.join(""))}(t)}</div>`:"links"===s?function(e){const t=x(),s=v(String(e).replace(/\u0000/g,""));return t.restore(M(s,t).replace(/\r?\n/g,"<br>"))}(t):this.escapeHtml(t)},isExternalLink:function(t){let s;try{s=new URL(t,e.location.href)}catch(e){return!0}if("mailto:"===s.protocol||s.host===e.location.host)return!1;const n=s.hostname.toLowerCase();return!this.config.messageFormatting.trustedDomains.some(e=>(e=e.toLowerCase(),n===e||n.endsWith("."+e)))},getSenderClass:function(e){return 0===e.sender_type?"system":1===e.sender_type?"agent":3===e.sender_type?"ai":"customer"},getMessageType:function(e){return e.type||this.getSenderClass(e)},getConversationAttachments:function(){const e=[];return this.state.messages.forEach(t=>{(t.files||[]).forEach(s=>{if(!s.uri)return;const n=s.file_name||s.fileName||this.extractFileName(s.uri);e.push({name:n,size:s.file_size||s.size||null,type:this.getFileTypeFromName(n),url:this.getFileAccessUrl(s.uri),messageId:t.id,timestamp:t.timestamp,senderType:t.sender_type})})}),e},toggleFilesPanel:function(e){if(!this.elements.filesPanel)return;const t=void 0===e?!this.state.filesPanelOpen:e;this.state.filesPanelOpen=t,this.elements.filesPanel.style.display=t?"flex":"none",this.elements.container.querySelector(".chat-files-btn").setAttribute("aria-expanded",String(t)),t&&this.renderFilesPanel()},refreshFilesPanel:function(){this.state.filesPanelOpen&&this.renderFilesPanel()},renderFilesPanel:function(){const e=this.getConversationAttachments().reverse();0!==e.length?this.elements.filesList.innerHTML=e.map(e=>{const t=this.escapeAttribute(e.url),s=this.escapeAttribute(e.name),n=[e.size?this.formatFileSize(e.size):"",e.timestamp?this.formatTime(e.timestamp):""].filter(Boolean).join(" · "),i="image"===e.type?`<button type="button" class="shared-file-thumb" data-lightbox-url="${t}" title="${s}">\n                   <img src="${t}" alt="${s}" loading="lazy" crossorigin="anonymous" />\n                 </button>`:`<a class="shared-file-thumb" href="${t}" target="_blank" rel="noopener" title="${s}">\n                   ${this.getFileIcon(e.type)}\n                 </a>`;return`\n            <div class="shared-file ${e.type}">\n              ${i}\n              <div class="shared-file-info">\n                <div class="shared-file-name">${s}</div>\n                <div class="shared-file-meta">${n}</div>\n              </div>\n              <button type="button" class="shared-file-download" data-url="${t}" data-name="${s}" title="${this.escapeAttribute(this.config.text.downloadButton)}">\n                <svg viewBox="0 0 24 24" width="16" height="16">\n                  <path d="M5,20H19V18H5M19,9H15V3H9V9H5L12,16L19,9Z"/>\n                </svg>\n              </button>\n            </div>\n          `}).join(""):this.elements.filesList.innerHTML=`<div class="chat-files-empty">${this.escapeHtml(this.config.text.noSharedFilesText)}</div>`},openLightbox:function(e){let s=this.getConversationAttachments().filter(e=>"image"===e.type),n=s.findIndex(t=>t.url===e);-1===n&&(s=[{url:e,name:this.extractFileName(e)}],n=0),this.elements.lightbox||this.createLightbox(),this.state.lightbox={images:s,index:n,scale:1,x:0,y:0,returnFocus:t.activeElement},this.elements.lightbox.style.display="flex",this.showLightboxImage(n),this.elements.lightbox.focus()},closeLightbox:function(){const e=this.state.lightbox;e&&(this.state.lightbox=null,this.elements.lightbox.style.display="none",this.elements.lightboxImage.removeAttribute("src"),e.returnFocus&&e.returnFocus.focus&&e.returnFocus.focus())},createLightbox:function(){const e=this,t=this.config.text;this.elements.container.insertAdjacentHTML("beforeend",`\n                <div class="chat-lightbox" role="dialog" aria-modal="true" tabindex="-1" style="display: none;">\n                    <div class="chat-lightbox-toolbar">\n                        <span class="chat-lightbox-caption"></span>\n                        <button type="button" class="chat-lightbox-btn" data-action="zoom-out" title="${t.zoomOutButton}">−</button>\n                        <button type="button" class="chat-lightbox-btn" data-action="zoom-in" title="${t.zoomInButton}">+</button>\n                        <button type="button" class="chat-lightbox-btn" data-action="download" title="${t.downloadButton}">\n                            <svg viewBox="0 0 24 24" width="18" height="18">\n                                <path d="M5,20H19V18H5M19,9H15V3H9V9H5L12,16L19,9Z"/>\n                            </svg>\n                        </button>\n                        <button type="button" class="chat-lightbox-btn" data-action="close" title="${t.closeButton}">×</button>\n                    </div>\n                    <div class="chat-lightbox-stage">\n                        <img class="chat-lightbox-image" alt="" draggable="false" crossorigin="anonymous" />\n                    </div>\n                    <button type="button" class="chat-lightbox-nav prev" data-action="prev" title="${t.previousImageButton}">‹</button>\n                    <button type="button" class="chat-lightbox-nav next" data-action="next" title="${t.nextImageButton}">›</button>\n                </div>\n            `);const s=this.elements.container.querySelector(".chat-lightbox"),n=s.querySelector(".chat-lightbox-stage");this.elements.lightbox=s,this.elements.lightboxImage=s.querySelector(".chat-lightbox-image"),s.addEventListener("click",function(t){if(t.target===n)return void e.closeLightbox();const s=t.target.closest("[data-action]");if(!s)return;const i=e.state.lightbox;switch(s.dataset.action){case"prev":e.showLightboxImage(i.index-1);break;case"next":e.showLightboxImage(i.index+1);break;case"zoom-in":e.setLightboxZoom(1.5*i.scale);break;case"zoom-out":e.setLightboxZoom(i.scale/1.5);break;case"download":e.downloadFile(i.images[i.index].url,i.images[i.index].name);break;case"close":e.closeLightbox()}}),s.addEventListener("keydown",function(t){const s=e.state.lightbox;if(!s)return;const n={Escape:()=>e.closeLightbox(),ArrowLeft:()=>e.showLightboxImage(s.index-1),ArrowRight:()=>e.showLightboxImage(s.index+1),"+":()=>e.setLightboxZoom(1.5*s.scale),"=":()=>e.setLightboxZoom(1.5*s.scale),"-":()=>e.setLightboxZoom(s.scale/1.5),0:()=>e.setLightboxZoom(1)};n[t.key]&&(t.preventDefault(),t.stopPropagation(),n[t.key]())}),n.addEventListener("wheel",function(t){if(!e.state.lightbox)return;t.preventDefault();const s=e.state.lightbox.scale;e.setLightboxZoom(t.deltaY<0?1.2*s:s/1.2)},{passive:!1}),this.elements.lightboxImage.addEventListener("dblclick",function(){e.setLightboxZoom(e.state.lightbox.scale>1?1:2)});let i=null;n.addEventListener("pointerdown",function(t){const s=e.state.lightbox;s&&1!==s.scale&&t.target===e.elements.lightboxImage&&(t.preventDefault(),i={x:t.clientX-s.x,y:t.clientY-s.y},n.setPointerCapture&&n.setPointerCapture(t.pointerId),n.classList.add("panning"))}),n.addEventListener("pointermove",function(t){i&&e.state.lightbox&&(e.state.lightbox.x=t.clientX-i.x,e.state.lightbox.y=t.clientY-i.y,e.renderLightboxTransform())});const a=function(){i=null,n.classList.remove("panning")};n.addEventListener("pointerup",a),n.addEventListener("pointercancel",a)},showLightboxImage:function(e){const t=this.state.lightbox;if(!t)return;t.index=Math.max(0,Math.min(e,t.images.length-1)),t.scale=1,t.x=0,t.y=0;const s=t.images[t.index],n=this.elements.lightbox;this.elements.lightboxImage.src=s.url,this.elements.lightboxImage.alt=s.name||"",n.setAttribute("aria-label",s.name||"");n.querySelector(".chat-lightbox-caption").textContent=t.images.length>1?`${s.name} (${t.index+1} / ${t.images.length})`:s.name,n.querySelector(".chat-lightbox-nav.prev").disabled=0===t.index,n.querySelector(".chat-lightbox-nav.next").disabled=t.index===t.images.length-1,n.classList.toggle("single",t.images.length<2),this.renderLightboxTransform()},setLightboxZoom:function(e){const t=this.state.lightbox;t&&(t.scale=Math.max(1,Math.min(e,5)),1===t.scale&&(t.x=0,t.y=0),this.renderLightboxTransform())},renderLightboxTransform:function(){const e=this.state.lightbox;this.elements.lightboxImage.style.transform=`translate(${e.x}px, ${e.y}px) scale(${e.scale})`,this.elements.lightbox.classList.toggle("zoomed",e.scale>1)},downloadFile:async function(s,n){try{const e=await fetch(s,{credentials:this.config.fileUpload.withCredentials?"include":"same-origin"});if(!e.ok)throw new Error(`HTTP ${e.status}`);const i=URL.createObjectURL(await e.blob()),a=t.createElement("a");a.href=i,a.download=n||this.extractFileName(s),t.body.appendChild(a),a.click(),a.remove(),setTimeout(()=>URL.revokeObjectURL(i),1e3)}catch(t){this.log("Download failed, opening the file instead:",t),e.open(s,"_blank","noopener")}},markMessageAsFailed:function(e){this.removeFromOutbox(e),this.setMessageStatus(e,s.FAILED);const t=this.state.messages.find(t=>t.id===e);t&&t.isUploading&&this.updateMessage(e,{isUploading:!1})},trackOutgoingMessage:function(e,t){this.state.outgoingMessages.set(e,Object.assign({status:s.QUEUED,timestamp:new Date},t))},setMessageStatus:function(e,t){const s=this.state.outgoingMessages.get(e);if(!s)return!1;if(!this.canTransitionStatus(s.status,t))return this.log(`Ignoring status change ${s.status} -> ${t} for ${e}`),!1;s.status=t;const n=this.state.messages.find(t=>t.id===e);n&&(n.status=t);const i=this.findMessageElement(e);return i&&this.renderMessageStatus(i,t),!0},canTransitionStatus:function(e,t){return e!==t&&(t===s.FAILED?e===s.QUEUED||e===s.SENDING:e===s.FAILED?t===s.QUEUED||t===s.SENDING:n.indexOf(t)>n.indexOf(e))},renderMessageStatus:function(e,n){Object.values(s).forEach(t=>{e.classList.remove(t)}),e.classList.add(n);let i=e.querySelector(".message-status");i||(i=t.createElement("div"),i.className="message-status",e.appendChild(i)),i.textContent=this.getStatusText(n);const a=e.querySelector(".message-actions");n!==s.FAILED||a?n!==s.FAILED&&a&&a.parentNode.removeChild(a):i.insertAdjacentHTML("afterend",this.getMessageActionsHTML())},getMessageActionsHTML:function(){return`\n        <div class="message-actions">\n          <button type="button" class="message-retry-btn">${this.escapeHtml(this.config.text.retryButton||"Retry")}</button>\n          <button type="button" class="message-delete-btn">${this.escapeHtml(this.config.text.deleteButton||"Delete")}</button>\n        </div>\n      `},retryMessage:function(e){const t=this.state.outgoingMessages.get(e);t&&t.status===s.FAILED&&(this.log("Retrying message:",e),this.setMessageStatus(e,s.QUEUED),t.payload?this.queueMessage(t.payload):(this.updateMessage(e,{isUploading:!0}),this.uploadAndSendFiles(e)))},discardMessage:function(e){this.log("Discarding message:",e),this.removeFromOutbox(e),this.state.outgoingMessages.delete(e),this.state.messages=this.state.messages.filter(t=>t.id!==e);const t=this.findMessageElement(e);t&&t.parentNode.removeChild(t)},removeMessage:function(e){this.state.messages=this.state.messages.filter(t=>t.id!==e);const t=this.findMessageElement(e);t&&t.parentNode.removeChild(t)},getStatusText:function(e){const t="status"+e.charAt(0).toUpperCase()+e.slice(1);return this.config.text[t]||e},findMessageElement:function(e){const t=CSS.escape(String(e));return this.elements.messages.querySelector(`[data-client-message-id="${t}"], [data-message-id="${t}"]`)},resolveClientMessageId:function(e){if(this.state.outgoingMessages.has(e))return e;for(const[t,s]of this.state.outgoingMessages)if(s.serverId===e)return t;return null},getReceiptMessageIds:function(e){return e?[].concat(e.clientMessageIds||[],e.messageIds||[]).concat(e.clientMessageId||[],e.messageId||[]):[]},updateTypingIndicator:function(){const e=this.elements.container.querySelector(".chat-typing-indicator");if(this.state.agentTyping){const t=this.state.agentInfo?.name||"Agent",s=e.querySelector(".typing-text");s&&(s.textContent=`${t} is typing...`),e.style.display="flex",this.autoScrollToBottom()}else e.style.display="none"},updateSendButton:function(){const e=this.elements.container.querySelector(".chat-send-btn"),t=this.elements.input.value.trim().length>0,s=this.state.attachedFiles.length>0;e.disabled=!t&&!s||!this.state.isChatStarted||this.state.sendingFiles},toggleWidget:function(){this.state.isOpen?this.closeWidget():this.openWidget()},openWidget:function(){this.state.isOpen=!0,this.elements.widget.style.display="block",this.elements.button.querySelector(".chat-icon").style.display="none",this.elements.button.querySelector(".close-icon").style.display="block",this.elements.container.classList.add("open"),this.state.isChatStarted&&this.elements.input&&setTimeout(()=>this.elements.input.focus(),100),this.clearNotification(),this.emitEvent("open",{})},closeWidget:function(){this.state.isOpen=!1,this.elements.widget.style.display="none",this.elements.button.querySelector(".chat-icon").style.display="block",this.elements.button.querySelector(".close-icon").style.display="none",this.elements.container.classList.remove("open"),this.emitEvent("close",{})},minimizeWidget:function(){this.closeWidget()},resetChatState:function(){this.state.isChatStarted=!1,this.state.messages=[],this.state.session={customerId:null,chatSessionId:null},this.state.agentInfo=null,this.state.handoff=null,this.clearQueue(),this.state.agentTyping=!1,this.state.attachedFiles=[],this.cancelAllUploads(),this.state.outgoingMessages.clear(),this.state.outbox=[],this.state.historyLoaded=!1,this.state.lastSeenMessage=null,this.clearStreams(),this.closeLightbox(),this.toggleFilesPanel(!1),this.clearStoredSession(),this.elements.container.querySelector(".chat-conversation").style.display="none",this.elements.container.querySelector(".chat-input-container").style.display="none",this.elements.container.querySelector(".chat-start").style.display="block",this.updateAgentHeader(),this.elements.container.querySelector(".chat-status").textContent=this.state.isConnected?"Connected":"Disconnected",this.elements.messages.innerHTML="",this.renderFilePreview(),this.elements.startForm&&this.elements.startForm.reset()},showNotification:function(){this.elements.button.classList.add("has-notification")},clearNotification:function(){this.elements.button.classList.remove("has-notification")},showErrorMessage:function(e){const s=t.createElement("div");s.className="chat-error-message",s.textContent=e;this.elements.container.querySelector(".chat-body").appendChild(s),setTimeout(()=>{s.parentNode&&s.parentNode.removeChild(s)},5e3)},scrollToBottom:function(e=!1){const t=this.elements.container?.querySelector(".chat-messages-container"),s=this.elements.messages,n=t||s;if(n){const t={top:n.scrollHeight,behavior:e?"auto":"smooth"};n.scrollTo?n.scrollTo(t):n.scrollTop=n.scrollHeight,s&&s!==n&&(s.scrollTo?s.scrollTo({top:s.scrollHeight,behavior:e?"auto":"smooth"}):s.scrollTop=s.scrollHeight)}},autoScrollToBottom:function(){setTimeout(()=>{this.scrollToBottom()},50)},isNearBottom:function(){const e=this.elements.container?.querySelector(".chat-messages-container"),t=e||this.elements.messages;if(!t)return!0;const s=t.scrollTop,n=t.scrollHeight;return s+t.clientHeight>=n-100},formatTime:function(e){return new Date(e).toLocaleTimeString([],{hour:"2-digit",minute:"2-digit"})},escapeHtml:function(e){const s=t.createElement("div");return s.textContent=e,s.innerHTML},escapeAttribute:function(e){return this.escapeHtml(e).replace(/"/g,"&quot;").replace(/'/g,"&#39;")},log:function(){this.config.debug&&console.log("[ChatWidget]",...arguments)},emitEvent:function(e,t){(this.eventListeners[e]||[]).slice().forEach(s=>{try{s.call(this,t)}catch(t){console.error(`ChatWidget: Error in "${e}" listener:`,t)}})},runPluginHook:function(e,t){for(const s of this.plugins){if("function"!=typeof s[e])continue;let n;try{n=s[e](t,this)}catch(t){console.error(`ChatWidget: Plugin "${s.name}" failed in ${e}:`,t);continue}if(!1===n)return this.log(`Plugin "${s.name}" cancelled ${e}`),null;null!=n&&(t=n)}return t},renderWithPlugins:function(e){const t=this.getMessageType(e);for(let s=this.plugins.length-1;s>=0;s--){const n=this.plugins[s],i=n.render&&n.render[t];if("function"==typeof i)try{const t=i(e,this);if(null!=t)return t}catch(e){console.error(`ChatWidget: Plugin "${n.name}" failed to render "${t}":`,e)}}return null},getStorageKey:function(e){return(this.config.namespace||"chat_widget")+"_"+e},checkExistingSession:function(){const e=this.getStoredSession();e?(this.log("Found stored session:",e.chatSessionId),this.resumeSession(e)):(this.log("No stored session found, initializing fresh"),this.initSocket())},resumeSession:function(e){this.log("Attempting to resume session:",e.chatSessionId),this.updateConnectionStatus("connecting"),this.initSocket(),this.state.session={customerId:e.customerId,chatSessionId:e.chatSessionId},this.state.customerInfo={name:e.customerName,phone:e.customerPhone,email:e.customerEmail},this.loadOutbox()},storeSession:function(e){const t={customerId:e.customerId,chatSessionId:e.chatSessionId,customerName:e.customerName||this.state.customerInfo.name,customerPhone:e.customerPhone||this.state.customerInfo.phone,customerEmail:e.customerEmail||this.state.customerInfo.email,timestamp:Date.now(),status:"active"};try{localStorage.setItem(this.getStorageKey("session"),JSON.stringify(t)),this.log("Session stored:",t.chatSessionId)}catch(e){this.log("Failed to store session:",e)}},getStoredSession:function(){try{const e=localStorage.getItem(this.getStorageKey("session"));if(e){const t=JSON.parse(e);if(Date.now()-t.timestamp<864e5)return t;this.clearStoredSession()}}catch(e){this.log("Error reading stored session:",e),this.clearStoredSession()}return null},clearStoredSession:function(){try{localStorage.removeItem(this.getStorageKey("session")),localStorage.removeItem(this.getStorageKey("outbox")),this.log("Session cleared from storage")}catch(e){this.log("Error clearing session:",e)}},validateSession:function(){this.state.session.chatSessionId&&this.socket&&this.socket.emit("validate-session",{customerId:this.state.session.customerId,chatSessionId:this.state.session.chatSessionId})},isReconnectionEnabled:function(){return!(!this.config.reconnection||!this.config.reconnection.enabled)},getReconnectDelay:function(e){const t=this.config.reconnection,s=Math.min(t.maxDelay||3e4,(t.initialDelay||1e3)*Math.pow(t.multiplier||2,e-1)),n=t.jitter||0;return Math.round(s*(1-n+Math.random()*n*2))},scheduleReconnect:function(){if(!this.isReconnectionEnabled()||!this.socket)return;if(this.reconnectTimeout)return;const e=this.config.reconnection.maxAttempts||0;if(e&&this.state.reconnectAttempts>=e)return this.log("Giving up after",this.state.reconnectAttempts,"attempts"),void this.showReconnectBanner(this.config.text.connectionLostText);this.state.reconnectAttempts++;const t=this.getReconnectDelay(this.state.reconnectAttempts),s=Date.now()+t;this.log(`Reconnect attempt ${this.state.reconnectAttempts} in ${t}ms`);const n=()=>{const e=Math.max(0,Math.ceil((s-Date.now())/1e3));this.showReconnectBanner(this.config.text.reconnectingText.replace("{seconds}",e))};n(),this.reconnectCountdown=setInterval(n,1e3),this.reconnectTimeout=setTimeout(()=>{this.reconnectNow()},t)},reconnectNow:function(e){this.socket&&!this.state.isConnected&&(this.clearReconnectTimers(),e&&(this.state.reconnectAttempts=0),this.showReconnectBanner(this.config.text.reconnectingNowText),this.socket.connect())},cancelReconnect:function(){this.clearReconnectTimers(),this.state.reconnectAttempts=0,this.hideReconnectBanner()},clearReconnectTimers:function(){clearTimeout(this.reconnectTimeout),clearInterval(this.reconnectCountdown),this.reconnectTimeout=null,this.reconnectCountdown=null},showReconnectBanner:function(e){const t=this.elements.reconnectBanner;t&&(t.querySelector(".chat-reconnect-text").textContent=e,t.style.display="flex")},hideReconnectBanner:function(){this.elements.reconnectBanner&&(this.elements.reconnectBanner.style.display="none")},generateClientMessageId:function(){return"client-"+Date.now()+"-"+Math.random().toString(36).substr(2,9)},isOutboxEnabled:function(){return!(!this.config.outbox||!this.config.outbox.enabled)},queueMessage:function(e){const t=e.clientMessageId;if(!this.isOutboxEnabled())return this.socket.emit("send-message",e),this.setMessageStatus(t,s.SENDING),!0;const n=this.config.outbox.maxMessages||50;if(this.state.outbox.length>=n)return console.warn("ChatWidget: Outbox is full, message not queued:",t),this.markMessageAsFailed(t),this.showErrorMessage(this.config.text.outboxFullText),this.emitEvent("error",{type:"message",message:this.config.text.outboxFullText,error:null}),!1;const i={clientMessageId:t,payload:e,queuedAt:Date.now(),attempts:0};this.state.outbox.push(i);let a=!1;return this.socket&&this.state.isConnected?(i.attempts++,this.socket.emit("send-message",e),this.setMessageStatus(t,s.SENDING),a=!0):this.log("Not connected, message queued:",t),this.storeOutbox(),a},flushOutbox:function(){this.isOutboxEnabled()&&this.socket&&this.state.isConnected&&0!==this.state.outbox.length&&(this.log("Flushing outbox:",this.state.outbox.length,"messages"),this.state.outbox.forEach(e=>{e.attempts++,this.socket.emit("send-message",e.payload),this.setMessageStatus(e.clientMessageId,s.SENDING)}),this.storeOutbox())},removeFromOutbox:function(e){const t=this.state.outbox.length;this.state.outbox=this.state.outbox.filter(t=>t.clientMessageId!==e),this.state.outbox.length!==t&&(this.log("Removed from outbox:",e),this.storeOutbox())},renderOutboxMessages:function(e){const t=new Set(e.map(e=>e.clientMessageId).filter(Boolean));this.state.outbox.forEach(e=>{if(t.has(e.clientMessageId))return void this.removeFromOutbox(e.clientMessageId);const n=e.attempts>0?s.SENDING:s.QUEUED;this.trackOutgoingMessage(e.clientMessageId,{message:e.payload.message,timestamp:new Date(e.queuedAt),type:e.payload.files?"file":"text",files:e.payload.files,payload:e.payload,status:n}),this.addMessage({id:e.clientMessageId,clientMessageId:e.clientMessageId,message:e.payload.message,sender_type:2,senderId:this.state.session.customerId,timestamp:new Date(e.queuedAt),status:n,files:e.payload.files})})},storeOutbox:function(){try{if(0===this.state.outbox.length)return void localStorage.removeItem(this.getStorageKey("outbox"));localStorage.setItem(this.getStorageKey("outbox"),JSON.stringify({chatSessionId:this.state.session.chatSessionId,messages:this.state.outbox}))}catch(e){this.log("Failed to store outbox:",e)}},loadOutbox:function(){if(this.isOutboxEnabled())try{const e=localStorage.getItem(this.getStorageKey("outbox"));if(!e)return;const t=JSON.parse(e);t.chatSessionId===this.state.session.chatSessionId?(this.state.outbox=t.messages||[],this.log("Restored outbox:",this.state.outbox.length,"messages")):localStorage.removeItem(this.getStorageKey("outbox"))}catch(e){this.log("Error reading stored outbox:",e),localStorage.removeItem(this.getStorageKey("outbox"))}},open:function(){this.loadRuntime(),this.openWidget()},close:function(){this.state.runtimeLoaded&&this.closeWidget()},destroy:function(e){this.clearReconnectTimers(),this.clearStreams(),this.state.queue&&clearTimeout(this.state.queue.fallbackTimer),this.unbindLauncherEvents(),this.plugins.slice().reverse().forEach(e=>this.removePlugin(e.name)),this.socket&&this.socket.disconnect();const t=this.elements.host||this.elements.container;t&&t.parentNode.removeChild(t),e&&e.keepSession||this.clearStoredSession(),this.globalListeners.forEach(e=>{e.target.removeEventListener(e.type,e.handler)}),this.globalListeners=[],clearTimeout(this.typingTimeout),this.cancelAllUploads(),this.state.isInitialized=!1,this.state.runtimeLoaded=!1;const s=F.indexOf(this);-1!==s&&F.splice(s,1)},on:function(e,t){return"function"!=typeof t?(console.error(`ChatWidget: Listener for "${e}" must be a function`),this):(i.includes(e)||console.warn(`ChatWidget: Unknown event "${e}"`),this.eventListeners[e]||(this.eventListeners[e]=[]),this.eventListeners[e].push(t),this)},off:function(e,t){const s=this.eventListeners[e];return s?(this.eventListeners[e]=t?s.filter(e=>e!==t&&e.listener!==t):[],this):this},once:function(e,t){if("function"!=typeof t)return this.on(e,t);const s=function(n){this.off(e,s),t.call(this,n)};return s.listener=t,this.on(e,s)},use:function(e){if(!e||"object"!=typeof e||!e.name)return console.error("ChatWidget: A plugin must be an object with a name"),this;if(this.getPlugin(e.name))return console.warn(`ChatWidget: Plugin "${e.name}" is already installed`),this;if(this.plugins.push(e),"function"==typeof e.install)try{e.install(this)}catch(t){return console.error(`ChatWidget: Plugin "${e.name}" failed to install:`,t),this.plugins.splice(this.plugins.indexOf(e),1),this}return this.log("Plugin installed:",e.name),this},removePlugin:function(e){const t=this.getPlugin(e);if(!t)return this;if(this.plugins.splice(this.plugins.indexOf(t),1),"function"==typeof t.destroy)try{t.destroy(this)}catch(t){console.error(`ChatWidget: Plugin "${e}" failed to destroy:`,t)}return this.log("Plugin removed:",e),this},getPlugin:function(e){return this.plugins.find(t=>t.name===e)||null},getState:function(){return{isConnected:this.state.isConnected,isChatStarted:this.state.isChatStarted,isOpen:this.state.isOpen,messagesCount:this.state.messages.length,session:this.state.session,agentInfo:this.state.agentInfo,handoff:this.state.handoff,queue:this.state.queue?{position:this.state.queue.position,estimatedWait:this.state.queue.estimatedWait,agentsOnline:this.state.queue.agentsOnline}:null}},create:function(e){C++;const t=Object.create($);return t.instanceId="chat-widget-"+C,t.config=l(L),t.state=r(),t.elements={},t.socket=null,t.globalListeners=[],t.eventListeners={},t.plugins=[],t.typingTimeout=null,t.launcherListeners=null,t.hoverIntentTimeout=null,t.reconnectTimeout=null,t.reconnectCountdown=null,t.init(Object.assign({namespace:"chat_widget_"+C},e||{})),t.state.isInitialized&&F.push(t),t},getInstances:function(){return F.slice()},registerTransport:function(e,t){"function"==typeof t?o[e]=t:console.error("ChatWidget: transport factory must be a function")},registerUploadAdapter:function(e,t){const s=["send","parseResult","getViewUrl"].filter(e=>!t||"function"!=typeof t[e]);s.length>0?console.error(`ChatWidget: upload adapter "${e}" is missing ${s.join(", ")}`):y[e]=t},optionsFromAttributes:function(e,t){return P(e,t)},clearSession:function(){this.clearStoredSession(),this.resetChatState()},updateConfig:function(e){this.mergeConfig(e),this.elements.container&&(this.applyCustomStyling(),this.updateTextContent()),this.log("Configuration updated:",e)},mergeConfig:function(e){this.config=h(this.config,this.normalizeOptions(e))},normalizeOptions:function(e){const t=[],s=m(this.migrateLegacyOptions(e||{}),L,"",t);return t.forEach(e=>{console.warn("ChatWidget: Invalid configuration - "+e)}),s},migrateLegacyOptions:function(e){const t=Object.assign({},e);return"string"==typeof t.position&&(console.warn(`ChatWidget: "position: '${t.position}'" is deprecated, use "position: { corner: '${t.position}' }"`),t.position={corner:t.position}),k.forEach(e=>{Object.prototype.hasOwnProperty.call(t,e)&&(console.warn(`ChatWidget: "${e}" is deprecated, use "text.${e}"`),t.text=Object.assign({[e]:t[e]},t.text),delete t[e])}),t},validateConfig:function(e){const t=[];return m(this.migrateLegacyOptions(e||{}),L,"",t),t},updateColors:function(e){this.mergeConfig({colors:e}),this.elements.container&&this.applyCustomStyling()},updateButton:function(e){this.mergeConfig({button:e}),this.elements.container&&this.applyCustomStyling()},updatePosition:function(e){this.mergeConfig({position:e}),this.elements.container&&this.applyCustomStyling()},updateText:function(e){this.mergeConfig({text:e}),this.elements.container&&this.updateTextContent()},updateTextContent:function(){if(!this.elements.container)return;const e=this.elements.container.querySelector(".chat-title");e&&(e.textContent=this.state.agentInfo?`${this.config.text.companyName} - ${this.state.agentInfo.name}`:this.config.text.companyName),this.elements.handoffBtn&&(this.elements.handoffBtn.textContent=this.config.text.talkToPersonButton),this.elements.button&&(this.elements.button.title=this.config.text.buttonText);const t=this.elements.container.querySelector(".chat-welcome p:first-child");t&&(t.textContent=this.config.text.welcomeMessage);const s=this.elements.container.querySelector(".chat-welcome p:last-child");s&&(s.textContent=this.config.text.startChatText);const n=this.elements.container.querySelector(`label[for="${this.instanceId}-customer-name"]`);n&&(n.textContent=this.config.text.nameLabel);const i=this.elements.container.querySelector(`label[for="${this.instanceId}-customer-phone"]`);i&&(i.textContent=this.config.text.phoneLabel);const a=this.elements.container.querySelector(`label[for="${this.instanceId}-customer-email"]`);a&&(a.textContent=this.config.text.emailLabel);const o=this.elements.container.querySelector(".chat-start-btn");o&&(o.textContent=this.config.text.startChatButton);const r=this.elements.container.querySelector(".chat-input");r&&(r.placeholder=this.config.text.placeholderText);const l=this.elements.container.querySelector(".chat-reconnect-btn");l&&(l.textContent=this.config.text.retryNowButton)},handleFileSelection:function(e){if(this.log("handleFileSelection called"),!this.config.fileUpload.enabled)return this.log("ERROR: File upload is disabled"),void this.showErrorMessage("File upload is disabled");const t=Array.from(e.target.files);this.log(`Files selected: ${t.length}`),e.target.value="",0!==t.length?this.attachFiles(t):this.log("No files selected")},canAttachFiles:function(){return this.config.fileUpload.enabled&&this.state.isChatStarted},hasDraggedFiles:function(e){const t=e.dataTransfer&&e.dataTransfer.types;return Boolean(t)&&Array.from(t).includes("Files")},setDropZoneActive:function(e){this.elements.dropZone&&(this.elements.dropZone.style.display=e?"flex":"none",this.elements.widget.classList.toggle("drag-over",e))},handlePaste:function(e){const t=e.clipboardData;if(!t||!this.canAttachFiles())return;let s=Array.from(t.items||[]).filter(e=>"file"===e.kind).map(e=>e.getAsFile()).filter(Boolean);if(0===s.length&&(s=Array.from(t.files||[])),0===s.length)return;const n=Array.from(t.types||[]);n.includes("text/html")||n.includes("text/rtf")||(e.preventDefault(),this.log("Files pasted:",s.length),this.attachFiles(s.map(e=>this.namePastedFile(e))))},namePastedFile:function(e){if(e.name&&"image.png"!==e.name)return e;const t=(new Date).toISOString().slice(0,19).replace("T"," ").replace(/:/g,"."),s=(e.type.split("/")[1]||"png").replace("jpeg","jpg");return new File([e],`Screenshot ${t}.${s}`,{type:e.type,lastModified:e.lastModified||Date.now()})},attachFiles:async function(e){if(this.state.attachedFiles.length+e.length>this.config.fileUpload.maxFiles)return void this.showErrorMessage(`Maximum ${this.config.fileUpload.maxFiles} files allowed`);const t=[];for(const s of e){const e=this.validateFileType(s);if(!e.valid){this.showErrorMessage(e.error);continue}const n=await this.processImage(s),i=this.validateFile(n);i.valid?t.push({file:n,originalSize:s.size}):this.showErrorMessage(i.error)}this.elements.filePreview&&(this.state.attachedFiles.length+t.length>this.config.fileUpload.maxFiles?this.showErrorMessage(`Maximum ${this.config.fileUpload.maxFiles} files allowed`):t.forEach(e=>{this.addFileToPreview(e.file,e.originalSize)}))},isProcessableImage:function(e){const s=this.config.fileUpload.imageProcessing;return Boolean(s&&s.enabled&&/^image\//.test(e.type)&&!/^image\/(gif|svg\+xml)$/.test(e.type)&&"function"==typeof t.createElement("canvas").getContext)},processImage:async function(e){if(!this.isProcessableImage(e))return e;const s=this.config.fileUpload.imageProcessing;try{const n=await this.decodeImage(e),i=n.width,a=n.height,o=Math.min(1,s.maxWidth/i,s.maxHeight/a),r=Math.max(1,Math.round(i*o)),l=Math.max(1,Math.round(a*o)),c=this.getImageOutputType(e.type);if(1===o&&c===e.type&&!s.stripMetadata)return this.releaseImage(n),e;const h=t.createElement("canvas");h.width=r,h.height=l;const d=h.getContext("2d");"image/jpeg"===c&&(d.fillStyle="#ffffff",d.fillRect(0,0,r,l)),d.imageSmoothingQuality="high",d.drawImage(n,0,0,r,l),this.releaseImage(n);const u=await new Promise(e=>h.toBlob(e,c,s.quality));return u?u.size>=e.size&&1===o&&u.type===e.type&&!this.mayContainMetadata(e.type)?e:(this.log(`Processed image ${e.name}: ${i}x${a} -> ${r}x${l}, ${e.size} -> ${u.size} bytes`),new File([u],this.getProcessedFileName(e.name,u.type),{type:u.type,lastModified:e.lastModified})):e}catch(t){return this.log("Image processing failed, using the original file:",t),e}},decodeImage:function(t){return"function"==typeof e.createImageBitmap?e.createImageBitmap(t,{imageOrientation:"from-image"}):new Promise((e,s)=>{const n=URL.createObjectURL(t),i=new Image;i.onload=()=>{URL.revokeObjectURL(n),e(i)},i.onerror=()=>{URL.revokeObjectURL(n),s(new Error(`Cannot decode ${t.name}`))},i.src=n})},releaseImage:function(e){"function"==typeof e.close&&e.close()},getImageOutputType:function(e){const t=this.config.fileUpload.imageProcessing.format;return t&&"auto"!==t?t:"image/png"===e||"image/webp"===e?e:"image/jpeg"},mayContainMetadata:function(e){return this.config.fileUpload.imageProcessing.stripMetadata&&/^image\/(jpeg|webp|heic|heif|tiff)$/.test(e)},getProcessedFileName:function(e,t){const s={"image/jpeg":".jpg","image/png":".png","image/webp":".webp"}[t];if(!s)return e;const n=(e.match(/\.[^.]+$/)||[""])[0].toLowerCase();return n===s||".jpg"===s&&".jpeg"===n?e:e.replace(/\.[^.]+$/,"")+s},validateFile:function(e){return e.size>this.config.fileUpload.maxFileSize?{valid:!1,error:`File "${e.name}" is too large. Maximum size is ${this.formatFileSize(this.config.fileUpload.maxFileSize)}`}:this.validateFileType(e)},validateFileType:function(e){const t="."+e.name.split(".").pop().toLowerCase();return this.config.fileUpload.allowedTypes.includes(e.type)||this.config.fileUpload.allowedExtensions.includes(t)?{valid:!0}:{valid:!1,error:`File type "${t}" is not supported`}},addFileToPreview:function(e,t){this.log(`Adding file to preview: ${e.name} (${e.type}, ${e.size} bytes)`);const s={id:"file_"+Date.now()+"_"+Math.random().toString(36).substr(2,9),file:e,uploaded:!1,uploadUrl:null,originalSize:t&&t!==e.size?t:null};this.state.attachedFiles.push(s),this.log(`File added, total attached files: ${this.state.attachedFiles.length}`),this.renderFilePreview(),this.updateSendButton()},renderFilePreview:function(){if(0===this.state.attachedFiles.length)return this.elements.filePreview.style.display="none",void(this.elements.filePreview.innerHTML="");this.elements.filePreview.style.display="block",this.elements.filePreview.innerHTML=this.state.attachedFiles.map(e=>{const t=this.state.uploadingFiles.get(e.id),s=e.file;return`\n          <div class="file-preview-item ${t?"uploading":""}" data-file-id="${e.id}">\n            <div class="file-icon">\n              ${this.getFileIcon(s.type)}\n            </div>\n            <div class="file-info">\n              <div class="file-name">${this.escapeHtml(s.name)}</div>\n              <div class="file-size">\n                ${e.originalSize?`<span class="file-size-original">${this.formatFileSize(e.originalSize)}</span> → `:""}${this.formatFileSize(s.size)}\n              </div>\n              ${t?`\n                <div class="file-status">Uploading... ${t.progress}%</div>\n                <div class="file-progress">\n                  <div class="file-progress-bar" style="width: ${t.progress}%"></div>\n                </div>\n              `:""}\n            </div>\n            <button type="button" class="file-remove-btn" title="${t?"Cancel upload":"Remove"}">\n              <svg viewBox="0 0 24 24" width="16" height="16">\n                <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>\n              </svg>\n            </button>\n          </div>\n        `}).join("")},removeFile:function(e){const t=this.state.attachedFiles.find(t=>t.id===e);this.state.attachedFiles=this.state.attachedFiles.filter(t=>t.id!==e),t&&(t.cancelled=!0);const s=this.state.uploadingFiles.get(e);s&&(this.log(`Cancelling upload: ${e}`),s.controller.abort()),this.renderFilePreview(),this.updateSendButton()},cancelAllUploads:function(){this.state.uploadingFiles.forEach(e=>e.controller.abort()),this.state.uploadingFiles.clear()},getUploadAdapter:function(){const e=this.config.fileUpload,t=e.useMockUpload?"mock":e.adapter,s=y[t];if(!s)throw f(`Unknown upload adapter "${t}"`,"ERR_ADAPTER");return s},getUploadHeaders:async function(){const e=this.config.fileUpload,t=Object.assign({},e.headers);return"function"==typeof e.getAuthHeaders&&Object.assign(t,await e.getAuthHeaders()),t},uploadFile:async function(e){this.log(`Starting upload for: ${e.file.name}`);const t=new AbortController;this.state.uploadingFiles.set(e.id,{controller:t,progress:0}),this.renderFilePreview();try{const s=this.getUploadAdapter(),n=e.file,i={signal:t.signal,headers:await this.getUploadHeaders(),onProgress:(t,s)=>{this.updateFileUploadProgress(e.id,Math.round(t/s*100))}},a=s.getTarget?await s.getTarget.call(this,n,i):null,o=await s.send.call(this,n,a,i);return this.log(`Upload response received for ${e.file.name}:`,o),e.uploaded=!0,e.uploadUrl=s.parseResult.call(this,o,a,n),e.uploadResponse=o,this.log(`File marked as uploaded: ${e.file.name} -> ${e.uploadUrl}`),o}catch(t){if("AbortError"===t.name)throw e.cancelled=!0,this.log(`Upload cancelled: ${e.file.name}`),t;this.log(`Upload error for ${e.file.name}:`,t),console.error("File upload failed:",t);let s="File upload failed";throw"ERR_NETWORK"===t.code?(s="Cannot connect to upload server. Please check if the server is running or enable mock upload mode.",this.log("NETWORK ERROR: Server may not be running. Consider enabling mock upload for testing.")):"ERR_TIMEOUT"===t.code?s="Upload timed out. Please try again.":401===t.status||403===t.status?s="Not authorized to upload files.":404===t.status?s="Upload endpoint not found. Please check the API endpoint configuration.":413===t.status?s="File too large. Please try a smaller file.":t.status>=500?s="Server error. Please try again later.":t.body&&t.body.message&&(s=t.body.message),this.showErrorMessage(`Failed to upload "${e.file.name}": ${s}`),this.emitEvent("uploadFailed",{fileId:e.id,fileName:e.file.name,fileSize:e.file.size,message:s,error:t}),t}finally{this.state.uploadingFiles.delete(e.id),this.renderFilePreview()}},sendRequest:function(e,t,s,n){const i=this.config.fileUpload;return n=n||{},new Promise((a,o)=>{if(n.signal&&n.signal.aborted)return void o(p());const r=new XMLHttpRequest;r.open(e,t),r.timeout=i.timeout,r.withCredentials=void 0!==n.withCredentials?n.withCredentials:i.withCredentials;const l=Object.assign({},n.headers);c(s)&&(s=JSON.stringify(s),l["Content-Type"]="application/json"),Object.keys(l).forEach(e=>{r.setRequestHeader(e,l[e])}),n.onProgress&&(r.upload.onprogress=e=>{e.lengthComputable&&n.onProgress(e.loaded,e.total)}),r.onload=()=>{let e=null;try{e=JSON.parse(r.responseText)}catch(e){}r.status>=200&&r.status<300&&(e||!1===n.expectJson)?a(e):o(f(`Upload failed with status ${r.status}`,"ERR_HTTP",r.status,e))},r.onerror=()=>o(f("Network Error","ERR_NETWORK")),r.ontimeout=()=>o(f("Upload timed out","ERR_TIMEOUT")),r.onabort=()=>o(p()),n.signal&&n.signal.addEventListener("abort",()=>r.abort(),{once:!0}),r.send(void 0===s?null:s)})},shouldUseChunkedUpload:function(e){const t=this.config.fileUpload.chunked;return t.enabled&&e.size>t.threshold},sendChunkedUpload:async function(e,t){const s=this.config.fileUpload.chunked,n=t.signal,i=this.getFileFingerprint(e);let a=await this.getChunkedUploadStatus(e,i,t),o=a.receivedBytes,r=0;for(this.log(`Chunked upload ${a.uploadId} for ${e.name} starting at ${o} bytes`),t.onProgress(o,e.size);!a.location;){const l=Math.min(o+s.chunkSize,e.size);try{a=(await this.sendRequest("PUT",`${s.endpoint}/${encodeURIComponent(a.uploadId)}`,e.slice(o,l),{signal:n,headers:Object.assign({},t.headers,{"Content-Type":"application/octet-stream","Content-Range":`bytes ${o}-${l-1}/${e.size}`}),onProgress:s=>{t.onProgress(o+s,e.size)}})).data,r=0}catch(o){if("AbortError"===o.name)throw o;if(409===o.status&&o.body&&o.body.data)a=o.body.data;else if(404===o.status)this.forgetChunkedUpload(i),a=await this.getChunkedUploadStatus(e,i,t);else{if(!(this.isRetryableUploadError(o)&&r<s.retries))throw o;r++,this.log(`Chunk failed (${o.message}), retry ${r}/${s.retries}`),await this.waitForUploadRetry(s.retryDelay*r,n),a=await this.getChunkedUploadStatus(e,i,t)}}o=a.receivedBytes,t.onProgress(o,e.size)}return this.forgetChunkedUpload(i),{data:a}},getChunkedUploadStatus:async function(e,t,s){const n=this.config.fileUpload.chunked,i={signal:s.signal,headers:s.headers},a=this.loadChunkedUploads()[t];if(a)try{return(await this.sendRequest("GET",`${n.endpoint}/${encodeURIComponent(a.uploadId)}`,void 0,i)).data}catch(e){if(404!==e.status)throw e;this.log("Stored upload expired on the server, starting a new one")}const o=await this.sendRequest("POST",n.endpoint,{fileName:e.name,fileSize:e.size,mimeType:e.type},i);return this.storeChunkedUpload(t,o.data.uploadId),o.data},isRetryableUploadError:function(e){return"ERR_NETWORK"===e.code||"ERR_TIMEOUT"===e.code||e.status>=500},waitForUploadRetry:function(t,s){return new Promise((n,i)=>{let a=null;const o=()=>{clearTimeout(a),e.removeEventListener("online",l),i(p())},r=()=>{a=setTimeout(()=>{s.removeEventListener("abort",o),n()},t)},l=()=>{e.removeEventListener("online",l),r()};s.addEventListener("abort",o,{once:!0}),!1===navigator.onLine?(this.log("Offline, waiting to resume upload"),e.addEventListener("online",l)):r()})},getFileFingerprint:function(e){return[e.name,e.size,e.type,e.lastModified].join(":")},loadChunkedUploads:function(){try{const e=JSON.parse(localStorage.getItem(this.getStorageKey("uploads"))||"{}"),t=864e5;return Object.keys(e).forEach(s=>{Date.now()-e[s].createdAt>t&&delete e[s]}),e}catch(e){return this.log("Error reading stored uploads:",e),{}}},storeChunkedUpload:function(e,t){const s=this.loadChunkedUploads();s[e]={uploadId:t,createdAt:Date.now()},this.saveChunkedUploads(s)},forgetChunkedUpload:function(e){const t=this.loadChunkedUploads();delete t[e],this.saveChunkedUploads(t)},saveChunkedUploads:function(e){try{0===Object.keys(e).length?localStorage.removeItem(this.getStorageKey("uploads")):localStorage.setItem(this.getStorageKey("uploads"),JSON.stringify(e))}catch(e){this.log("Error storing uploads:",e)}},mockUpload:function(e,t){const s=t.signal;return this.log(`Mock upload starting for: ${e.name}`),new Promise((n,i)=>{let a=0;const o=setInterval(()=>{a+=30*Math.random(),a>100&&(a=100),t.onProgress(a,100),a>=100&&(clearInterval(o),setTimeout(()=>{if(s.aborted)return;const t=`https://mock-server.com/uploads/${Date.now()}-${e.name}`;this.log(`Mock upload completed: ${e.name} -> ${t}`),n({url:t,message:"Mock upload successful"})},200))},100);s.addEventListener("abort",()=>{clearInterval(o),i(p())},{once:!0})})},uploadAllFiles:async function(e){this.log("Starting uploadAllFiles...");const t=(e||this.state.attachedFiles).filter(e=>!e.uploaded&&!e.cancelled);if(this.log("Files to upload count:",t.length),0===t.length)return this.log("No files to upload - returning empty array"),[];t.forEach((e,t)=>{this.log(`File ${t+1}: ${e.file.name} (${e.file.type})`)});const s=new Array(t.length).fill(null);let n=0;const i=async()=>{for(;n<t.length;){const e=n++,i=t[e];if(!i.cancelled)try{s[e]=await this.uploadFile(i),this.log(`Upload successful for file ${e+1}: ${i.file.name}`)}catch(t){this.log(`Upload failed for file ${e+1}: ${i.file.name} - ${t.message}`)}}},a=Math.max(1,this.config.fileUpload.concurrency||1),o=[];for(let e=0;e<Math.min(a,t.length);e++)o.push(i());return await Promise.all(o),s},updateFileUploadProgress:function(e,t){const s=this.state.uploadingFiles.get(e);s&&(s.progress=t);const n=this.elements.filePreview.querySelector(`[data-file-id="${e}"]`);if(n){const e=n.querySelector(".file-status");e&&(e.textContent=`Uploading... ${t}%`);const s=n.querySelector(".file-progress-bar");s&&(s.style.width=`${t}%`)}},getFileIcon:function(e){return e.startsWith("image/")?'<svg viewBox="0 0 24 24" width="20" height="20"><path d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z"/></svg>':"application/pdf"===e?'<svg viewBox="0 0 24 24" width="20" height="20"><path d="M20 2H8c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zm-8.5 7.5c0 .83-.67 1.5-1.5 1.5H9v2H7.5V7H10c.83 0 1.5.67 1.5 1.5v1zm5 2c0 .83-.67 1.5-1.5 1.5h-2.5V7H15c.83 0 1.5.67 1.5 1.5v3zm-5-2H9v1h1.5V9.5zM15 8.5h-1.5v3H15v-3z"/></svg>':e.includes("document")||e.includes("word")?'<svg viewBox="0 0 24 24" width="20" height="20"><path d="M6,2A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2H6Z"/></svg>':'<svg viewBox="0 0 24 24" width="20" height="20"><path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20Z"/></svg>'},formatFileSize:function(e){if(0===e)return"0 Bytes";const t=Math.floor(Math.log(e)/Math.log(1024));return parseFloat((e/Math.pow(1024,t)).toFixed(2))+" "+["Bytes","KB","MB","GB"][t]},getFileAccessUrl:function(e){if(!e)return null;try{return this.getUploadAdapter().getViewUrl.call(this,e)}catch(e){return this.log("Cannot build file URL:",e),null}},getFileTypeFromName:function(e){if(!e)return"unknown";const t=e.split(".").pop().toLowerCase();return["jpg","jpeg","png","gif","bmp","webp"].includes(t)?"image":["pdf","doc","docx","txt","odt"].includes(t)?"document":"unknown"},extractFileName:function(e){return e?e.includes("/")?e.split("/").pop():e:""}},L=l($.config),F=[],A={"server-url":{path:"serverUrl",reinit:!0},namespace:{path:"namespace",reinit:!0},transport:{path:"transport.type",reinit:!0},"shadow-dom":{path:"shadowDom.enabled",reinit:!0},theme:{path:"theme"},"auto-open":{path:"autoOpen"},debug:{path:"debug"},corner:{path:"position.corner"},"offset-x":{path:"position.offset.x"},"offset-y":{path:"position.offset.y"},"company-name":{path:"text.companyName"},"welcome-message":{path:"text.welcomeMessage"},"button-text":{path:"text.buttonText"},"placeholder-text":{path:"text.placeholderText"},"primary-color":{path:"colors.primary"},"secondary-color":{path:"colors.secondary"},"accent-color":{path:"colors.accent"},"background-color":{path:"colors.background"},"text-color":{path:"colors.text"},"button-shape":{path:"button.shape"},"button-icon":{path:"button.icon"},"button-size":{path:"button.size"}},q={colors:"updateColors",text:"updateText",position:"updatePosition",button:"updateButton"};function U(e,t){return e.split(".").reverse().reduce((e,t)=>({[t]:e}),t)}function R(e,t){const s=function(e,t){return t.split(".").reduce((e,t)=>e&&e[t],e)}(L,e);if(null===t)return s;if("boolean"==typeof s)return"false"!==t;if("number"==typeof s){const e=Number(t);return""===t.trim()||isNaN(e)?t:e}return t}function P(e,t){let s={};return Object.keys(A).forEach(n=>{const i=(t||"")+n;if(!e.hasAttribute(i))return;const a=A[n].path;s=h(s,U(a,R(a,e.getAttribute(i))))}),s}e.ChatWidget=$,function(){if(e.customElements&&!e.customElements.get("chat-widget")){class t extends HTMLElement{static get observedAttributes(){return Object.keys(A)}get widget(){return this._widget||null}connectedCallback(){this._widget||this.createWidget()}disconnectedCallback(){Promise.resolve().then(()=>{this.isConnected||this.destroyWidget()})}attributeChangedCallback(e,t,s){if(!this._widget||t===s)return;const n=A[e];if(n.reinit)return this.destroyWidget({keepSession:!0}),void this.createWidget();const i=R(n.path,s),[a,...o]=n.path.split("."),r=q[a];r?this._widget[r](U(o.join("."),i)):this._widget.updateConfig(U(n.path,i))}createWidget(){const e=P(this),t=this.id?"chat_widget_"+this.id:this._namespace;!e.namespace&&t&&(e.namespace=t),this._widget=$.create(e),this._namespace=this._widget.config.namespace,i.forEach(e=>{this._widget.on(e,t=>{this.dispatchEvent(new CustomEvent("chat-widget:"+e,{detail:t,bubbles:!0,composed:!0}))})})}destroyWidget(e){this._widget&&(this._widget.destroy(e),this._widget=null)}}e.customElements.define("chat-widget",t)}}()}(window,document);
\ No newline at end of file
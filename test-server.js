@@ -0,0 +1,1402 @@
+/**
+ * Chat Widget Reference Server
+ * A local backend that implements the widget protocol end to end, with
+ * scriptable fake agents - for developing and demoing the widget without
+ * the real ERP backend.
+ *
+ * Usage:
+ *   npm start
+ *   PORT=4000 AGENT_SCRIPT=./my-agents.js npm start
+ *
+ * Transports (pick one with the widget's `transport.type`):
+ *   socket.io  - default Socket.IO endpoint
+ *   websocket  - ws://localhost:3000/ws, JSON frames { event, data }
+ *   sse        - GET /chat/events?clientId=..., POST /chat/emit
+ *
+ * Files:
+ *   POST /api/private/storage/upload      multipart field "file"
+ *   GET  /api/private/storage/buffer/:name
+ *
+ * Chunked, resumable uploads:
+ *   POST /api/private/storage/uploads     { fileName, fileSize, mimeType }
+ *   GET  /api/private/storage/uploads/:id -> { receivedBytes, location once complete }
+ *   PUT  /api/private/storage/uploads/:id raw chunk, Content-Range header
+ *
+ * S3-style presigned uploads (fileUpload.adapter = "s3"):
+ *   POST /api/private/storage/presign     { fileName, fileSize, mimeType }
+ *   PUT  /s3/:key?expires=..&signature=.. raw file body
+ *   GET  /api/private/storage/files/:key  -> redirect to a presigned GET
+ *
+ * Streamed replies (agents with `stream`, or the admin endpoint):
+ *   message-stream-start { id, sender_type, senderId, timestamp }
+ *   message-stream-delta { id, delta }
+ *   message-stream-end   { id, message, reason: complete | stopped }
+ *   The widget may send message-stream-stop { messageId, chatSessionId }.
+ *
+ * Queue (while waiting for a person):
+ *   queue-update   { position, estimatedWait (seconds), agentsOnline }
+ *   The widget may send queue-fallback { choice: message | callback | wait }.
+ *   QUEUE_AHEAD sets how many fake customers are ahead of each new one.
+ *
+ * Set UPLOAD_TOKEN to require "Authorization: Bearer <token>" on the
+ * upload API (not on the presigned URLs).
+ */
+
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const http = require("http");
+const express = require("express");
+const cors = require("cors");
+const multer = require("multer");
+const { Server } = require("socket.io");
+const { WebSocketServer } = require("ws");
+
+const PORT = process.env.PORT || 3000;
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
+const DEBUG = process.env.DEBUG !== "false";
+const UPLOAD_TOKEN = process.env.UPLOAD_TOKEN || null;
+const QUEUE_AHEAD = Number(process.env.QUEUE_AHEAD || 2);
+const QUEUE_UPDATE_INTERVAL = 3000;
+
+/**
+ * Default fake agents. Override with AGENT_SCRIPT pointing at a module that
+ * exports an array of the same shape.
+ *
+ * - joinDelay:  ms after the customer joins before the agent is assigned
+ * - readDelay:  ms before the agent "reads" a customer message
+ * - typingTime: ms the agent shows as typing before a reply
+ * - greeting:   first message the agent sends after joining
+ * - replies:    first entry whose `postback` equals the payload of a clicked
+ *               button, or whose `match` (string or RegExp) is found in the
+ *               customer message, wins; `reply` may be a function of the text,
+ *               and `handoff: true` hands the chat over to a person
+ * - fallback:   reply when nothing matches (null to stay silent)
+ * - ai:         true for the AI assistant (sender_type 3). Sessions start
+ *               with an AI agent if there is one; people take over on handoff.
+ * - stream:     { tokenDelay } to stream text replies word by word
+ * - avatarUrl:  picture shown in the widget header
+ *
+ * A greeting or reply is either text or a structured message such as
+ * { message, quickReplies: [{ title, payload }] } or
+ * { type: "buttons" | "card" | "carousel", buttons, card, cards }.
+ */
+const DEFAULT_AGENTS = [
+  {
+    id: "assistant",
+    name: "AI Assistant",
+    ai: true,
+    stream: { tokenDelay: 60 },
+    joinDelay: 500,
+    readDelay: 300,
+    typingTime: 800,
+    greeting: {
+      message: "Hi, I'm the virtual assistant. How can I help you today?",
+      quickReplies: [
+        { title: "Track order", payload: "TRACK_ORDER" },
+        { title: "Create ticket", payload: "CREATE_TICKET" },
+        { title: "Talk to a person", payload: "HUMAN" },
+      ],
+    },
+    replies: [
+      {
+        postback: "TRACK_ORDER",
+        reply: {
+          type: "carousel",
+          message: "Here are your recent orders:",
+          cards: [
+            {
+              title: "Order #1042",
+              subtitle: "Shipped",
+              fields: [
+                { label: "Items", value: 3 },
+                { label: "Delivery", value: "Tomorrow" },
+              ],
+              buttons: [{ title: "Track #1042", payload: "TRACK_1042" }],
+            },
+            {
+              title: "Order #1037",
+              subtitle: "Delivered",
+              fields: [
+                { label: "Items", value: 1 },
+                { label: "Delivered", value: "Monday" },
+              ],
+              buttons: [{ title: "Report a problem", payload: "CREATE_TICKET" }],
+            },
+          ],
+        },
+      },
+      {
+        postback: "TRACK_1042",
+        reply: {
+          type: "card",
+          card: {
+            title: "Order #1042",
+            subtitle: "In transit with FastShip",
+            fields: [
+              { label: "Shipped", value: "Yesterday" },
+              { label: "Expected", value: "Tomorrow, 9-12h" },
+            ],
+            buttons: [{ title: "Open tracking page", url: "https://example.com/track/1042" }],
+          },
+        },
+      },
+      {
+        postback: "CREATE_TICKET",
+        reply: {
+          type: "buttons",
+          message: "What is the ticket about?",
+          buttons: [
+            { title: "Delivery problem", payload: "TICKET_DELIVERY" },
+            { title: "Invoice question", payload: "TICKET_INVOICE" },
+            { title: "Something else", payload: "TICKET_OTHER" },
+          ],
+        },
+      },
+      {
+        postback: /^TICKET_/,
+        reply: () => `Ticket #${Math.floor(1000 + Math.random() * 9000)} created. We'll get back to you by email.`,
+      },
+      { postback: "HUMAN", handoff: true, reply: "Sure, I'll connect you with a person." },
+      { match: /human|person|real agent/i, handoff: true, reply: "Sure, I'll connect you with a person." },
+      { match: /order|track/i, reply: "Could you share your order number?" },
+      { match: /invoice|bill/i, reply: "I can help with invoices. Which one?" },
+      { match: /thank/i, reply: "You're welcome! Anything else?" },
+    ],
+    fallback: (text) =>
+      `I'm not sure I understood "${text}". Could you rephrase that, or ask to talk to a person?`,
+  },
+  {
+    id: "agent-1",
+    name: "Sarah",
+    joinDelay: 9000,
+    readDelay: 800,
+    typingTime: 1500,
+    greeting: "Hi, I'm Sarah. I've read your conversation so far - how can I help?",
+    replies: [
+      { match: /order|track/i, reply: "Could you share your order number?" },
+      { match: /invoice|bill/i, reply: "I can help with invoices. Which one?" },
+      { match: /thank/i, reply: "You're welcome! Anything else?" },
+    ],
+    fallback: (text) => `You said: "${text}". Let me check that for you.`,
+  },
+];
+
+function loadAgents() {
+  if (!process.env.AGENT_SCRIPT) return DEFAULT_AGENTS;
+
+  const scriptPath = path.resolve(process.env.AGENT_SCRIPT);
+  log("Loading agent script:", scriptPath);
+  return require(scriptPath);
+}
+
+const agents = loadAgents();
+
+function log() {
+  if (DEBUG) {
+    console.log("[test-server]", ...arguments);
+  }
+}
+
+function generateId(prefix) {
+  return (
+    prefix + "-" + Date.now() + "-" + Math.random().toString(36).substr(2, 9)
+  );
+}
+
+/**
+ * In-memory chat store
+ */
+const store = {
+  sessions: new Map(), // chatSessionId -> session
+  connections: new Map(), // connection id -> connection
+};
+
+/**
+ * Wrap a transport-specific socket so the protocol code can stay the same
+ * for Socket.IO, WebSocket and SSE clients.
+ */
+function createConnection(id, send) {
+  const connection = {
+    id: id,
+    sessionId: null,
+    send: send,
+  };
+  store.connections.set(id, connection);
+  return connection;
+}
+
+function closeConnection(connection) {
+  // A client that reconnected with the same ID already has a new entry
+  if (store.connections.get(connection.id) === connection) {
+    store.connections.delete(connection.id);
+  }
+  const session = store.sessions.get(connection.sessionId);
+  if (session) {
+    session.connections.delete(connection);
+  }
+  log("Connection closed:", connection.id);
+}
+
+function attachToSession(connection, session) {
+  const previous = store.sessions.get(connection.sessionId);
+  if (previous) {
+    previous.connections.delete(connection);
+  }
+  connection.sessionId = session.id;
+  session.connections.add(connection);
+}
+
+/**
+ * Send an event to every connection of a session (e.g. several tabs)
+ */
+function emitToSession(session, event, data) {
+  session.connections.forEach((connection) => connection.send(event, data));
+}
+
+function getSession(chatSessionId) {
+  const session = store.sessions.get(chatSessionId);
+  return session && session.status !== "ended" ? session : null;
+}
+
+/**
+ * Store a message in the session history
+ */
+function addMessage(session, data) {
+  const message = Object.assign(
+    {
+      id: generateId("msg"),
+      chatSessionId: session.id,
+      timestamp: new Date().toISOString(),
+      files: [],
+      is_read: false,
+    },
+    data
+  );
+  session.messages.push(message);
+  return message;
+}
+
+/**
+ * Fake agent behaviour
+ */
+function pickAgent(ai) {
+  const candidates = agents.filter((agent) => !!agent.ai === ai);
+  return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+function getAgentAssignedEvent(session) {
+  return {
+    agentId: session.agent.id,
+    agentName: session.agent.name,
+    agentType: session.agent.ai ? "ai" : "human",
+    avatarUrl: session.agent.avatarUrl || null,
+    chatSessionId: session.id,
+  };
+}
+
+/**
+ * Assign the AI assistant (ai = true) or a person after the agent's
+ * joinDelay
+ */
+function assignAgent(session, ai) {
+  const agent = pickAgent(ai);
+  if (!agent) return;
+
+  // People are busy - wait in the queue until the agent's joinDelay is up
+  if (!ai) {
+    enqueue(session, agent.joinDelay || 0);
+  }
+
+  session.timers.push(
+    setTimeout(() => {
+      if (session.status === "ended") return;
+
+      dequeue(session);
+      session.agent = agent;
+      session.status = "assigned";
+      log(`Agent ${agent.name} assigned to ${session.id}`);
+
+      if (session.handoff) {
+        // The person sees everything said so far, including to the AI
+        log(
+          `Handoff context for ${agent.name}:`,
+          session.messages.length,
+          "messages",
+          session.handoff.context || ""
+        );
+        session.handoff = null;
+      }
+
+      emitToSession(session, "agent-assigned", getAgentAssignedEvent(session));
+
+      if (agent.greeting) {
+        sendAgentReply(session, agent.greeting);
+      }
+
+      // Everything sent before the agent joined is now delivered, and the
+      // agent answers the latest of those messages
+      const pending = session.messages.filter(
+        (msg) => msg.sender_type === 2 && !msg.delivered
+      );
+      if (pending.length > 0) {
+        const ids = pending.map((msg) => {
+          msg.delivered = true;
+          return msg.id;
+        });
+        emitToSession(session, "message-delivered", {
+          sessionId: session.id,
+          messageIds: ids,
+        });
+        scheduleRead(session, ids);
+
+        const reply = getAgentReply(agent, pending[pending.length - 1]);
+        if (reply) {
+          sendAgentReply(session, reply);
+        }
+      }
+    }, agent.joinDelay || 0)
+  );
+}
+
+/**
+ * Fake queue: QUEUE_AHEAD customers ahead who are served evenly over the
+ * wait, plus the real sessions due to be assigned earlier
+ */
+function enqueue(session, wait) {
+  const now = Date.now();
+  session.queue = { enteredAt: now, assignAt: now + wait, timer: null };
+
+  sendQueueUpdate(session);
+  session.queue.timer = setInterval(() => sendQueueUpdate(session), QUEUE_UPDATE_INTERVAL);
+  session.timers.push(session.queue.timer);
+}
+
+function dequeue(session) {
+  if (!session.queue) return;
+  clearInterval(session.queue.timer);
+  session.queue = null;
+}
+
+function getQueueUpdateEvent(session) {
+  const queue = session.queue;
+  const remaining = Math.max(0, queue.assignAt - Date.now());
+  const total = queue.assignAt - queue.enteredAt || 1;
+  const realAhead = Array.from(store.sessions.values()).filter(
+    (other) =>
+      other !== session &&
+      other.status !== "ended" &&
+      other.queue &&
+      other.queue.assignAt < queue.assignAt
+  ).length;
+
+  return {
+    chatSessionId: session.id,
+    position: 1 + realAhead + Math.ceil((QUEUE_AHEAD * remaining) / total),
+    estimatedWait: Math.ceil(remaining / 1000),
+    agentsOnline: agents.filter((agent) => !agent.ai).length,
+  };
+}
+
+function sendQueueUpdate(session) {
+  if (session.status === "ended" || !session.queue) return;
+  emitToSession(session, "queue-update", getQueueUpdateEvent(session));
+}
+
+function scheduleRead(session, messageIds) {
+  const agent = session.agent;
+  session.timers.push(
+    setTimeout(() => {
+      if (session.status === "ended") return;
+
+      session.messages
+        .filter((msg) => messageIds.includes(msg.id))
+        .forEach((msg) => {
+          msg.is_read = true;
+        });
+      emitToSession(session, "message-read", {
+        sessionId: session.id,
+        messageIds: messageIds,
+        readerId: agent.id,
+      });
+    }, agent.readDelay || 0)
+  );
+}
+
+function matchesRule(pattern, value) {
+  return pattern instanceof RegExp
+    ? pattern.test(value)
+    : value.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+function findReplyRule(agent, message) {
+  const text = message.message || "";
+  const postback = message.postback ? String(message.postback.payload) : null;
+
+  return (agent.replies || []).find((entry) => {
+    if (entry.postback !== undefined) {
+      return (
+        postback !== null &&
+        (entry.postback instanceof RegExp
+          ? entry.postback.test(postback)
+          : entry.postback === postback)
+      );
+    }
+    return matchesRule(entry.match, text);
+  });
+}
+
+function getAgentReply(agent, message) {
+  const text = message.message || "";
+  const rule = findReplyRule(agent, message);
+  const reply = rule ? rule.reply : agent.fallback;
+  if (!reply) return null;
+  return typeof reply === "function" ? reply(text, agent) : reply;
+}
+
+/**
+ * Send a reply from getAgentReply or a greeting: text or a structured
+ * message object
+ */
+function sendAgentReply(session, reply) {
+  if (typeof reply === "string") {
+    sendAgentMessage(session, reply);
+  } else {
+    sendAgentMessage(session, reply.message || "", reply);
+  }
+}
+
+/**
+ * Show the agent typing, then deliver the message. Messages are queued
+ * behind each other so the agent never types two at once.
+ */
+function sendAgentMessage(session, text, extra) {
+  const agent = session.agent;
+  const senderType = agent.ai ? 3 : 1;
+  const typingTime = agent.typingTime || 0;
+  const startAt = Math.max(Date.now(), session.agentBusyUntil || 0);
+  session.agentBusyUntil = startAt + typingTime;
+
+  // Plain text from a streaming agent is sent word by word
+  const streamed = agent.stream && text && !extra;
+  const deliverAt = session.agentBusyUntil;
+  if (streamed) {
+    session.agentBusyUntil += tokenize(text).length * (agent.stream.tokenDelay || 0);
+  }
+
+  session.timers.push(
+    setTimeout(() => {
+      if (session.status === "ended" || session.agent !== agent) return;
+
+      emitToSession(session, "user-typing", {
+        sessionId: session.id,
+        senderId: agent.id,
+        sender_type: senderType,
+        isTyping: true,
+      });
+    }, startAt - Date.now())
+  );
+
+  session.timers.push(
+    setTimeout(() => {
+      // Replaced by another agent (handoff) in the meantime
+      if (session.status === "ended" || session.agent !== agent) return;
+
+      emitToSession(session, "user-typing", {
+        sessionId: session.id,
+        senderId: agent.id,
+        sender_type: senderType,
+        isTyping: false,
+      });
+
+      if (streamed) {
+        streamMessage(session, text, {
+          senderType: senderType,
+          senderId: agent.id,
+          tokenDelay: agent.stream.tokenDelay,
+        });
+        return;
+      }
+
+      const message = addMessage(
+        session,
+        Object.assign(
+          {
+            message: text,
+            sender_type: senderType,
+            senderId: agent.id,
+          },
+          extra
+        )
+      );
+      emitToSession(session, "receive-message", message);
+    }, deliverAt - Date.now())
+  );
+}
+
+/**
+ * Words with their trailing whitespace - the "tokens" of a streamed reply
+ */
+function tokenize(text) {
+  return text.match(/\s*\S+\s*/g) || [];
+}
+
+/**
+ * Stream a reply token by token. The message is stored in the history
+ * once the stream ends, or right away if `breakAfter` tokens cuts the
+ * stream off without an end event (to simulate a broken stream).
+ *
+ * options: { senderType, senderId, tokenDelay, breakAfter }
+ */
+function streamMessage(session, text, options) {
+  const tokens = tokenize(text);
+  const message = {
+    id: generateId("msg"),
+    sender_type: options.senderType,
+    senderId: options.senderId,
+    timestamp: new Date().toISOString(),
+  };
+  let sent = 0;
+
+  const finish = (reason) => {
+    clearInterval(timer);
+    session.streams.delete(message.id);
+
+    const stored = addMessage(
+      session,
+      Object.assign({}, message, { message: tokens.slice(0, sent).join("") })
+    );
+    emitToSession(session, "message-stream-end", {
+      id: stored.id,
+      message: stored.message,
+      reason: reason,
+    });
+    log(`Stream ${message.id} ${reason} after ${sent}/${tokens.length} tokens`);
+  };
+
+  const timer = setInterval(() => {
+    if (session.status === "ended") {
+      clearInterval(timer);
+      return;
+    }
+
+    if (options.breakAfter !== undefined && sent >= options.breakAfter) {
+      clearInterval(timer);
+      session.streams.delete(message.id);
+      addMessage(session, Object.assign({}, message, { message: text }));
+      log(`Stream ${message.id} broken after ${sent} tokens`);
+      return;
+    }
+
+    if (sent >= tokens.length) {
+      finish("complete");
+      return;
+    }
+
+    emitToSession(session, "message-stream-delta", {
+      id: message.id,
+      delta: tokens[sent],
+    });
+    sent++;
+  }, options.tokenDelay || 50);
+
+  session.timers.push(timer);
+  session.streams.set(message.id, { finish: finish });
+  emitToSession(
+    session,
+    "message-stream-start",
+    Object.assign({ chatSessionId: session.id }, message)
+  );
+}
+
+function respondAsAgent(session, message) {
+  const agent = session.agent;
+  // Not assigned yet, or waiting for a person - delivered on assignment
+  if (!agent || session.handoff) return;
+
+  message.delivered = true;
+  emitToSession(session, "message-delivered", {
+    sessionId: session.id,
+    messageIds: [message.id],
+  });
+  scheduleRead(session, [message.id]);
+
+  const reply = getAgentReply(agent, message);
+  if (reply) {
+    sendAgentReply(session, reply);
+  }
+
+  const rule = findReplyRule(agent, message);
+  if (rule && rule.handoff) {
+    startHandoff(session, { reason: "Asked in chat" });
+  }
+}
+
+/**
+ * Hand the session from the AI assistant to a person. The request from
+ * the widget carries { reason, lastMessageId, context }.
+ */
+function startHandoff(session, request) {
+  if (session.handoff) {
+    emitToSession(session, "handoff-queued", { chatSessionId: session.id });
+    return;
+  }
+  if (session.agent && !session.agent.ai) return; // already with a person
+
+  if (!agents.some((agent) => !agent.ai)) {
+    emitToSession(session, "handoff-failed", {
+      chatSessionId: session.id,
+      message: "No one is available right now. Please try again later.",
+    });
+    return;
+  }
+
+  session.handoff = {
+    requestedAt: new Date().toISOString(),
+    reason: request.reason || null,
+    lastMessageId: request.lastMessageId || null,
+    context: request.context || null,
+  };
+  log(`Handoff requested in ${session.id}:`, session.handoff.reason || "");
+
+  emitToSession(session, "handoff-queued", { chatSessionId: session.id });
+  assignAgent(session, false);
+}
+
+function endSession(session, reason) {
+  session.status = "ended";
+  session.timers.forEach(clearTimeout);
+  session.timers = [];
+  emitToSession(session, "chat-ended", {
+    chatSessionId: session.id,
+    message: reason || "Chat has ended.",
+  });
+  log("Session ended:", session.id);
+}
+
+/**
+ * Protocol event handlers - one per event the widget emits
+ */
+const handlers = {
+  "customer-join": function (connection, data) {
+    if (!data || !data.name || !data.phone) {
+      connection.send("error", { message: "Name and phone are required" });
+      return;
+    }
+
+    const session = {
+      id: generateId("session"),
+      customerId: generateId("customer"),
+      customer: {
+        name: data.name,
+        phone: data.phone,
+        email: data.email || "",
+      },
+      status: "waiting",
+      agent: null,
+      messages: [],
+      clientMessageIds: new Map(), // clientMessageId -> message (dedup)
+      connections: new Set(),
+      timers: [],
+      streams: new Map(), // message ID -> running stream, see streamMessage
+      queue: null, // { enteredAt, assignAt, timer } while waiting for a person
+      agentBusyUntil: 0,
+    };
+    store.sessions.set(session.id, session);
+    attachToSession(connection, session);
+
+    log(`Customer ${data.name} joined, session ${session.id}`);
+
+    connection.send("chat-started", {
+      data: {
+        customerId: session.customerId,
+        chatSessionId: session.id,
+        customerName: session.customer.name,
+        customerPhone: session.customer.phone,
+        customerEmail: session.customer.email,
+        message: `Thanks ${data.name}! An agent will be with you shortly.`,
+      },
+    });
+
+    assignAgent(session, agents.some((agent) => agent.ai));
+  },
+
+  "customer-resume-session": function (connection, data) {
+    const session = getSession(data && data.chatSessionId);
+    if (!session || session.customerId !== data.customerId) {
+      connection.send("session-resume-error", {
+        message: "Session not found or expired",
+      });
+      return;
+    }
+
+    attachToSession(connection, session);
+    log("Session resumed:", session.id);
+
+    connection.send("session-resumed", {
+      customerId: session.customerId,
+      chatSessionId: session.id,
+      customerName: session.customer.name,
+      customerPhone: session.customer.phone,
+      customerEmail: session.customer.email,
+    });
+
+    if (session.agent) {
+      connection.send("agent-assigned", getAgentAssignedEvent(session));
+    }
+    if (session.handoff) {
+      connection.send("handoff-queued", { chatSessionId: session.id });
+    }
+    if (session.queue) {
+      connection.send("queue-update", getQueueUpdateEvent(session));
+    }
+  },
+
+  "validate-session": function (connection, data) {
+    const session = getSession(data && data.chatSessionId);
+    if (!session) {
+      connection.send("session-resume-error", {
+        message: "Session not found or expired",
+      });
+    }
+  },
+
+  "get-chat-history": function (connection, data) {
+    const session = getSession(data && data.chatSessionId);
+    if (!session) {
+      connection.send("chat-history", { messages: [] });
+      return;
+    }
+
+    let messages = session.messages;
+
+    // Only the messages after the last one the client has seen
+    if (data.afterMessageId) {
+      const index = messages.findIndex((msg) => msg.id === data.afterMessageId);
+      if (index !== -1) {
+        messages = messages.slice(index + 1);
+      }
+    } else if (data.after) {
+      const after = new Date(data.after);
+      messages = messages.filter((msg) => new Date(msg.timestamp) > after);
+    }
+
+    connection.send("chat-history", {
+      chatSessionId: session.id,
+      messages: messages,
+    });
+  },
+
+  "send-message": function (connection, data) {
+    const clientMessageId = data && data.clientMessageId;
+    const session = getSession(data && data.chatSessionId);
+
+    if (!session) {
+      connection.send("message-error", {
+        clientMessageId: clientMessageId,
+        message: "Chat session not available",
+      });
+      return;
+    }
+
+    const hasFiles = Array.isArray(data.files) && data.files.length > 0;
+    if (!data.message && !hasFiles) {
+      connection.send("message-error", {
+        clientMessageId: clientMessageId,
+        message: "Message is empty",
+      });
+      return;
+    }
+
+    // Resent from the outbox - acknowledge again without storing twice
+    const existing = clientMessageId && session.clientMessageIds.get(clientMessageId);
+    if (existing) {
+      log("Duplicate message ignored:", clientMessageId);
+      connection.send("message-sent", {
+        data: {
+          messageId: existing.id,
+          clientMessageId: clientMessageId,
+          status: existing.delivered ? "delivered" : "sent",
+          timestamp: existing.timestamp,
+        },
+      });
+      return;
+    }
+
+    const message = addMessage(session, {
+      message: data.message || "",
+      sender_type: 2,
+      senderId: session.customerId,
+      clientMessageId: clientMessageId,
+      source: data.source,
+      postback: data.postback || null,
+      files: (data.files || []).map((file) => ({
+        file_name: file.fileName || file.file_name,
+        uri: file.uri,
+      })),
+    });
+    if (clientMessageId) {
+      session.clientMessageIds.set(clientMessageId, message);
+    }
+
+    connection.send("message-sent", {
+      data: {
+        messageId: message.id,
+        clientMessageId: clientMessageId,
+        status: "sent",
+        timestamp: message.timestamp,
+      },
+    });
+
+    respondAsAgent(session, message);
+  },
+
+  "typing-start": function (connection, data) {
+    log("Customer typing in", data && data.sessionId);
+  },
+
+  "typing-stop": function (connection, data) {
+    log("Customer stopped typing in", data && data.sessionId);
+  },
+
+  "mark-message-as-read": function (connection, data) {
+    const session = getSession(data && data.sessionId);
+    const message =
+      session && session.messages.find((msg) => msg.id === data.messageId);
+
+    if (message) {
+      message.is_read = true;
+    }
+
+    connection.send("mark-message-as-read-response", {
+      success: !!message,
+      data: { messageId: data && data.messageId, sessionId: data && data.sessionId },
+    });
+  },
+
+  "handoff-request": function (connection, data) {
+    const session = getSession(data && data.chatSessionId);
+    if (!session) {
+      connection.send("handoff-failed", { message: "Chat session not available" });
+      return;
+    }
+    startHandoff(session, data);
+  },
+
+  "queue-fallback": function (connection, data) {
+    const session = getSession(data && data.chatSessionId);
+    if (!session) return;
+
+    log(`Queue fallback in ${session.id}:`, data.choice);
+
+    if (data.choice === "callback") {
+      session.callback = {
+        phone: data.phone || session.customer.phone,
+        requestedAt: new Date().toISOString(),
+      };
+      endSession(session, `Thanks! We'll call you back at ${session.callback.phone}.`);
+    } else if (data.choice === "message") {
+      // Stays in the queue; the agent answers everything on assignment
+      session.leftMessage = true;
+    }
+  },
+
+  "message-stream-stop": function (connection, data) {
+    const session = getSession(data && data.chatSessionId);
+    const stream = session && session.streams.get(data.messageId);
+    if (stream) {
+      stream.finish("stopped");
+    }
+  },
+
+  "customer-end-chat": function (connection, data) {
+    const session = getSession(data && data.chatSessionId);
+    if (!session) {
+      connection.send("end-chat-error", { message: "Chat session not found" });
+      return;
+    }
+    endSession(session, "Chat ended by customer. Thank you for contacting us!");
+  },
+};
+
+function handleEvent(connection, event, data) {
+  const handler = handlers[event];
+  if (!handler) {
+    log("Unknown event:", event);
+    return;
+  }
+
+  try {
+    handler(connection, data || {});
+  } catch (error) {
+    console.error(`[test-server] "${event}" handler failed:`, error);
+    connection.send("error", { message: "Internal server error" });
+  }
+}
+
+/**
+ * HTTP app - file storage, SSE transport, demo pages
+ */
+const app = express();
+app.use(cors({ origin: true, credentials: true }));
+app.use(express.json({ limit: "1mb" }));
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+// Stands in for the ERP's auth on the upload API when UPLOAD_TOKEN is set
+function requireUploadAuth(req, res, next) {
+  if (UPLOAD_TOKEN && req.get("Authorization") !== "Bearer " + UPLOAD_TOKEN) {
+    res.status(401).json({ message: "Unauthorized" });
+    return;
+  }
+  next();
+}
+
+app.use(
+  ["/api/private/storage/upload", "/api/private/storage/uploads", "/api/private/storage/presign"],
+  requireUploadAuth
+);
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: function (req, file, cb) {
+      const safeName = file.originalname.replace(/[^\w.-]+/g, "_");
+      cb(null, Date.now() + "-" + safeName);
+    },
+  }),
+  limits: { fileSize: 50 * 1024 * 1024 },
+});
+
+app.post("/api/private/storage/upload", upload.single("file"), (req, res) => {
+  if (!req.file) {
+    res.status(400).json({ message: "No file uploaded" });
+    return;
+  }
+
+  log("File uploaded:", req.file.filename);
+  res.json({
+    data: {
+      location: "uploads/" + req.file.filename,
+      fileName: req.file.originalname,
+      size: req.file.size,
+      mimeType: req.file.mimetype,
+    },
+  });
+});
+
+/**
+ * Chunked uploads. Chunks must arrive in order; a chunk that doesn't start
+ * at `receivedBytes` is refused with 409 so the client can realign. The
+ * file moves next to the regular uploads once the last byte arrives. The
+ * finished upload is kept for a while, so a client that lost the response
+ * to its last chunk gets the location when it asks again.
+ */
+const PARTIAL_DIR = path.join(UPLOAD_DIR, ".partial");
+const MAX_CHUNKED_SIZE = 500 * 1024 * 1024;
+const COMPLETED_UPLOAD_TTL = 60 * 60 * 1000;
+const chunkedUploads = new Map(); // uploadId -> { fileName, fileSize, mimeType, receivedBytes, path, location }
+
+fs.mkdirSync(PARTIAL_DIR, { recursive: true });
+
+function chunkedUploadStatus(uploadId, entry) {
+  const status = {
+    uploadId: uploadId,
+    fileName: entry.fileName,
+    fileSize: entry.fileSize,
+    receivedBytes: entry.receivedBytes,
+  };
+  if (entry.location) {
+    status.location = entry.location;
+    status.size = entry.fileSize;
+    status.mimeType = entry.mimeType;
+  }
+  return status;
+}
+
+app.post("/api/private/storage/uploads", (req, res) => {
+  const { fileName, fileSize, mimeType } = req.body || {};
+
+  if (!fileName || !Number.isInteger(fileSize) || fileSize <= 0) {
+    res.status(400).json({ message: "fileName and fileSize are required" });
+    return;
+  }
+  if (fileSize > MAX_CHUNKED_SIZE) {
+    res.status(413).json({ message: "File too large" });
+    return;
+  }
+
+  const uploadId = generateId("upload");
+  const entry = {
+    fileName: fileName,
+    fileSize: fileSize,
+    mimeType: mimeType || "application/octet-stream",
+    receivedBytes: 0,
+    path: path.join(PARTIAL_DIR, uploadId),
+  };
+  fs.writeFileSync(entry.path, "");
+  chunkedUploads.set(uploadId, entry);
+
+  log("Chunked upload started:", uploadId, fileName, fileSize, "bytes");
+  res.status(201).json({ data: chunkedUploadStatus(uploadId, entry) });
+});
+
+app.get("/api/private/storage/uploads/:id", (req, res) => {
+  const entry = chunkedUploads.get(req.params.id);
+  if (!entry) {
+    res.status(404).json({ message: "Upload not found" });
+    return;
+  }
+  res.json({ data: chunkedUploadStatus(req.params.id, entry) });
+});
+
+app.put(
+  "/api/private/storage/uploads/:id",
+  express.raw({ type: () => true, limit: "20mb" }),
+  (req, res) => {
+    const uploadId = req.params.id;
+    const entry = chunkedUploads.get(uploadId);
+    if (!entry) {
+      res.status(404).json({ message: "Upload not found" });
+      return;
+    }
+
+    if (entry.location) {
+      // A retried last chunk - the upload is already complete
+      res.json({ data: chunkedUploadStatus(uploadId, entry) });
+      return;
+    }
+
+    const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(
+      req.get("Content-Range") || ""
+    );
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (!range || Number(range[3]) !== entry.fileSize) {
+      res.status(400).json({ message: "Invalid Content-Range" });
+      return;
+    }
+
+    const start = Number(range[1]);
+    const end = Number(range[2]);
+    if (start !== entry.receivedBytes || end - start + 1 !== chunk.length) {
+      // Out of order or duplicate - tell the client where to continue
+      res.status(409).json({
+        message: "Unexpected chunk",
+        data: chunkedUploadStatus(uploadId, entry),
+      });
+      return;
+    }
+
+    fs.appendFileSync(entry.path, chunk);
+    entry.receivedBytes += chunk.length;
+
+    if (entry.receivedBytes < entry.fileSize) {
+      res.json({ data: chunkedUploadStatus(uploadId, entry) });
+      return;
+    }
+
+    const safeName = entry.fileName.replace(/[^\w.-]+/g, "_");
+    const fileName = Date.now() + "-" + safeName;
+    fs.renameSync(entry.path, path.join(UPLOAD_DIR, fileName));
+    entry.location = "uploads/" + fileName;
+    setTimeout(() => chunkedUploads.delete(uploadId), COMPLETED_UPLOAD_TTL).unref();
+
+    log("Chunked upload complete:", uploadId, "->", fileName);
+    res.json({ data: chunkedUploadStatus(uploadId, entry) });
+  }
+);
+
+/**
+ * A fake S3 bucket. Presigned URLs carry an expiry and an HMAC of method,
+ * key and expiry, like real presigned URLs do; uploads and downloads on
+ * /s3 need no other auth.
+ */
+const OBJECT_DIR = path.join(UPLOAD_DIR, "objects");
+const PRESIGN_SECRET = crypto.randomBytes(16).toString("hex");
+const PRESIGN_TTL = 15 * 60; // seconds
+
+fs.mkdirSync(OBJECT_DIR, { recursive: true });
+
+function signObjectUrl(req, method, key) {
+  const expires = Math.floor(Date.now() / 1000) + PRESIGN_TTL;
+  const signature = crypto
+    .createHmac("sha256", PRESIGN_SECRET)
+    .update(`${method}:${key}:${expires}`)
+    .digest("hex");
+  return `${req.protocol}://${req.get("host")}/s3/${encodeURIComponent(key)}?expires=${expires}&signature=${signature}`;
+}
+
+function verifyObjectUrl(req, method) {
+  const expires = Number(req.query.expires);
+  const expected = crypto
+    .createHmac("sha256", PRESIGN_SECRET)
+    .update(`${method}:${req.params.key}:${expires}`)
+    .digest("hex");
+  return (
+    expires > Date.now() / 1000 &&
+    typeof req.query.signature === "string" &&
+    req.query.signature === expected
+  );
+}
+
+app.post("/api/private/storage/presign", (req, res) => {
+  const { fileName, fileSize } = req.body || {};
+  if (!fileName || !Number.isInteger(fileSize) || fileSize <= 0) {
+    res.status(400).json({ message: "fileName and fileSize are required" });
+    return;
+  }
+  if (fileSize > MAX_CHUNKED_SIZE) {
+    res.status(413).json({ message: "File too large" });
+    return;
+  }
+
+  const key = Date.now() + "-" + fileName.replace(/[^\w.-]+/g, "_");
+  log("Presigned upload:", key);
+  res.json({
+    data: {
+      key: key,
+      method: "PUT",
+      uploadUrl: signObjectUrl(req, "PUT", key),
+    },
+  });
+});
+
+app.put(
+  "/s3/:key",
+  express.raw({ type: () => true, limit: MAX_CHUNKED_SIZE }),
+  (req, res) => {
+    if (!verifyObjectUrl(req, "PUT")) {
+      res.status(403).end();
+      return;
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    fs.writeFileSync(path.join(OBJECT_DIR, path.basename(req.params.key)), body);
+    log("Object stored:", req.params.key, body.length, "bytes");
+    // Like S3: an empty 200 with an ETag
+    res.set("ETag", `"${crypto.createHash("md5").update(body).digest("hex")}"`);
+    res.status(200).end();
+  }
+);
+
+app.get("/s3/:key", (req, res) => {
+  const filePath = path.join(OBJECT_DIR, path.basename(req.params.key));
+  if (!verifyObjectUrl(req, "GET")) {
+    res.status(403).end();
+    return;
+  }
+  if (!fs.existsSync(filePath)) {
+    res.status(404).end();
+    return;
+  }
+  res.sendFile(filePath);
+});
+
+app.get("/api/private/storage/files/:key", (req, res) => {
+  res.redirect(302, signObjectUrl(req, "GET", req.params.key));
+});
+
+app.get("/api/private/storage/buffer/:name", (req, res) => {
+  const filePath = path.join(UPLOAD_DIR, path.basename(req.params.name));
+  if (!fs.existsSync(filePath)) {
+    res.status(404).json({ message: "File not found" });
+    return;
+  }
+  res.sendFile(filePath);
+});
+
+// SSE transport: one event stream per client, events posted back
+app.get("/chat/events", (req, res) => {
+  const clientId = req.query.clientId;
+  if (!clientId) {
+    res.status(400).end();
+    return;
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+
+  const connection = createConnection(clientId, (event, data) => {
+    res.write(`data: ${JSON.stringify({ event: event, data: data })}\n\n`);
+  });
+  log("SSE client connected:", clientId);
+
+  const keepAlive = setInterval(() => res.write(": ping\n\n"), 25000);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    closeConnection(connection);
+  });
+});
+
+app.post("/chat/emit", (req, res) => {
+  const { clientId, event, data } = req.body || {};
+  const connection = store.connections.get(clientId);
+  if (!connection) {
+    res.status(404).json({ message: "Unknown client" });
+    return;
+  }
+
+  handleEvent(connection, event, data);
+  res.status(204).end();
+});
+
+// Demo admin endpoint: send a message as the assigned agent. The body may
+// be any structured message, e.g. {"type":"buttons","buttons":[...]}
+//   curl -X POST localhost:3000/admin/sessions/<id>/messages -H 'Content-Type: application/json' -d '{"message":"Hi"}'
+app.post("/admin/sessions/:id/messages", (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session || !session.agent) {
+    res.status(404).json({ message: "No active session with an agent" });
+    return;
+  }
+
+  sendAgentReply(session, req.body || {});
+  res.status(202).json({ ok: true });
+});
+
+// Demo admin endpoint: stream a reply as the AI assistant. Set breakAfter
+// to cut the stream off after that many words and test recovery.
+//   curl -X POST localhost:3000/admin/sessions/<id>/stream -H 'Content-Type: application/json' -d '{"message":"Hello there","tokenDelay":100}'
+app.post("/admin/sessions/:id/stream", (req, res) => {
+  const session = getSession(req.params.id);
+  const body = req.body || {};
+  if (!session) {
+    res.status(404).json({ message: "Session not found" });
+    return;
+  }
+  if (!body.message) {
+    res.status(400).json({ message: "message is required" });
+    return;
+  }
+
+  streamMessage(session, String(body.message), {
+    senderType: 3,
+    senderId: session.agent ? session.agent.id : "ai-assistant",
+    tokenDelay: body.tokenDelay,
+    breakAfter: body.breakAfter,
+  });
+  res.status(202).json({ ok: true });
+});
+
+// Demo admin endpoint: send a queue update, e.g. to test the widget's
+// fallback options with a long wait
+//   curl -X POST localhost:3000/admin/sessions/<id>/queue -H 'Content-Type: application/json' -d '{"position":4,"estimatedWait":600,"agentsOnline":0}'
+app.post("/admin/sessions/:id/queue", (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) {
+    res.status(404).json({ message: "Session not found" });
+    return;
+  }
+
+  emitToSession(
+    session,
+    "queue-update",
+    Object.assign({}, req.body, { chatSessionId: session.id })
+  );
+  res.status(202).json({ ok: true });
+});
+
+app.post("/admin/sessions/:id/end", (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) {
+    res.status(404).json({ message: "Session not found" });
+    return;
+  }
+
+  endSession(session, req.body && req.body.message);
+  res.json({ ok: true });
+});
+
+app.get("/admin/sessions", (req, res) => {
+  res.json(
+    Array.from(store.sessions.values()).map((session) => ({
+      id: session.id,
+      customer: session.customer,
+      status: session.status,
+      agent: session.agent && session.agent.name,
+      queuePosition: session.queue ? getQueueUpdateEvent(session).position : null,
+      messages: session.messages.length,
+      connections: session.connections.size,
+    }))
+  );
+});
+
+// Serve the widget and demo page - only these files, so uploads and the
+// private bucket stay behind the storage API
+const PUBLIC_FILES = [
+  "index.html",
+  "chat-widget.js",
+  "chat-widget.min.js",
+  "chat-widget.css",
+  "chat-widget-loader.js",
+];
+
+PUBLIC_FILES.forEach((file) => {
+  app.get("/" + file, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
+app.get("/", (req, res) => res.sendFile(path.join(__dirname, "index.html")));
+
+/**
+ * Server and socket transports
+ */
+const server = http.createServer(app);
+
+const io = new Server(server, {
+  cors: { origin: true, credentials: true },
+});
+
+io.on("connection", (socket) => {
+  log("Socket.IO client connected:", socket.id);
+  const connection = createConnection(socket.id, (event, data) =>
+    socket.emit(event, data)
+  );
+
+  socket.onAny((event, data) => handleEvent(connection, event, data));
+  socket.on("disconnect", () => closeConnection(connection));
+});
+
+// Route upgrades on /ws to the plain WebSocket server; Socket.IO handles
+// its own path
+const wss = new WebSocketServer({ noServer: true });
+
+server.on("upgrade", (req, socket, head) => {
+  if (req.url.split("?")[0] !== "/ws") return;
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    wss.emit("connection", ws, req);
+  });
+});
+
+wss.on("connection", (ws) => {
+  const connection = createConnection(generateId("ws"), (event, data) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({ event: event, data: data }));
+    }
+  });
+  log("WebSocket client connected:", connection.id);
+
+  ws.on("message", (raw) => {
+    let frame;
+    try {
+      frame = JSON.parse(raw);
+    } catch (error) {
+      return;
+    }
+    if (frame && frame.event) {
+      handleEvent(connection, frame.event, frame.data);
+    }
+  });
+  ws.on("close", () => closeConnection(connection));
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Chat widget test server running on http://localhost:${PORT}`);
+    console.log(`Demo page: http://localhost:${PORT}/index.html`);
+  });
+}
+
+module.exports = { app, server, handlers, store };
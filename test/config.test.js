@@ -0,0 +1,142 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadWidget } = require("./helpers");
+
+/**
+ * Create a widget and collect the configuration warnings it logs
+ */
+function createWidget(options) {
+  const window = loadWidget();
+  const warnings = [];
+  window.console.warn = (message) => warnings.push(String(message));
+
+  const widget = window.ChatWidget.create(
+    Object.assign({ serverUrl: "http://chat.test" }, options)
+  );
+  return { window: window, widget: widget, warnings: warnings };
+}
+
+test("nested options are merged into the defaults", () => {
+  const { widget, warnings } = createWidget({
+    colors: { primary: "#000000" },
+    text: { companyName: "Acme" },
+  });
+
+  assert.equal(widget.config.colors.primary, "#000000");
+  assert.equal(widget.config.colors.secondary, "#764ba2");
+  assert.equal(widget.config.text.companyName, "Acme");
+  assert.equal(typeof widget.config.text.welcomeMessage, "string");
+  assert.deepEqual(warnings, []);
+
+  widget.destroy();
+});
+
+test("arrays replace the default instead of being merged", () => {
+  const { widget } = createWidget({
+    fileUpload: { allowedExtensions: [".png"] },
+  });
+
+  assert.deepEqual(Array.from(widget.config.fileUpload.allowedExtensions), [".png"]);
+  widget.destroy();
+});
+
+test("later updates merge into the current config", () => {
+  const { widget } = createWidget({ colors: { primary: "#000000" } });
+
+  widget.updateConfig({ colors: { secondary: "#111111" } });
+
+  assert.equal(widget.config.colors.primary, "#000000");
+  assert.equal(widget.config.colors.secondary, "#111111");
+  widget.destroy();
+});
+
+test("instances don't share nested config objects", () => {
+  const { window, widget } = createWidget({ namespace: "first" });
+  const other = window.ChatWidget.create({
+    serverUrl: "http://chat.test",
+    namespace: "second",
+  });
+
+  widget.config.colors.primary = "#000000";
+  widget.config.fileUpload.allowedExtensions.push(".exe");
+
+  assert.equal(other.config.colors.primary, "#667eea");
+  assert.ok(!other.config.fileUpload.allowedExtensions.includes(".exe"));
+
+  widget.destroy();
+  other.destroy();
+});
+
+test("values of the wrong type are dropped with a warning", () => {
+  const { widget, warnings } = createWidget({
+    autoOpen: "yes",
+    colors: "red",
+    fileUpload: { maxFileSize: "10MB" },
+  });
+
+  assert.equal(widget.config.autoOpen, false);
+  assert.equal(widget.config.colors.primary, "#667eea");
+  assert.equal(widget.config.fileUpload.maxFileSize, 10 * 1024 * 1024);
+  assert.deepEqual(warnings, [
+    'ChatWidget: Invalid configuration - "autoOpen" should be boolean, got string',
+    'ChatWidget: Invalid configuration - "colors" should be an object, got string',
+    'ChatWidget: Invalid configuration - "fileUpload.maxFileSize" should be number, got string',
+  ]);
+
+  widget.destroy();
+});
+
+test("values outside an enum are dropped with a warning", () => {
+  const { widget, warnings } = createWidget({
+    theme: "neon",
+    position: { corner: "middle" },
+  });
+
+  assert.equal(widget.config.theme, "default");
+  assert.equal(widget.config.position.corner, "bottom-right");
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /"theme" must be one of "default", "dark", got "neon"/);
+
+  widget.destroy();
+});
+
+test("options that allow null accept it", () => {
+  const { widget, warnings } = createWidget({
+    button: { customIcon: null },
+    fileUpload: { headers: { Authorization: "Bearer token" } },
+  });
+
+  assert.equal(widget.config.button.customIcon, null);
+  assert.equal(widget.config.fileUpload.headers.Authorization, "Bearer token");
+  assert.deepEqual(warnings, []);
+
+  widget.destroy();
+});
+
+test("unknown options are kept but reported", () => {
+  const { widget, warnings } = createWidget({ colours: { primary: "#000" } });
+
+  assert.equal(widget.config.colours.primary, "#000");
+  assert.deepEqual(warnings, [
+    'ChatWidget: Invalid configuration - unknown option "colours"',
+  ]);
+
+  widget.destroy();
+});
+
+test("v1 options are migrated, with text.* winning over legacy keys", () => {
+  const { widget, warnings } = createWidget({
+    position: "bottom-left",
+    companyName: "Legacy",
+    buttonText: "Old button",
+    text: { buttonText: "New button" },
+  });
+
+  assert.equal(widget.config.position.corner, "bottom-left");
+  assert.equal(widget.config.text.companyName, "Legacy");
+  assert.equal(widget.config.text.buttonText, "New button");
+  assert.equal(warnings.length, 3);
+  assert.ok(warnings.every((warning) => /is deprecated/.test(warning)));
+
+  widget.destroy();
+});
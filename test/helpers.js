@@ -0,0 +1,124 @@
+/**
+ * Loads chat-widget.js into a jsdom page with a fake Socket.IO client, so
+ * tests can drive the widget the way the server would
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const SOURCE = fs.readFileSync(
+  path.join(__dirname, "..", "chat-widget.js"),
+  "utf8"
+);
+
+/**
+ * Stand-in for a Socket.IO socket. `emitted` records what the widget sent;
+ * `fire` delivers a server event to the widget.
+ */
+function createFakeSocket(url) {
+  const handlers = {};
+  const socket = {
+    url: url,
+    id: "socket-test",
+    connected: false,
+    emitted: [],
+    io: { on() {}, opts: {}, reconnection() {} },
+
+    on(event, handler) {
+      (handlers[event] = handlers[event] || []).push(handler);
+      return socket;
+    },
+    off() {
+      return socket;
+    },
+    emit(event, data) {
+      socket.emitted.push({ event: event, data: data });
+      return socket;
+    },
+    connect() {
+      return socket;
+    },
+    disconnect() {
+      socket.connected = false;
+      return socket;
+    },
+
+    fire(event, data) {
+      if (event === "connect") socket.connected = true;
+      if (event === "disconnect") socket.connected = false;
+      (handlers[event] || []).forEach((handler) => handler(data));
+    },
+    sent(event) {
+      return socket.emitted
+        .filter((entry) => entry.event === event)
+        .map((entry) => entry.data);
+    },
+  };
+  return socket;
+}
+
+/**
+ * A fresh page with ChatWidget loaded. Sockets the widget opens are
+ * collected in `window.sockets`.
+ */
+function loadWidget(options) {
+  const dom = new JSDOM("<!DOCTYPE html><html><body></body></html>", {
+    url: "http://localhost/",
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+  });
+  const window = dom.window;
+
+  window.sockets = [];
+  window.io = function (url) {
+    const socket = createFakeSocket(url);
+    window.sockets.push(socket);
+    return socket;
+  };
+
+  // jsdom has no CSS.escape; backslash-escaping every special character is
+  // enough for the quoted attribute selectors the widget builds
+  if (!window.CSS) {
+    window.CSS = {
+      escape: (value) => String(value).replace(/[^\w-]/g, "\\$&"),
+    };
+  }
+
+  if (options && options.before) {
+    options.before(window);
+  }
+
+  window.eval(SOURCE);
+  return window;
+}
+
+/**
+ * Widget with a started chat on a connected fake socket
+ */
+function startChat(window, options) {
+  const widget = window.ChatWidget.create(
+    Object.assign(
+      { serverUrl: "http://chat.test", lazyLoad: { enabled: false } },
+      options
+    )
+  );
+  const socket = window.sockets[window.sockets.length - 1];
+
+  socket.fire("connect");
+  socket.fire("chat-started", {
+    data: { customerId: "customer-1", chatSessionId: "session-1", message: "Hi" },
+  });
+
+  return { widget: widget, socket: socket };
+}
+
+/**
+ * Type a message into the input and send it
+ */
+function sendText(widget, text) {
+  widget.elements.input.value = text;
+  widget.handleSendMessage();
+}
+
+module.exports = { loadWidget, startChat, sendText };
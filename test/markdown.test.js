@@ -0,0 +1,116 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadWidget } = require("./helpers");
+
+const SENDER = { customer: 2, agent: 1, system: 0 };
+
+const window = loadWidget();
+const widget = window.ChatWidget.create({ serverUrl: "http://chat.test" });
+
+after(() => widget.destroy());
+
+/**
+ * Render a message the way its bubble would, and parse the result
+ */
+function render(message, sender) {
+  const html = widget.formatMessageText({
+    message: message,
+    sender_type: SENDER[sender || "agent"],
+  });
+  const container = window.document.createElement("div");
+  container.innerHTML = html;
+  return { html: html, container: container };
+}
+
+/**
+ * Every element and attribute name in rendered output
+ */
+function markup(container) {
+  return Array.from(container.querySelectorAll("*")).map((el) =>
+    [el.tagName.toLowerCase()]
+      .concat(Array.from(el.attributes).map((attr) => attr.name))
+      .join(" ")
+  );
+}
+
+test("HTML in a message is shown as text", () => {
+  const { container } = render(
+    '<img src=x onerror="alert(1)"> **<script>alert(2)</script>**'
+  );
+
+  assert.deepEqual(markup(container), ["div class", "p", "strong"]);
+  assert.equal(
+    container.textContent,
+    '<img src=x onerror="alert(1)"> <script>alert(2)</script>'
+  );
+});
+
+test("basic Markdown is rendered", () => {
+  const { html } = render("**bold** and *italic*\n\n- one\n- two\n\n1. first");
+
+  assert.equal(
+    html,
+    '<div class="message-markdown"><p><strong>bold</strong> and <em>italic</em></p>' +
+      "<ul><li>one</li><li>two</li></ul><ol><li>first</li></ol></div>"
+  );
+});
+
+test("code blocks keep their content verbatim and escaped", () => {
+  const { container } = render("```\n**not bold** <b>x</b>\n```");
+
+  assert.deepEqual(markup(container), ["div class", "pre", "code"]);
+  assert.equal(container.querySelector("code").textContent, "**not bold** <b>x</b>");
+});
+
+test("only http(s) and mailto links become links", () => {
+  const { container } = render(
+    "[ok](https://example.com) [mail](mailto:a@example.com) [bad](javascript:alert(1)) [data](data:text/html,x)"
+  );
+
+  const hrefs = Array.from(container.querySelectorAll("a")).map((a) =>
+    a.getAttribute("href")
+  );
+  assert.deepEqual(hrefs, ["https://example.com", "mailto:a@example.com"]);
+  assert.match(container.textContent, /bad data$/);
+});
+
+test("quotes can't break out of a link's href", () => {
+  const { container } = render(
+    '[x](https://example.com/"onmouseover="alert(1)) https://example.com/a"onclick="alert(2)'
+  );
+
+  const links = Array.from(container.querySelectorAll("a"));
+  assert.equal(links.length, 2);
+  links.forEach((link) => {
+    assert.deepEqual(
+      Array.from(link.attributes).map((attr) => attr.name),
+      ["href", "class", "target", "rel"]
+    );
+  });
+  assert.equal(links[1].getAttribute("href"), "https://example.com/a");
+});
+
+test("placeholder characters in a message can't pull in generated markup", () => {
+  const { container } = render("`code` \u00000\u0000 [x](https://example.com)");
+
+  assert.equal(container.querySelectorAll("code").length, 1);
+  assert.equal(container.querySelectorAll("a").length, 1);
+});
+
+test("links mode only links URLs and keeps line breaks", () => {
+  const { html, container } = render(
+    "see https://example.com.\n**not bold** <i>x</i>",
+    "customer"
+  );
+
+  assert.deepEqual(markup(container), ["a href class target rel", "br"]);
+  assert.match(html, /\*\*not bold\*\* &lt;i&gt;x&lt;\/i&gt;$/);
+  assert.equal(container.querySelector("a").getAttribute("href"), "https://example.com");
+});
+
+test("text mode escapes everything", () => {
+  const { container } = render("<b>https://example.com</b>", "system");
+
+  assert.deepEqual(markup(container), []);
+  assert.equal(container.textContent, "<b>https://example.com</b>");
+});
@@ -0,0 +1,151 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadWidget, startChat, sendText } = require("./helpers");
+
+function storedOutbox(window, namespace) {
+  const stored = window.localStorage.getItem(namespace + "_outbox");
+  return stored ? JSON.parse(stored) : null;
+}
+
+test("messages written while offline are stored for the session", () => {
+  const window = loadWidget();
+  const { widget, socket } = startChat(window, { namespace: "outbox" });
+
+  socket.fire("disconnect", "transport close");
+  sendText(widget, "first");
+  sendText(widget, "second");
+
+  const outbox = storedOutbox(window, "outbox");
+  assert.equal(outbox.chatSessionId, "session-1");
+  assert.deepEqual(
+    outbox.messages.map((entry) => entry.payload.message),
+    ["first", "second"]
+  );
+  assert.deepEqual(socket.sent("send-message"), []);
+
+  widget.destroy();
+});
+
+test("stored messages are resent in order on reconnect", () => {
+  const window = loadWidget();
+  const { widget, socket } = startChat(window, { namespace: "outbox" });
+
+  socket.fire("disconnect", "transport close");
+  sendText(widget, "first");
+  sendText(widget, "second");
+  socket.fire("connect");
+
+  const sent = socket.sent("send-message");
+  assert.deepEqual(sent.map((payload) => payload.message), ["first", "second"]);
+  assert.deepEqual(
+    storedOutbox(window, "outbox").messages.map((entry) => entry.attempts),
+    [1, 1]
+  );
+
+  widget.destroy();
+});
+
+test("acknowledged messages leave the stored outbox", () => {
+  const window = loadWidget();
+  const { widget, socket } = startChat(window, { namespace: "outbox" });
+
+  sendText(widget, "hello");
+  const [payload] = socket.sent("send-message");
+  assert.equal(storedOutbox(window, "outbox").messages.length, 1);
+
+  socket.fire("message-sent", {
+    data: { clientMessageId: payload.clientMessageId, messageId: "message-1" },
+  });
+
+  assert.equal(storedOutbox(window, "outbox"), null);
+  widget.destroy();
+});
+
+test("the outbox is restored after a reload and sent once connected", () => {
+  const window = loadWidget();
+  window.localStorage.setItem(
+    "reload_session",
+    JSON.stringify({
+      customerId: "customer-1",
+      chatSessionId: "session-1",
+      timestamp: Date.now(),
+    })
+  );
+  window.localStorage.setItem(
+    "reload_outbox",
+    JSON.stringify({
+      chatSessionId: "session-1",
+      messages: [
+        {
+          clientMessageId: "client-1",
+          payload: { message: "from before", clientMessageId: "client-1" },
+          queuedAt: Date.now(),
+          attempts: 0,
+        },
+      ],
+    })
+  );
+
+  const widget = window.ChatWidget.create({
+    serverUrl: "http://chat.test",
+    namespace: "reload",
+  });
+  const socket = window.sockets[0];
+  assert.equal(widget.state.outbox.length, 1);
+
+  socket.fire("connect");
+  assert.deepEqual(
+    socket.sent("send-message").map((payload) => payload.clientMessageId),
+    ["client-1"]
+  );
+
+  widget.destroy();
+});
+
+test("an outbox stored for another session is discarded", () => {
+  const window = loadWidget();
+  window.localStorage.setItem(
+    "stale_session",
+    JSON.stringify({
+      customerId: "customer-1",
+      chatSessionId: "session-2",
+      timestamp: Date.now(),
+    })
+  );
+  window.localStorage.setItem(
+    "stale_outbox",
+    JSON.stringify({ chatSessionId: "session-1", messages: [{}] })
+  );
+
+  const widget = window.ChatWidget.create({
+    serverUrl: "http://chat.test",
+    namespace: "stale",
+  });
+
+  assert.equal(widget.state.outbox.length, 0);
+  assert.equal(storedOutbox(window, "stale"), null);
+  widget.destroy();
+});
+
+test("a full outbox refuses new messages instead of dropping old ones", () => {
+  const window = loadWidget();
+  const { widget, socket } = startChat(window, {
+    namespace: "full",
+    outbox: { maxMessages: 2 },
+  });
+  window.console.warn = () => {};
+
+  socket.fire("disconnect", "transport close");
+  sendText(widget, "one");
+  sendText(widget, "two");
+  sendText(widget, "three");
+
+  assert.deepEqual(
+    storedOutbox(window, "full").messages.map((entry) => entry.payload.message),
+    ["one", "two"]
+  );
+  const refused = widget.state.messages.find((msg) => msg.message === "three");
+  assert.equal(refused.status, "failed");
+
+  widget.destroy();
+});